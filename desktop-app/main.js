@@ -1,4 +1,4 @@
-const { app, BrowserWindow, ipcMain, dialog } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, safeStorage } = require('electron');
 const path = require('path');
 const fs = require('fs');
 const FormData = require('form-data');
@@ -41,12 +41,87 @@ app.on('activate', () => {
   }
 });
 
+// ==========================
+// API token
+// ==========================
+
+// The personal API token created in the dashboard's Settings authenticates every
+// request. It is kept encrypted with the operating system's keychain through
+// safeStorage and never written to disk in plain text.
+let apiToken = null;
+
+function apiTokenPath() {
+  return path.join(app.getPath('userData'), 'api-token.bin');
+}
+
+function loadApiToken() {
+  if (apiToken === null && fs.existsSync(apiTokenPath()) && safeStorage.isEncryptionAvailable()) {
+    apiToken = safeStorage.decryptString(fs.readFileSync(apiTokenPath()));
+  }
+  return apiToken;
+}
+
+function authHeaders(headers = {}) {
+  const token = loadApiToken();
+  return token ? { ...headers, Authorization: `Bearer ${token}` } : headers;
+}
+
+// The server's error message when there is one, so a refused token or scope is reported as such
+function describeRequestError(error, fallback) {
+  const data = error.response && error.response.data;
+  return (data && data.error) || error.message || fallback;
+}
+
+async function fetchTokenOwner(token) {
+  const response = await axios.get('http://localhost:5000/api/tokens/current', {
+    headers: { Authorization: `Bearer ${token}` },
+    timeout: 10000
+  });
+  return response.data;
+}
+
+ipcMain.handle('get-api-token-status', async () => {
+  const token = loadApiToken();
+  if (!token) {
+    return { configured: false, encryptionAvailable: safeStorage.isEncryptionAvailable() };
+  }
+  try {
+    return { configured: true, valid: true, ...(await fetchTokenOwner(token)) };
+  } catch (error) {
+    return { configured: true, valid: false, message: describeRequestError(error, 'Could not reach the server') };
+  }
+});
+
+ipcMain.handle('save-api-token', async (event, token) => {
+  const trimmed = String(token || '').trim();
+  if (!safeStorage.isEncryptionAvailable()) {
+    return { success: false, message: 'Secure storage is not available on this system, so the token cannot be saved' };
+  }
+  try {
+    const owner = await fetchTokenOwner(trimmed);
+    fs.mkdirSync(path.dirname(apiTokenPath()), { recursive: true });
+    fs.writeFileSync(apiTokenPath(), safeStorage.encryptString(trimmed), { mode: 0o600 });
+    apiToken = trimmed;
+    return { success: true, ...owner };
+  } catch (error) {
+    return { success: false, message: describeRequestError(error, 'Token check failed') };
+  }
+});
+
+ipcMain.handle('clear-api-token', async () => {
+  apiToken = null;
+  if (fs.existsSync(apiTokenPath())) {
+    fs.unlinkSync(apiTokenPath());
+  }
+  return { success: true };
+});
+
 // ==========================
 // File selection
 // ==========================
 ipcMain.handle('select-file', async () => {
   const result = await dialog.showOpenDialog(mainWindow, {
-    properties: ['openFile'],
+    properties: ['openFile', 'multiSelections'],
     filters: [
       { name: 'All Files', extensions: ['*'] },
       { name: 'Documents', extensions: ['pdf', 'doc', 'docx', 'txt'] },
@@ -55,43 +130,92 @@ ipcMain.handle('select-file', async () => {
   });
 
   if (!result.canceled && result.filePaths.length > 0) {
-    return {
-      filePath: result.filePaths[0],
-      fileName: path.basename(result.filePaths[0]),
-      fileSize: fs.statSync(result.filePaths[0]).size
-    };
+    return describeSelection(result.filePaths.map((filePath) => ({
+      filePath,
+      relativePath: path.basename(filePath),
+      fileSize: fs.statSync(filePath).size
+    })));
+  }
+  return null;
+});
+
+ipcMain.handle('select-folder', async () => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    properties: ['openDirectory']
+  });
+
+  if (!result.canceled && result.filePaths.length > 0) {
+    const folderPath = result.filePaths[0];
+    const files = listFolderFiles(folderPath).map((filePath) => ({
+      filePath,
+      // Paths are reported relative to the folder's parent so the folder name appears on the certificate
+      relativePath: path.relative(path.dirname(folderPath), filePath).split(path.sep).join('/'),
+      fileSize: fs.statSync(filePath).size
+    }));
+    return describeSelection(files, folderPath);
   }
   return null;
 });
 
+// Regular files below a folder; symbolic links are skipped so a wipe never leaves the folder
+function listFolderFiles(folderPath) {
+  const files = [];
+  for (const entry of fs.readdirSync(folderPath, { withFileTypes: true })) {
+    const entryPath = path.join(folderPath, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...listFolderFiles(entryPath));
+    } else if (entry.isFile()) {
+      files.push(entryPath);
+    }
+  }
+  return files;
+}
+
+function describeSelection(files, folderPath = null) {
+  return {
+    files,
+    folderPath,
+    label: folderPath ? path.basename(folderPath) : files.length === 1 ? files[0].relativePath : `${files.length} files`,
+    totalSize: files.reduce((total, file) => total + file.fileSize, 0)
+  };
+}
+
 // ==========================
 // Start wipe
 // ==========================
-ipcMain.handle('start-wipe', async (event, fileInfo, wipeOptions) => {
+ipcMain.handle('start-wipe', async (event, selection, wipeOptions) => {
   try {
-    const { filePath, fileName } = fileInfo;
-    const { method, passes } = wipeOptions;
+    const { method, passes, verify, verifySample } = wipeOptions;
 
-    if (!fs.existsSync(filePath)) {
-      throw new Error(`File not found: ${filePath}`);
+    if (selection.files.length === 0) {
+      throw new Error('No files selected');
     }
 
     const formData = new FormData();
-    formData.append('file', fs.createReadStream(filePath));
+    for (const file of selection.files) {
+      if (!fs.existsSync(file.filePath)) {
+        throw new Error(`File not found: ${file.filePath}`);
+      }
+      formData.append('files', fs.createReadStream(file.filePath));
+      formData.append('relativePaths', file.relativePath);
+    }
     formData.append('method', method);
     formData.append('passes', passes);
+    formData.append('verify', verify);
+    formData.append('verifySample', verifySample);
     formData.append('wipeType', 'file');
-    formData.append('deviceId', 'desktop-app');
 
     const response = await axios.post('http://localhost:5000/api/wipe', formData, {
-      headers: formData.getHeaders(),
-      timeout: 10000 // 10s timeout to avoid hanging
+      headers: authHeaders(formData.getHeaders()),
+      maxBodyLength: Infinity,
+      timeout: 10000 + selection.files.length * 1000 // scale with the number of uploads
     });
 
     return response.data;
   } catch (error) {
-    console.error('❌ Wipe error:', error.message || error);
-    return { success: false, message: error.message || 'Unknown wipe error' };
+    const message = describeRequestError(error, 'Unknown wipe error');
+    console.error('❌ Wipe error:', message);
+    return { success: false, message };
   }
 });
 
@@ -100,25 +224,121 @@ ipcMain.handle('start-wipe', async (event, fileInfo, wipeOptions) => {
 // ==========================
 ipcMain.handle('get-wipe-progress', async (event, jobId) => {
   try {
-    const response = await axios.get(`http://localhost:5000/api/wipe/${jobId}`);
+    const response = await axios.get(`http://localhost:5000/api/wipe/${jobId}`, { headers: authHeaders() });
     return response.data;
   } catch (error) {
-    console.error('❌ Progress error:', error.message || error);
-    return { success: false, message: error.message || 'Progress check failed' };
+    const message = describeRequestError(error, 'Progress check failed');
+    console.error('❌ Progress error:', message);
+    return { success: false, message };
+  }
+});
+
+// ==========================
+// Pause / resume / cancel
+// ==========================
+ipcMain.handle('control-wipe', async (event, jobId, action) => {
+  if (!['pause', 'resume', 'cancel'].includes(action)) {
+    return { success: false, message: `Unknown action: ${action}` };
+  }
+  try {
+    const response = await axios.post(`http://localhost:5000/api/wipe/${jobId}/${action}`, null, { headers: authHeaders() });
+    return { success: true, ...response.data };
+  } catch (error) {
+    const message = describeRequestError(error, `${action} failed`);
+    console.error(`❌ ${action} error:`, message);
+    return { success: false, message };
   }
 });
 
+// ==========================
+// Live progress (Server-Sent Events)
+// ==========================
+const wipeEventStreams = new Map();
+
+function parseServerSentEvent(block) {
+  let type = 'message';
+  const dataLines = [];
+  for (const line of block.split('\n')) {
+    if (line.startsWith('event:')) {
+      type = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).trim());
+    }
+  }
+  return dataLines.length > 0 ? { type, data: JSON.parse(dataLines.join('\n')) } : null;
+}
+
+async function openWipeEventStream(sender, jobId) {
+  const controller = new AbortController();
+  wipeEventStreams.set(jobId, controller);
+
+  try {
+    const response = await axios.get(`http://localhost:5000/api/wipe/events?jobId=${encodeURIComponent(jobId)}`, {
+      headers: authHeaders(),
+      responseType: 'stream',
+      signal: controller.signal
+    });
+
+    let buffer = '';
+    response.data.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const event = parseServerSentEvent(buffer.slice(0, boundary));
+        buffer = buffer.slice(boundary + 2);
+        if (event && !sender.isDestroyed()) {
+          sender.send('wipe-event', event);
+        }
+      }
+    });
+    response.data.on('end', () => reconnectWipeEventStream(sender, jobId, controller));
+  } catch (error) {
+    if (!controller.signal.aborted) {
+      console.error('❌ Progress stream error:', error.message || error);
+      reconnectWipeEventStream(sender, jobId, controller);
+    }
+  }
+}
+
+function reconnectWipeEventStream(sender, jobId, controller) {
+  if (controller.signal.aborted || wipeEventStreams.get(jobId) !== controller || sender.isDestroyed()) {
+    return;
+  }
+  setTimeout(() => {
+    if (!controller.signal.aborted) {
+      openWipeEventStream(sender, jobId);
+    }
+  }, 3000);
+}
+
+ipcMain.handle('subscribe-wipe-events', async (event, jobId) => {
+  if (wipeEventStreams.has(jobId)) {
+    wipeEventStreams.get(jobId).abort();
+  }
+  openWipeEventStream(event.sender, jobId);
+  return { success: true };
+});
+
+ipcMain.handle('unsubscribe-wipe-events', async (event, jobId) => {
+  const controller = wipeEventStreams.get(jobId);
+  if (controller) {
+    controller.abort();
+    wipeEventStreams.delete(jobId);
+  }
+  return { success: true };
+});
+
 // ==========================
 // Certificate generation & deletion
 // ==========================
-ipcMain.handle('generate-certificate-and-delete', async (event, jobId, originalFilePath) => {
+ipcMain.handle('generate-certificate-and-delete', async (event, jobId, selection) => {
   try {
-    const response = await axios.post(`http://localhost:5000/api/certificate/${jobId}`);
+    const response = await axios.post(`http://localhost:5000/api/certificate/${jobId}`, null, { headers: authHeaders() });
     const certificateData = response.data;
 
     const certResponse = await axios.get(
       `http://localhost:5000${certificateData.downloadUrl}`,
-      { responseType: 'stream' }
+      { responseType: 'stream', headers: authHeaders() }
     );
 
     const downloadsPath = path.join(os.homedir(), 'Downloads');
@@ -133,9 +353,16 @@ ipcMain.handle('generate-certificate-and-delete', async (event, jobId, originalF
       writer.on('error', reject);
     });
 
-    if (fs.existsSync(originalFilePath)) {
-      await secureDeleteLocalFile(originalFilePath);
-      console.log(`✅ Original file securely deleted: ${originalFilePath}`);
+    let deletedCount = 0;
+    for (const file of selection.files) {
+      if (fs.existsSync(file.filePath)) {
+        await secureDeleteLocalFile(file.filePath);
+        deletedCount++;
+        console.log(`✅ Original file securely deleted: ${file.filePath}`);
+      }
+    }
+    if (selection.folderPath) {
+      removeEmptyFolders(selection.folderPath);
     }
 
     return {
@@ -143,17 +370,39 @@ ipcMain.handle('generate-certificate-and-delete', async (event, jobId, originalF
       certificatePath: certPath,
       certificateFileName: certFileName,
       originalFileDeleted: true,
+      deletedCount,
       hash: certificateData.hash
     };
   } catch (error) {
     console.error('❌ Certificate error:', error.message || error);
-    return { success: false, message: error.message || 'Certificate generation failed' };
+    // The server's issuance policy refused the job; originals are kept since no certificate exists
+    const violations = error.response && error.response.data && error.response.data.violations;
+    if (violations) {
+      return { success: false, blockedByPolicy: true, message: violations.map((violation) => violation.message).join('; ') };
+    }
+    return { success: false, message: describeRequestError(error, 'Certificate generation failed') };
   }
 });
 
 // ==========================
 // Secure local deletion
 // ==========================
+
+// Removes a wiped folder bottom-up; anything that appeared since selection is left in place
+function removeEmptyFolders(folderPath) {
+  if (!fs.existsSync(folderPath)) {
+    return;
+  }
+  for (const entry of fs.readdirSync(folderPath, { withFileTypes: true })) {
+    if (entry.isDirectory()) {
+      removeEmptyFolders(path.join(folderPath, entry.name));
+    }
+  }
+  if (fs.readdirSync(folderPath).length === 0) {
+    fs.rmdirSync(folderPath);
+  }
+}
+
 async function secureDeleteLocalFile(filePath) {
   try {
     const stats = fs.statSync(filePath);
@@ -1,9 +1,17 @@
 const { contextBridge, ipcRenderer } = require('electron');
 
 contextBridge.exposeInMainWorld('electronAPI', {
+  getApiTokenStatus: () => ipcRenderer.invoke('get-api-token-status'),
+  saveApiToken: (token) => ipcRenderer.invoke('save-api-token', token),
+  clearApiToken: () => ipcRenderer.invoke('clear-api-token'),
   selectFile: () => ipcRenderer.invoke('select-file'),
-  startWipe: (fileInfo, wipeOptions) => ipcRenderer.invoke('start-wipe', fileInfo, wipeOptions),
+  selectFolder: () => ipcRenderer.invoke('select-folder'),
+  startWipe: (selection, wipeOptions) => ipcRenderer.invoke('start-wipe', selection, wipeOptions),
   getWipeProgress: (jobId) => ipcRenderer.invoke('get-wipe-progress', jobId),
-  generateCertificateAndDelete: (jobId, originalFilePath) => 
-    ipcRenderer.invoke('generate-certificate-and-delete', jobId, originalFilePath)
+  controlWipe: (jobId, action) => ipcRenderer.invoke('control-wipe', jobId, action),
+  subscribeWipeEvents: (jobId) => ipcRenderer.invoke('subscribe-wipe-events', jobId),
+  unsubscribeWipeEvents: (jobId) => ipcRenderer.invoke('unsubscribe-wipe-events', jobId),
+  onWipeEvent: (callback) => ipcRenderer.on('wipe-event', (event, wipeEvent) => callback(wipeEvent)),
+  generateCertificateAndDelete: (jobId, selection) => 
+    ipcRenderer.invoke('generate-certificate-and-delete', jobId, selection)
 });
\ No newline at end of file
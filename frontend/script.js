@@ -6,9 +6,14 @@ class WipeSureApp {
         this.devices = [];
         this.wipeJobs = [];
         this.certificates = [];
+        this.certificateTemplates = [];
         this.radarAnimation = null;
+        // Zoom levels of the scanned image's heatmap, outermost first
+        this.residueHeatmaps = [];
+        this.heatmapRadii = { inner: 60, outer: 180 };
         this.wipeCompleted = false;
         this.currentUser = null;
+        this.wipeMethods = [];
         
         this.initializeApp();
     }
@@ -23,12 +28,25 @@ class WipeSureApp {
 
         this.setupEventListeners();
         this.setupNavigation();
+        await this.loadWipeMethods();
         await this.detectAndRegisterDevice();
         await this.loadDashboardData();
         await this.loadDevices();
         this.populateDeviceSelectors();
         this.loadDeviceStatus();
         this.setupUserProfile();
+
+        const invitationToken = new URLSearchParams(window.location.search).get('invitation');
+        if (invitationToken) {
+            await this.offerInvitation(invitationToken);
+        }
+
+        // Everything but Settings is refused until the member enrols
+        const twoFactor = this.currentUser.twoFactor;
+        if (twoFactor && twoFactor.required && !twoFactor.enabled) {
+            this.navigateToPage('settings');
+            alert('Your organisation requires two-factor authentication. Set it up under Two-Factor Authentication to continue.');
+        }
     }
 
     async checkAuthStatus() {
@@ -197,6 +215,10 @@ class WipeSureApp {
         const userInfoElement = document.querySelector('.user-info span');
         if (userInfoElement && this.currentUser) {
             userInfoElement.textContent = `${this.currentUser.firstName} ${this.currentUser.lastName}`;
+            if (this.currentUser.organisation) {
+                userInfoElement.title = `${this.currentUser.organisation.name} · ${this.currentUser.role}`;
+                userInfoElement.textContent += ` (${this.currentUser.role})`;
+            }
         }
 
         // Add logout functionality
@@ -323,7 +345,11 @@ class WipeSureApp {
             document.getElementById('file-input').click();
         });
 
+        document.getElementById('wipe-method').addEventListener('change', this.updateWipePasses.bind(this));
         document.getElementById('start-wipe').addEventListener('click', this.startWipeJob.bind(this));
+        document.getElementById('pause-wipe').addEventListener('click', () => this.controlWipeJob('pause'));
+        document.getElementById('resume-wipe').addEventListener('click', () => this.controlWipeJob('resume'));
+        document.getElementById('cancel-wipe').addEventListener('click', () => this.controlWipeJob('cancel'));
 
         // Data Backup Page
         document.getElementById('start-backup').addEventListener('click', this.startBackup.bind(this));
@@ -333,9 +359,13 @@ class WipeSureApp {
 
         // AI Scan Page
         document.getElementById('start-ai-scan').addEventListener('click', this.startAIScan.bind(this));
+        document.getElementById('radar-canvas').addEventListener('click', this.drillIntoResidueHeatmap.bind(this));
+        document.getElementById('ai-device-select').addEventListener('change', this.loadResidueHistory.bind(this));
 
         // Certificates Page
         document.getElementById('refresh-certificates').addEventListener('click', this.loadCertificates.bind(this));
+        document.getElementById('verify-ledger').addEventListener('click', this.verifyLedger.bind(this));
+        document.getElementById('export-certificates').addEventListener('click', this.exportCertificates.bind(this));
 
         // Multi-Device Page
         document.getElementById('batch-wipe').addEventListener('click', this.startBatchWipe.bind(this));
@@ -343,6 +373,17 @@ class WipeSureApp {
 
         // Settings Page
         document.getElementById('save-settings').addEventListener('click', this.saveSettings.bind(this));
+        document.getElementById('save-policy').addEventListener('click', this.saveIssuancePolicy.bind(this));
+        document.getElementById('save-residue-policy').addEventListener('click', this.saveResiduePolicy.bind(this));
+        document.getElementById('save-organisation').addEventListener('click', this.saveOrganisation.bind(this));
+        document.getElementById('two-factor-setup-button').addEventListener('click', this.setupTwoFactor.bind(this));
+        document.getElementById('two-factor-enable-button').addEventListener('click', this.enableTwoFactor.bind(this));
+        document.getElementById('two-factor-recovery-button').addEventListener('click', this.regenerateRecoveryCodes.bind(this));
+        document.getElementById('two-factor-disable-button').addEventListener('click', this.disableTwoFactor.bind(this));
+        document.getElementById('api-token-form').addEventListener('submit', this.createApiToken.bind(this));
+        document.getElementById('organisation-invite-form').addEventListener('submit', this.inviteOrganisationMember.bind(this));
+        document.getElementById('certificate-template-form').addEventListener('submit', this.saveCertificateTemplate.bind(this));
+        document.getElementById('cancel-template-edit').addEventListener('click', this.resetCertificateTemplateForm.bind(this));
 
         // Drag and drop for file upload
         const fileUpload = document.getElementById('file-upload');
@@ -405,6 +446,16 @@ class WipeSureApp {
             case 'multi-device':
                 await this.loadMultiDeviceView();
                 break;
+            case 'settings':
+                await Promise.all([
+                    this.loadOrganisation(),
+                    this.loadTwoFactor(),
+                    this.loadApiTokens(),
+                    this.loadIssuancePolicy(),
+                    this.loadResiduePolicy(),
+                    this.loadCertificateTemplates()
+                ]);
+                break;
         }
     }
 
@@ -495,13 +546,15 @@ class WipeSureApp {
             'backup-device-select',
             'source-device-select',
             'target-device-select',
-            'ai-device-select'
+            'ai-device-select',
+            'export-device'
         ];
 
         selectors.forEach(selectorId => {
             const select = document.getElementById(selectorId);
             if (select) {
-                select.innerHTML = '<option value="">Select Device...</option>';
+                const placeholder = selectorId === 'export-device' ? 'All devices' : 'Select Device...';
+                select.innerHTML = `<option value="">${placeholder}</option>`;
                 if (this.devices && Array.isArray(this.devices)) {
                     this.devices.forEach(device => {
                         const option = document.createElement('option');
@@ -514,6 +567,38 @@ class WipeSureApp {
         });
     }
 
+    async loadWipeMethods() {
+        try {
+            const response = await fetch('/api/wipe-methods');
+            this.wipeMethods = await response.json();
+
+            ['wipe-method', 'default-wipe-method', 'export-method'].forEach(selectId => {
+                const select = document.getElementById(selectId);
+                // The export filter keeps its "All methods" option
+                select.innerHTML = selectId === 'export-method' ? '<option value="">All methods</option>' : '';
+                this.wipeMethods.forEach(method => {
+                    const option = document.createElement('option');
+                    option.value = method.id;
+                    option.textContent = `${method.label} (${method.passes} ${method.passes === 1 ? 'pass' : 'passes'})`;
+                    select.appendChild(option);
+                });
+            });
+
+            this.updateWipePasses();
+        } catch (error) {
+            console.error('Error loading wipe methods:', error);
+        }
+    }
+
+    updateWipePasses() {
+        // Each method defines its own pass count; the server rejects any other value
+        const methodId = document.getElementById('wipe-method').value;
+        const method = this.wipeMethods.find(m => m.id === methodId);
+        if (method) {
+            document.getElementById('wipe-passes').value = method.passes;
+        }
+    }
+
     handleWipeTypeChange(e) {
         const wipeType = e.target.value;
         const fileUpload = document.getElementById('file-upload');
@@ -593,37 +678,87 @@ class WipeSureApp {
         progressContainer.scrollIntoView({ behavior: 'smooth' });
     }
 
-    async monitorWipeProgress() {
+    monitorWipeProgress() {
         const progressFill = document.getElementById('progress-fill');
         const progressText = document.getElementById('progress-text');
         const wipeStatus = document.getElementById('wipe-status');
         const currentPass = document.getElementById('current-pass');
+        const passes = parseInt(document.getElementById('total-passes').textContent);
 
-        const interval = setInterval(async () => {
-            try {
-                const response = await fetch(`/api/wipe/${this.currentWipeJob}`);
-                const job = await response.json();
-
-                progressFill.style.width = `${job.progress}%`;
-                progressText.textContent = `${job.progress}%`;
-                wipeStatus.textContent = job.status.replace('_', ' ').toUpperCase();
-
-                // Calculate current pass based on progress
-                const passes = parseInt(document.getElementById('total-passes').textContent);
-                const calculatedPass = Math.min(Math.ceil((job.progress / 100) * passes), passes);
-                currentPass.textContent = calculatedPass;
-
-                if (job.status === 'completed' && !this.wipeCompleted) {
-                    clearInterval(interval);
-                    wipeStatus.textContent = 'COMPLETED';
-                    this.wipeCompleted = true;
-                    this.showWipeCompletion();
-                }
-            } catch (error) {
-                console.error('Error monitoring wipe progress:', error);
-                clearInterval(interval);
+        if (this.wipeEventSource) {
+            this.wipeEventSource.close();
+        }
+
+        // The server pushes job updates; the first event is the job's current state
+        const source = new EventSource(`/api/wipe/events?jobId=${encodeURIComponent(this.currentWipeJob)}`);
+        this.wipeEventSource = source;
+
+        const update = (event) => {
+            const data = JSON.parse(event.data);
+
+            if (data.progress !== undefined) {
+                progressFill.style.width = `${data.progress}%`;
+                progressText.textContent = `${data.progress}%`;
             }
-        }, 1000);
+            if (data.status) {
+                wipeStatus.textContent = data.status.replace('_', ' ').toUpperCase();
+                this.updateWipeControls(data.status);
+            }
+
+            // The server tracks completed passes; show the one being written
+            if (data.currentPass !== undefined) {
+                currentPass.textContent = Math.min(data.currentPass + 1, passes);
+            } else if (event.type === 'pass' && data.state === 'started') {
+                currentPass.textContent = data.pass;
+            }
+
+            if ((event.type === 'completed' || data.status === 'completed') && !this.wipeCompleted) {
+                source.close();
+                wipeStatus.textContent = 'COMPLETED';
+                this.wipeCompleted = true;
+                this.showWipeCompletion();
+            } else if (event.type === 'failed' || data.status === 'failed') {
+                source.close();
+                wipeStatus.textContent = 'FAILED';
+                alert(`Wipe failed: ${data.error || 'Unknown error'}`);
+            } else if (event.type === 'cancelled' || data.status === 'cancelled') {
+                source.close();
+                wipeStatus.textContent = 'CANCELLED';
+            }
+        };
+
+        ['status', 'progress', 'pass', 'completed', 'failed', 'cancelled'].forEach(type => source.addEventListener(type, update));
+        source.onerror = () => console.warn('Wipe progress stream interrupted, reconnecting...');
+    }
+
+    async controlWipeJob(action) {
+        if (!this.currentWipeJob) {
+            return;
+        }
+        if (action === 'cancel' && !confirm('Cancel this wipe? The job will stop and can never be certified.')) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/wipe/${this.currentWipeJob}/${action}`, { method: 'POST' });
+            const result = await response.json();
+
+            if (!response.ok) {
+                alert(`Could not ${action} wipe: ${result.error}`);
+                return;
+            }
+            document.getElementById('wipe-status').textContent = result.status.replace('_', ' ').toUpperCase();
+        } catch (error) {
+            console.error(`Error sending ${action} request:`, error);
+            alert(`Failed to ${action} wipe. Please try again.`);
+        }
+    }
+
+    updateWipeControls(status) {
+        const active = ['pending', 'in_progress', 'paused'].includes(status);
+        document.getElementById('pause-wipe').style.display = active && status !== 'paused' ? '' : 'none';
+        document.getElementById('resume-wipe').style.display = status === 'paused' ? '' : 'none';
+        document.getElementById('cancel-wipe').style.display = active ? '' : 'none';
     }
 
     showWipeCompletion() {
@@ -642,11 +777,13 @@ class WipeSureApp {
             </div>
             <h3>Wipe Completed Successfully</h3>
             <p>Data has been securely wiped according to ${document.getElementById('current-method').textContent} standards.</p>
+            <select id="certificate-template" class="certificate-template-picker" style="display: none;"></select>
             <button class="btn-primary" onclick="app.generateCertificate()">
                 <i class="fas fa-certificate"></i> Generate Certificate
             </button>
         `;
         progressContainer.appendChild(completionMessage);
+        this.loadCertificateTemplates();
     }
 
     async generateCertificate() {
@@ -655,12 +792,26 @@ class WipeSureApp {
             return;
         }
 
+        const templatePicker = document.getElementById('certificate-template');
+        // A hidden picker means there is nothing to choose; the server applies the default template
+        const templateId = templatePicker && templatePicker.style.display !== 'none' ? templatePicker.value : '';
+
         try {
             const response = await fetch(`/api/certificate/${this.currentWipeJob}`, {
-                method: 'POST'
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(templateId ? { templateId } : {})
             });
 
             const result = await response.json();
+
+            if (!response.ok) {
+                const reasons = result.violations
+                    ? result.violations.map(violation => `- ${violation.message}`).join('\n')
+                    : result.error;
+                alert(`Certificate could not be generated:\n${reasons}`);
+                return;
+            }
             
             if (result.downloadUrl) {
                 const link = document.createElement('a');
@@ -815,33 +966,50 @@ class WipeSureApp {
 
     async startAIScan() {
         const deviceId = document.getElementById('ai-device-select').value;
+        const imageFile = document.getElementById('ai-image-file').files[0];
+        const imagePath = document.getElementById('ai-image-path').value.trim();
         
-        if (!deviceId) {
-            alert('Please select a device to scan.');
+        if (!deviceId && !imageFile && !imagePath) {
+            alert('Please select a device or a disk image to scan.');
             return;
         }
 
+        // A disk image is queued as a scan job; a device scan returns its latest recorded analysis
+        let body;
+        const headers = {};
+        if (imageFile) {
+            body = new FormData();
+            body.append('image', imageFile);
+            if (deviceId) {
+                body.append('deviceId', deviceId);
+            }
+        } else {
+            headers['Content-Type'] = 'application/json';
+            body = JSON.stringify(imagePath ? { deviceId: deviceId || undefined, imagePath } : { deviceId });
+        }
+
         const radarContainer = document.getElementById('radar-container');
         radarContainer.style.display = 'flex';
+        this.residueHeatmaps = [];
+        document.getElementById('heatmap-info').textContent = '';
         
         this.startRadarAnimation();
 
         try {
-            const response = await fetch('/api/ai/scan', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ 
-                    jobId: this.currentWipeJob || 'scan-' + Date.now(),
-                    deviceId 
-                })
-            });
-
+            const response = await fetch('/api/ai/scan', { method: 'POST', headers, body });
             const result = await response.json();
             
-            setTimeout(() => {
-                this.stopRadarAnimation();
-                this.displayAIResults(result);
-            }, 5000);
+            if (response.status === 202) {
+                this.watchResidueScan(result.scanId);
+                return;
+            }
+            this.stopRadarAnimation();
+            if (!response.ok) {
+                this.displayAIResults(null);
+                alert(result.error || 'Residue scan failed.');
+                return;
+            }
+            this.showResidueResult(result);
             
         } catch (error) {
             console.error('Error starting AI scan:', error);
@@ -849,6 +1017,175 @@ class WipeSureApp {
         }
     }
 
+    // Follows a queued image scan until it finishes; the first event is its current state
+    watchResidueScan(scanId) {
+        if (this.residueScanSource) {
+            this.residueScanSource.close();
+        }
+        const info = document.getElementById('heatmap-info');
+        const source = new EventSource(`/api/ai/scans/events?scanId=${encodeURIComponent(scanId)}`);
+        this.residueScanSource = source;
+
+        const update = async (event) => {
+            const data = JSON.parse(event.data);
+            const status = event.type === 'completed' || event.type === 'failed' ? event.type : data.status;
+
+            if (status === 'pending') {
+                info.textContent = 'Scan queued...';
+            } else if (status === 'in_progress') {
+                info.textContent = `Scanning image... ${data.progress || 0}%`;
+            } else if (status === 'failed') {
+                source.close();
+                this.stopRadarAnimation();
+                this.displayAIResults(null);
+                info.textContent = '';
+                alert(`Residue scan failed: ${data.error || 'Unknown error'}`);
+            } else if (status === 'completed') {
+                source.close();
+                const response = await fetch(`/api/ai/scans/${encodeURIComponent(scanId)}`);
+                const scan = await response.json();
+                this.stopRadarAnimation();
+                if (response.ok && scan.result) {
+                    this.showResidueResult(scan.result);
+                }
+            }
+        };
+        ['status', 'progress', 'completed', 'failed'].forEach((type) => source.addEventListener(type, update));
+    }
+
+    showResidueResult(result) {
+        this.displayAIResults(result);
+        if (result.details && result.details.heatmap) {
+            this.residueHeatmaps = [{ resultId: result.id, heatmap: result.details.heatmap }];
+            this.drawResidueHeatmap();
+        }
+        this.loadResidueHistory();
+    }
+
+    // How the selected device's residue figures changed across its wipes and scans
+    async loadResidueHistory() {
+        const deviceId = document.getElementById('ai-device-select').value;
+        const container = document.getElementById('residue-history');
+        if (!deviceId) {
+            container.innerHTML = '<p class="settings-hint">Select a device to see its residue history.</p>';
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/ai/results?deviceId=${encodeURIComponent(deviceId)}`);
+            const history = await response.json();
+            if (!response.ok) {
+                throw new Error(history.error);
+            }
+            if (history.results.length === 0) {
+                container.innerHTML = '<p class="settings-hint">No residue results recorded for this device yet.</p>';
+                return;
+            }
+            container.innerHTML = `
+                <table class="residue-history-table">
+                    <thead>
+                        <tr><th>Date</th><th>Source</th><th>Entropy</th><th>Recoverable Files</th><th>Status</th></tr>
+                    </thead>
+                    <tbody>
+                        ${history.results.map((result) => `
+                            <tr>
+                                <td>${new Date(result.createdAt).toLocaleString()}</td>
+                                <td>${result.job ? this.escapeHtml(result.job.method) : this.escapeHtml(result.target || result.source)}</td>
+                                <td>${result.entropyScore}%</td>
+                                <td>${result.recoverableFiles === null ? '--' : result.recoverableFiles}</td>
+                                <td>${this.escapeHtml(result.residueLabel)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+        } catch (error) {
+            console.error('Error loading residue history:', error);
+            container.innerHTML = '<p class="settings-hint">Could not load the residue history.</p>';
+        }
+    }
+
+    // Draws the innermost zoom level of the scanned image's heatmap around the radar:
+    // one segment per cell, clockwise from the top in byte order. Residue is red and
+    // low-entropy regions shade from green towards amber.
+    drawResidueHeatmap() {
+        const canvas = document.getElementById('radar-canvas');
+        const ctx = canvas.getContext('2d');
+        const centerX = canvas.width / 2;
+        const centerY = canvas.height / 2;
+        const { heatmap } = this.residueHeatmaps[this.residueHeatmaps.length - 1];
+
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        heatmap.entropy.forEach((entropy, cell) => {
+            if (entropy === null) {
+                return;
+            }
+            const startAngle = -Math.PI / 2 + (cell / heatmap.cells) * 2 * Math.PI;
+            const endAngle = -Math.PI / 2 + ((cell + 1) / heatmap.cells) * 2 * Math.PI;
+            const residue = heatmap.residue[cell];
+            ctx.fillStyle = residue > 0
+                ? `rgba(255, 71, 87, ${0.4 + (residue / 100) * 0.6})`
+                : `hsl(${40 + entropy * 0.8}, 100%, ${25 + entropy * 0.25}%)`;
+            ctx.beginPath();
+            ctx.arc(centerX, centerY, this.heatmapRadii.outer, startAngle, endAngle);
+            ctx.arc(centerX, centerY, this.heatmapRadii.inner, endAngle, startAngle, true);
+            ctx.closePath();
+            ctx.fill();
+        });
+
+        const zoomedIn = this.residueHeatmaps.length > 1;
+        document.getElementById('heatmap-info').textContent =
+            `Bytes ${heatmap.start.toLocaleString()}-${heatmap.end.toLocaleString()} in ${heatmap.cells} segments of ` +
+            `${heatmap.bytesPerCell.toLocaleString()} bytes. ` +
+            (heatmap.bytesPerCell > heatmap.sectorSize ? 'Click a segment to zoom in' : 'Each segment is one sector') +
+            (zoomedIn ? '; click the centre to zoom out.' : '.');
+    }
+
+    async drillIntoResidueHeatmap(event) {
+        if (!this.residueHeatmaps || this.residueHeatmaps.length === 0) {
+            return;
+        }
+        const canvas = event.currentTarget;
+        const rect = canvas.getBoundingClientRect();
+        const x = (event.clientX - rect.left) * (canvas.width / rect.width) - canvas.width / 2;
+        const y = (event.clientY - rect.top) * (canvas.height / rect.height) - canvas.height / 2;
+        const distance = Math.sqrt(x * x + y * y);
+
+        if (distance < this.heatmapRadii.inner) {
+            if (this.residueHeatmaps.length > 1) {
+                this.residueHeatmaps.pop();
+                this.drawResidueHeatmap();
+            }
+            return;
+        }
+        if (distance > this.heatmapRadii.outer) {
+            return;
+        }
+
+        const { resultId, heatmap } = this.residueHeatmaps[this.residueHeatmaps.length - 1];
+        if (heatmap.bytesPerCell <= heatmap.sectorSize) {
+            return;
+        }
+        const angle = (Math.atan2(y, x) + Math.PI / 2 + 2 * Math.PI) % (2 * Math.PI);
+        const cell = Math.floor((angle / (2 * Math.PI)) * heatmap.cells);
+        const start = heatmap.start + cell * heatmap.bytesPerCell;
+        const end = Math.min(heatmap.end, start + heatmap.bytesPerCell);
+
+        try {
+            const response = await fetch(`/api/ai/results/${encodeURIComponent(resultId)}/heatmap?start=${start}&end=${end}`);
+            const region = await response.json();
+            if (!response.ok) {
+                alert(region.error || 'Could not load this region.');
+                return;
+            }
+            this.residueHeatmaps.push({ resultId, heatmap: region.heatmap });
+            this.drawResidueHeatmap();
+            this.renderResidueArtefacts(region.artefacts);
+        } catch (error) {
+            console.error('Error loading heatmap region:', error);
+        }
+    }
+
     startRadarAnimation() {
         const canvas = document.getElementById('radar-canvas');
         const ctx = canvas.getContext('2d');
@@ -911,23 +1248,36 @@ class WipeSureApp {
         }
     }
 
+    // null clears the panel when no measured result is available
     displayAIResults(results) {
-        document.getElementById('entropy-score').textContent = `${results.entropy_score}%`;
-        document.getElementById('recoverable-files').textContent = results.recoverable_files;
-        document.getElementById('residue-status').textContent = results.residue_status;
+        document.getElementById('entropy-score').textContent = results ? `${results.entropyScore}%` : '--';
+        document.getElementById('recoverable-files').textContent =
+            results && results.recoverableFiles !== null ? results.recoverableFiles : '--';
+        document.getElementById('residue-status').textContent = results ? results.residueLabel || results.residueStatus : '--';
+
+        this.renderResidueArtefacts(results && results.details ? results.details.artefacts : []);
         
         // Update color based on status
         const statusElement = document.getElementById('residue-status');
         statusElement.className = '';
-        if (results.residue_status === 'CLEAN') {
+        if (!results) {
+            statusElement.style.color = '';
+        } else if (results.residueStatus === 'CLEAN') {
             statusElement.style.color = 'var(--primary-color)';
-        } else if (results.residue_status === 'MOSTLY_CLEAN') {
+        } else if (results.residueStatus === 'MOSTLY_CLEAN') {
             statusElement.style.color = 'var(--warning-color)';
         } else {
             statusElement.style.color = 'var(--danger-color)';
         }
     }
 
+    // Carved file signatures, as far as the server reported them
+    renderResidueArtefacts(artefacts) {
+        document.getElementById('residue-artefacts').innerHTML = (artefacts || []).map((artefact) => `
+            <li>${this.escapeHtml(artefact.type.toUpperCase())} at byte ${artefact.offset}${artefact.target ? ` in ${this.escapeHtml(artefact.target)}` : ''}</li>
+        `).join('');
+    }
+
     async loadCertificates() {
         try {
             const response = await fetch('/api/certificates');
@@ -938,21 +1288,36 @@ class WipeSureApp {
 
             this.certificates.forEach(cert => {
                 const certElement = document.createElement('div');
-                certElement.className = 'certificate-card';
+                certElement.className = cert.revoked_at ? 'certificate-card revoked' : 'certificate-card';
                 certElement.innerHTML = `
                     <div class="cert-header">
                         <h4>Certificate #${cert.id.substring(0, 8)}</h4>
                         <span class="cert-date">${new Date(cert.created_at).toLocaleDateString()}</span>
+                        ${cert.revoked_at ? '<span class="cert-revoked-badge"><i class="fas fa-ban"></i> REVOKED</span>' : ''}
                     </div>
                     <div class="cert-details">
                         <p><strong>Device:</strong> ${cert.device_name}</p>
                         <p><strong>Method:</strong> ${cert.method}</p>
                         <p><strong>Hash:</strong> ${cert.hash.substring(0, 16)}...</p>
+                        ${cert.revoked_at ? `
+                        <p class="cert-revocation"><strong>Revoked:</strong> ${new Date(cert.revoked_at).toLocaleString()}</p>
+                        <p class="cert-revocation"><strong>Reason:</strong> ${this.escapeHtml(cert.revocation_reason)}</p>` : ''}
                     </div>
                     <div class="cert-actions">
-                        <button class="btn-primary" onclick="app.downloadCertificate('${cert.pdf_path}')">
+                        <button class="btn-primary" onclick="app.downloadCertificate('/api/certificate/${cert.id}?format=pdf', 'certificate-${cert.id}.pdf')">
                             <i class="fas fa-download"></i> Download
                         </button>
+                        ${cert.payload ? `
+                        <button class="btn-secondary" onclick="app.downloadCertificate('/api/certificate/${cert.id}?format=json', 'certificate-${cert.id}.json')">
+                            <i class="fas fa-code"></i> JSON
+                        </button>
+                        <button class="btn-secondary" onclick="app.downloadCertificate('/api/certificate/${cert.id}?format=xml', 'certificate-${cert.id}.xml')">
+                            <i class="fas fa-file-code"></i> XML
+                        </button>` : ''}
+                        ${cert.revoked_at ? '' : `
+                        <button class="btn-secondary revoke-certificate" onclick="app.revokeCertificate('${cert.id}')">
+                            <i class="fas fa-ban"></i> Revoke
+                        </button>`}
                     </div>
                 `;
                 certificatesContainer.appendChild(certElement);
@@ -962,13 +1327,106 @@ class WipeSureApp {
         }
     }
 
-    downloadCertificate(pdfPath) {
+    async revokeCertificate(certificateId) {
+        const reason = prompt('Why is this certificate being revoked? The reason is published on the revocation list.');
+        if (reason === null) {
+            return;
+        }
+        if (!reason.trim()) {
+            alert('A reason is required to revoke a certificate.');
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/certificate/${certificateId}/revoke`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ reason })
+            });
+            const result = await response.json();
+
+            if (!response.ok) {
+                alert(`Could not revoke certificate: ${result.error}`);
+                return;
+            }
+            await this.loadCertificates();
+        } catch (error) {
+            console.error('Error revoking certificate:', error);
+            alert('Failed to revoke certificate. Please try again.');
+        }
+    }
+
+    async exportCertificates() {
+        const params = new URLSearchParams();
+        const filters = {
+            from: document.getElementById('export-from').value,
+            to: document.getElementById('export-to').value,
+            deviceId: document.getElementById('export-device').value,
+            method: document.getElementById('export-method').value
+        };
+        Object.entries(filters).forEach(([key, value]) => {
+            if (value) params.append(key, value);
+        });
+
+        try {
+            const response = await fetch(`/api/certificates/export?${params}`);
+            if (!response.ok) {
+                const result = await response.json();
+                alert(`Export failed: ${result.error}`);
+                return;
+            }
+
+            const disposition = response.headers.get('Content-Disposition') || '';
+            const match = disposition.match(/filename="?([^";]+)"?/);
+            const url = URL.createObjectURL(await response.blob());
+            this.downloadCertificate(url, match ? match[1] : 'wipesure-certificates.zip');
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        } catch (error) {
+            console.error('Error exporting certificates:', error);
+            alert('Failed to export certificates. Please try again.');
+        }
+    }
+
+    async verifyLedger() {
+        try {
+            const response = await fetch('/api/ledger/verify');
+            const result = await response.json();
+
+            if (!response.ok) {
+                alert(`Ledger verification failed: ${result.error}`);
+                return;
+            }
+
+            if (result.valid) {
+                alert(`Ledger intact: ${result.entriesChecked} entries verified.\nHead hash: ${result.headHash}`);
+            } else {
+                const link = result.brokenLink;
+                // refId is only given for records of this organisation
+                const record = link.refId ? `${link.refType} ${link.refId}` : `${link.refType} of another organisation`;
+                alert(`⚠️ Ledger tampering detected at entry #${link.seq} (${record}).\n${link.detail}`);
+            }
+        } catch (error) {
+            console.error('Error verifying ledger:', error);
+            alert('Failed to verify ledger. Please try again.');
+        }
+    }
+
+    downloadCertificate(url, fileName = url.split('/').pop()) {
         const link = document.createElement('a');
-        link.href = pdfPath;
-        link.download = pdfPath.split('/').pop();
+        link.href = url;
+        link.download = fileName;
         link.click();
     }
 
+    escapeHtml(value) {
+        return String(value == null ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
     async loadMultiDeviceView() {
         const gridContainer = document.getElementById('multi-device-grid');
         gridContainer.innerHTML = '';
@@ -992,8 +1450,18 @@ class WipeSureApp {
                 <div class="device-status">
                     <span class="status-idle">Idle</span>
                 </div>
+                <div class="device-controls">
+                    <button class="btn-secondary cancel-device-wipe" style="display: none;">
+                        <i class="fas fa-stop"></i> Cancel Wipe
+                    </button>
+                </div>
             `;
             
+            deviceElement.querySelector('.cancel-device-wipe').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.cancelDeviceWipe(device.id);
+            });
+            
             deviceElement.addEventListener('click', (e) => {
                 if (e.target.type !== 'checkbox') {
                     const checkbox = deviceElement.querySelector('.device-checkbox');
@@ -1004,6 +1472,8 @@ class WipeSureApp {
             
             gridContainer.appendChild(deviceElement);
         });
+
+        await this.loadWipeBatches();
     }
 
     selectAllDevices() {
@@ -1025,27 +1495,807 @@ class WipeSureApp {
             return;
         }
 
-        for (const deviceId of selectedDevices) {
-            try {
-                const formData = new FormData();
-                formData.append('deviceId', deviceId);
-                formData.append('method', 'DoD 5220.22-M');
-                formData.append('passes', '3');
-                formData.append('wipeType', 'device');
+        // One batch groups the per-device jobs so they can be certified together
+        let result;
+        try {
+            const response = await fetch('/api/wipe-batches', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ deviceIds: selectedDevices, method: 'DoD 5220.22-M', passes: 3 })
+            });
+            result = await response.json();
+            if (!response.ok) {
+                alert(`Could not start batch wipe: ${result.error}`);
+                return;
+            }
+        } catch (error) {
+            console.error('Error starting batch wipe:', error);
+            alert('Failed to start batch wipe. Please try again.');
+            return;
+        }
 
-                const response = await fetch('/api/wipe', {
-                    method: 'POST',
-                    body: formData
-                });
+        const jobDevices = {};
+        this.deviceJobs = this.deviceJobs || {};
+        result.jobs.forEach(({ jobId, deviceId }) => {
+            jobDevices[jobId] = deviceId;
+            this.deviceJobs[deviceId] = jobId;
+            this.setDeviceCardStatus(deviceId, 'pending', 'Queued');
+        });
+        console.log(`Started wipe batch ${result.batchId} with ${result.jobs.length} jobs`);
+
+        this.watchBatchJobs(jobDevices, () => this.loadWipeBatches());
+        this.loadWipeBatches();
+        alert(`Batch wipe started for ${selectedDevices.length} devices.`);
+    }
+
+    // One event stream covers every job in the batch instead of polling each one
+    watchBatchJobs(jobDevices, onFinished) {
+        const jobIds = Object.keys(jobDevices);
+        if (jobIds.length === 0) {
+            return;
+        }
+
+        const source = new EventSource(`/api/wipe/events?jobId=${jobIds.map(encodeURIComponent).join(',')}`);
+        const finished = new Set();
+
+        const update = (event) => {
+            const data = JSON.parse(event.data);
+            const deviceId = jobDevices[data.jobId];
+            const status = event.type === 'completed' || event.type === 'failed' ? event.type : data.status;
+
+            if (status === 'completed') {
+                this.setDeviceCardStatus(deviceId, 'completed', 'Wiped');
+            } else if (status === 'failed') {
+                this.setDeviceCardStatus(deviceId, 'failed', 'Failed');
+            } else if (status === 'cancelled') {
+                this.setDeviceCardStatus(deviceId, 'cancelled', 'Cancelled');
+            } else if (status === 'paused') {
+                this.setDeviceCardStatus(deviceId, 'paused', 'Paused');
+            } else if (data.progress !== undefined) {
+                this.setDeviceCardStatus(deviceId, 'in_progress', `Wiping ${data.progress}%`);
+            } else if (status === 'pending') {
+                this.setDeviceCardStatus(deviceId, 'pending', data.error ? 'Retrying' : 'Queued');
+            }
+
+            if (status === 'completed' || status === 'failed' || status === 'cancelled') {
+                finished.add(data.jobId);
+                if (finished.size === jobIds.length) {
+                    source.close();
+                    if (onFinished) {
+                        onFinished();
+                    }
+                }
+            }
+        };
+
+        ['status', 'progress', 'completed', 'failed', 'cancelled'].forEach(type => source.addEventListener(type, update));
+    }
+
+    async loadWipeBatches() {
+        const list = document.getElementById('wipe-batches-list');
+        try {
+            const response = await fetch('/api/wipe-batches');
+            const batches = await response.json();
+            if (!response.ok) {
+                throw new Error(batches.error);
+            }
+
+            list.innerHTML = batches.length === 0 ? '<p class="settings-hint">No batch wipes yet.</p>' : '';
+            batches.forEach(batch => {
+                const batchElement = document.createElement('div');
+                batchElement.className = 'certificate-card';
+                batchElement.innerHTML = `
+                    <div class="cert-header">
+                        <h4>${this.escapeHtml(batch.name || `Batch #${batch.id.substring(0, 8)}`)}</h4>
+                        <span class="cert-date">${new Date(batch.createdAt).toLocaleDateString()}</span>
+                    </div>
+                    <div class="cert-details">
+                        <p><strong>Devices:</strong> ${batch.deviceCount}</p>
+                        <p><strong>Method:</strong> ${this.escapeHtml(batch.method)}</p>
+                        <p><strong>Status:</strong> ${batch.status.replace('_', ' ')} (${batch.progress}%)</p>
+                        ${batch.certificate ? `<p><strong>Root Hash:</strong> ${batch.certificate.rootHash.substring(0, 16)}...</p>` : ''}
+                    </div>
+                    <div class="cert-actions">
+                        ${batch.certificate ? `
+                        <button class="btn-primary" onclick="app.downloadCertificate('${batch.certificate.downloadUrl}', 'batch-certificate-${batch.id}.pdf')">
+                            <i class="fas fa-download"></i> Download
+                        </button>
+                        <a class="btn-secondary" href="/verify.html?batch=${encodeURIComponent(batch.certificate.id)}" target="_blank">
+                            <i class="fas fa-shield-alt"></i> Verify
+                        </a>` : batch.status === 'completed' ? `
+                        <button class="btn-primary" onclick="app.issueBatchCertificate('${batch.id}')">
+                            <i class="fas fa-certificate"></i> Issue Batch Certificate
+                        </button>` : ''}
+                    </div>
+                `;
+                list.appendChild(batchElement);
+            });
+        } catch (error) {
+            console.error('Error loading wipe batches:', error);
+        }
+    }
+
+    async issueBatchCertificate(batchId) {
+        try {
+            const response = await fetch(`/api/wipe-batches/${batchId}/certificate`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({})
+            });
+            const result = await response.json();
+
+            if (!response.ok) {
+                const reasons = result.violations
+                    ? result.violations.map(violation => `- ${violation.deviceName || violation.jobId}: ${violation.message}`).join('\n')
+                    : result.error;
+                alert(`Batch certificate could not be generated:\n${reasons}`);
+                return;
+            }
+
+            this.downloadCertificate(result.downloadUrl, `batch-certificate-${result.batchId}.pdf`);
+            await this.loadWipeBatches();
+        } catch (error) {
+            console.error('Error generating batch certificate:', error);
+            alert('Failed to generate batch certificate. Please try again.');
+        }
+    }
+
+    async cancelDeviceWipe(deviceId) {
+        const jobId = this.deviceJobs && this.deviceJobs[deviceId];
+        if (!jobId || !confirm('Stop the wipe running on this device?')) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/wipe/${jobId}/cancel`, { method: 'POST' });
+            const result = await response.json();
+            if (!response.ok) {
+                alert(`Could not cancel wipe: ${result.error}`);
+                return;
+            }
+            this.setDeviceCardStatus(deviceId, result.status, result.status === 'cancelled' ? 'Cancelled' : 'Cancelling');
+        } catch (error) {
+            console.error(`Error cancelling wipe for device ${deviceId}:`, error);
+        }
+    }
+
+    setDeviceCardStatus(deviceId, status, label) {
+        const card = document.querySelector(`.device-card[data-device-id="${CSS.escape(deviceId)}"]`);
+        const statusLabel = card && card.querySelector('.device-status span');
+        if (statusLabel) {
+            statusLabel.className = `status-${status}`;
+            statusLabel.textContent = label;
+            card.querySelector('.cancel-device-wipe').style.display =
+                ['pending', 'in_progress', 'paused'].includes(status) ? '' : 'none';
+        }
+    }
+
+    hasPermission(permission) {
+        return Boolean(this.currentUser && (this.currentUser.permissions || []).includes(permission));
+    }
+
+    // Members and pending invitations; only admins get the controls to change them
+    async loadOrganisation() {
+        try {
+            const response = await fetch('/api/organisation');
+            if (!response.ok) {
+                return;
+            }
+            this.renderOrganisation(await response.json());
+        } catch (error) {
+            console.error('Error loading organisation:', error);
+        }
+    }
+
+    renderOrganisation(organisation) {
+        const canManage = this.hasPermission('organisation:manage');
+        const roles = Object.keys(organisation.roles);
+        const roleOptions = (selected) => roles.map(role =>
+            `<option value="${role}" ${role === selected ? 'selected' : ''}>${role}</option>`
+        ).join('');
+
+        const nameInput = document.getElementById('organisation-name');
+        nameInput.value = organisation.name;
+        nameInput.disabled = !canManage;
+        const requireTwoFactor = document.getElementById('organisation-require-two-factor');
+        requireTwoFactor.checked = organisation.requireTwoFactor;
+        requireTwoFactor.disabled = !canManage;
+        document.getElementById('save-organisation').style.display = canManage ? '' : 'none';
+        document.getElementById('organisation-invite-form').style.display = canManage ? '' : 'none';
+        document.getElementById('invite-role').innerHTML = roleOptions('operator');
+
+        document.getElementById('organisation-members').innerHTML = organisation.members.map(member => `
+            <tr>
+                <td>${this.escapeHtml(`${member.firstName} ${member.lastName}`)}${member.id === this.currentUser.id ? ' (you)' : ''}</td>
+                <td>${this.escapeHtml(member.email)}</td>
+                <td>${canManage
+                    ? `<select onchange="app.changeMemberRole('${member.id}', this.value)">${roleOptions(member.role)}</select>`
+                    : this.escapeHtml(member.role)}</td>
+                <td>${member.twoFactorEnabled ? 'On' : 'Off'}</td>
+                <td>${canManage && member.id !== this.currentUser.id ? `
+                    ${member.twoFactorEnabled ? `
+                    <button class="btn-secondary" onclick="app.resetMemberTwoFactor('${member.id}')">
+                        <i class="fas fa-key"></i> Reset 2FA
+                    </button>` : ''}
+                    <button class="btn-secondary" onclick="app.removeOrganisationMember('${member.id}')">
+                        <i class="fas fa-user-minus"></i> Remove
+                    </button>` : ''}</td>
+            </tr>
+        `).join('');
+
+        const pending = organisation.invitations || [];
+        document.getElementById('organisation-invitations').innerHTML = pending.map(invitation => `
+            <div class="template-row">
+                <div>
+                    <strong>${this.escapeHtml(invitation.email)}</strong>
+                    <div>Invited as ${this.escapeHtml(invitation.role)} · ${new Date(invitation.createdAt).toLocaleDateString()}</div>
+                </div>
+                <div>
+                    <button class="btn-secondary" onclick="app.withdrawInvitation('${invitation.id}')">
+                        <i class="fas fa-times"></i> Withdraw
+                    </button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    // Shared by the organisation actions: report the server's error, otherwise reload the section
+    async sendOrganisationRequest(url, options, failureMessage) {
+        try {
+            const response = await fetch(url, options);
+            const result = await response.json();
+            if (!response.ok) {
+                alert(`${failureMessage}: ${result.error}`);
+            }
+            await this.loadOrganisation();
+            return response.ok ? result : null;
+        } catch (error) {
+            console.error(`${failureMessage}:`, error);
+            alert(`${failureMessage}. Please try again.`);
+            return null;
+        }
+    }
+
+    async saveOrganisation() {
+        await this.sendOrganisationRequest('/api/organisation', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                name: document.getElementById('organisation-name').value,
+                requireTwoFactor: document.getElementById('organisation-require-two-factor').checked
+            })
+        }, 'Could not save the organisation');
+    }
+
+    async inviteOrganisationMember(event) {
+        event.preventDefault();
+        const invitation = await this.sendOrganisationRequest('/api/organisation/invitations', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                email: document.getElementById('invite-email').value,
+                role: document.getElementById('invite-role').value
+            })
+        }, 'Could not send the invitation');
+        if (invitation) {
+            document.getElementById('invite-email').value = '';
+            document.getElementById('organisation-invite-link-value').textContent =
+                `${window.location.origin}${invitation.invitePath}`;
+            document.getElementById('organisation-invite-link').style.display = '';
+        }
+    }
+
+    async withdrawInvitation(invitationId) {
+        await this.sendOrganisationRequest(`/api/organisation/invitations/${invitationId}`,
+            { method: 'DELETE' }, 'Could not withdraw the invitation');
+    }
+
+    async changeMemberRole(memberId, role) {
+        await this.sendOrganisationRequest(`/api/organisation/members/${memberId}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ role })
+        }, 'Could not change the role');
+    }
+
+    async resetMemberTwoFactor(memberId) {
+        if (!confirm('Reset this member\'s two-factor authentication? They sign in with their password alone until they enrol again.')) {
+            return;
+        }
+        await this.sendOrganisationRequest(`/api/organisation/members/${memberId}/two-factor`,
+            { method: 'DELETE' }, 'Could not reset two-factor authentication');
+    }
+
+    async removeOrganisationMember(memberId) {
+        if (!confirm('Remove this member? Their devices, jobs and certificates stay with the organisation.')) {
+            return;
+        }
+        await this.sendOrganisationRequest(`/api/organisation/members/${memberId}`,
+            { method: 'DELETE' }, 'Could not remove the member');
+    }
+
+    // Invite links for an existing account land here via login.html; everything on screen
+    // belongs to the old organisation afterwards, so start again from the dashboard
+    async offerInvitation(token) {
+        window.history.replaceState(null, '', window.location.pathname);
+        try {
+            const response = await fetch(`/api/invitations/${encodeURIComponent(token)}`);
+            const invitation = await response.json();
+            if (!response.ok) {
+                alert(`This invitation cannot be used: ${invitation.error}`);
+                return;
+            }
+            if (!confirm(`Join ${invitation.organisation.name} as ${invitation.role}? You will leave ${this.currentUser.organisation.name}.`)) {
+                return;
+            }
+            const accepted = await fetch('/api/invitations/accept', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ token })
+            });
+            const result = await accepted.json();
+            if (!accepted.ok) {
+                alert(`Could not accept the invitation: ${result.error}`);
+                return;
+            }
+            window.location.reload();
+        } catch (error) {
+            console.error('Error accepting invitation:', error);
+            alert('Failed to accept the invitation. Please try again.');
+        }
+    }
+
+    async loadTwoFactor() {
+        try {
+            const response = await fetch('/api/auth/two-factor');
+            if (response.ok) {
+                this.renderTwoFactor(await response.json());
+            }
+        } catch (error) {
+            console.error('Error loading two-factor status:', error);
+        }
+    }
+
+    renderTwoFactor(status) {
+        const show = (id, visible) => {
+            document.getElementById(id).style.display = visible ? '' : 'none';
+        };
+        document.getElementById('two-factor-status').textContent = status.enabled
+            ? `Enabled since ${new Date(status.enabledAt).toLocaleDateString()}. ${status.recoveryCodesRemaining} recovery codes left.`
+            : status.required
+                ? 'Your organisation requires two-factor authentication for your role. Set it up to keep running wipes and issuing certificates.'
+                : 'Sign-in asks for a code from an authenticator app as well as your password.';
+        document.getElementById('two-factor-code').value = '';
+        show('two-factor-setup', false);
+        show('two-factor-setup-button', !status.enabled);
+        show('two-factor-enable-button', false);
+        show('two-factor-code', status.enabled);
+        show('two-factor-recovery-button', status.enabled);
+        show('two-factor-disable-button', status.enabled && !status.required);
+    }
+
+    // Shows the new secret; enrolment completes once a code from it is verified
+    async setupTwoFactor() {
+        try {
+            const response = await fetch('/api/auth/two-factor/setup', { method: 'POST' });
+            const result = await response.json();
+            if (!response.ok) {
+                alert(`Could not start two-factor setup: ${result.error}`);
+                return;
+            }
+            document.getElementById('two-factor-qr').src = result.qrCode;
+            document.getElementById('two-factor-secret').textContent = result.secret;
+            document.getElementById('two-factor-setup').style.display = '';
+            document.getElementById('two-factor-recovery-codes').style.display = 'none';
+            document.getElementById('two-factor-code').style.display = '';
+            document.getElementById('two-factor-enable-button').style.display = '';
+            document.getElementById('two-factor-setup-button').style.display = 'none';
+        } catch (error) {
+            console.error('Error starting two-factor setup:', error);
+            alert('Failed to start two-factor setup. Please try again.');
+        }
+    }
+
+    async sendTwoFactorCode(url, method, failureMessage) {
+        try {
+            const response = await fetch(url, {
+                method,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ code: document.getElementById('two-factor-code').value.trim() })
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                alert(`${failureMessage}: ${result.error}`);
+                return null;
+            }
+            return result;
+        } catch (error) {
+            console.error(`${failureMessage}:`, error);
+            alert(`${failureMessage}. Please try again.`);
+            return null;
+        }
+    }
+
+    showRecoveryCodes(codes) {
+        document.getElementById('two-factor-recovery-list').innerHTML = codes
+            .map(code => `<li>${this.escapeHtml(code)}</li>`).join('');
+        document.getElementById('two-factor-recovery-codes').style.display = '';
+    }
+
+    async enableTwoFactor() {
+        const result = await this.sendTwoFactorCode('/api/auth/two-factor/enable', 'POST',
+            'Could not enable two-factor authentication');
+        if (result) {
+            await this.refreshCurrentUser();
+            await this.loadTwoFactor();
+            this.showRecoveryCodes(result.recoveryCodes);
+        }
+    }
+
+    async regenerateRecoveryCodes() {
+        const result = await this.sendTwoFactorCode('/api/auth/two-factor/recovery-codes', 'POST',
+            'Could not create new recovery codes');
+        if (result) {
+            await this.loadTwoFactor();
+            this.showRecoveryCodes(result.recoveryCodes);
+        }
+    }
+
+    async disableTwoFactor() {
+        if (!confirm('Disable two-factor authentication? Sign-in will only need your password.')) {
+            return;
+        }
+        const result = await this.sendTwoFactorCode('/api/auth/two-factor', 'DELETE',
+            'Could not disable two-factor authentication');
+        if (result) {
+            document.getElementById('two-factor-recovery-codes').style.display = 'none';
+            await this.refreshCurrentUser();
+            await this.loadTwoFactor();
+        }
+    }
+
+    // Keeps currentUser.twoFactor in step after enrolling or disabling
+    async refreshCurrentUser() {
+        await this.checkAuthStatus();
+    }
+
+    async loadApiTokens() {
+        let tokens;
+        try {
+            const response = await fetch('/api/tokens');
+            if (!response.ok) {
+                return;
+            }
+            tokens = await response.json();
+        } catch (error) {
+            console.error('Error loading API tokens:', error);
+            return;
+        }
+
+        // Scopes on offer are the permissions of the user's own role
+        const scopes = document.getElementById('api-token-scopes');
+        if (!scopes.children.length) {
+            scopes.innerHTML = (this.currentUser.permissions || []).map(permission => `
+                <label class="template-checkbox"><input type="checkbox" value="${permission}"> ${permission}</label>
+            `).join('');
+        }
 
+        const list = document.getElementById('api-tokens-list');
+        list.innerHTML = tokens.length === 0 ? '<p class="settings-hint">No API tokens yet.</p>' : '';
+        tokens.forEach(token => {
+            const row = document.createElement('div');
+            row.className = 'template-row';
+            const state = token.revokedAt
+                ? `revoked ${new Date(token.revokedAt).toLocaleDateString()}`
+                : !token.active
+                    ? 'expired'
+                    : token.expiresAt ? `expires ${new Date(token.expiresAt).toLocaleDateString()}` : 'never expires';
+            row.innerHTML = `
+                <div>
+                    <strong>${this.escapeHtml(token.name)}</strong> <code>${this.escapeHtml(token.prefix)}…</code>
+                    <div>${token.scopes.map(scope => this.escapeHtml(scope)).join(', ')}</div>
+                    <div>${state} · ${token.lastUsedAt ? `last used ${new Date(token.lastUsedAt).toLocaleString()}` : 'never used'}</div>
+                </div>
+                <div>
+                    ${token.active ? `
+                    <button class="btn-secondary" onclick="app.revokeApiToken('${token.id}')">
+                        <i class="fas fa-ban"></i> Revoke
+                    </button>` : ''}
+                </div>
+            `;
+            list.appendChild(row);
+        });
+    }
+
+    async createApiToken(event) {
+        event.preventDefault();
+        const scopes = Array.from(document.querySelectorAll('#api-token-scopes input:checked')).map(input => input.value);
+        if (scopes.length === 0) {
+            alert('Choose at least one scope for the token.');
+            return;
+        }
+
+        try {
+            const response = await fetch('/api/tokens', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    name: document.getElementById('api-token-name').value,
+                    expiresInDays: document.getElementById('api-token-expiry').value || null,
+                    scopes
+                })
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                alert(`Could not create token: ${result.error}`);
+                return;
+            }
+            document.getElementById('api-token-form').reset();
+            document.getElementById('api-token-value').textContent = result.token;
+            document.getElementById('api-token-created').style.display = '';
+            await this.loadApiTokens();
+        } catch (error) {
+            console.error('Error creating API token:', error);
+            alert('Failed to create token. Please try again.');
+        }
+    }
+
+    async revokeApiToken(tokenId) {
+        if (!confirm('Revoke this token? Anything using it stops working immediately.')) {
+            return;
+        }
+        try {
+            const response = await fetch(`/api/tokens/${tokenId}`, { method: 'DELETE' });
+            if (!response.ok) {
                 const result = await response.json();
-                console.log(`Started wipe job ${result.jobId} for device ${deviceId}`);
-            } catch (error) {
-                console.error(`Error starting wipe for device ${deviceId}:`, error);
+                alert(`Could not revoke token: ${result.error}`);
             }
+            await this.loadApiTokens();
+        } catch (error) {
+            console.error('Error revoking API token:', error);
+            alert('Failed to revoke token. Please try again.');
         }
+    }
 
-        alert(`Batch wipe started for ${selectedDevices.length} devices.`);
+    async loadIssuancePolicy() {
+        try {
+            const response = await fetch('/api/certificate-policy');
+            if (!response.ok) {
+                return;
+            }
+            const policy = await response.json();
+            document.getElementById('policy-require-verification').checked = policy.requireVerification;
+            document.getElementById('policy-require-scan').checked = policy.requireResidueScan;
+            document.getElementById('policy-min-entropy').value = policy.minEntropyScore;
+        } catch (error) {
+            console.error('Error loading issuance policy:', error);
+        }
+    }
+
+    async saveIssuancePolicy() {
+        try {
+            const response = await fetch('/api/certificate-policy', {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    requireVerification: document.getElementById('policy-require-verification').checked,
+                    requireResidueScan: document.getElementById('policy-require-scan').checked,
+                    minEntropyScore: document.getElementById('policy-min-entropy').value
+                })
+            });
+            const result = await response.json();
+
+            if (!response.ok) {
+                alert(`Could not save policy: ${result.error}`);
+                return;
+            }
+            alert('Issuance policy saved.');
+        } catch (error) {
+            console.error('Error saving issuance policy:', error);
+            alert('Failed to save policy. Please try again.');
+        }
+    }
+
+    async loadResiduePolicy() {
+        try {
+            const response = await fetch('/api/residue-policy');
+            if (!response.ok) {
+                return;
+            }
+            this.renderResiduePolicy(await response.json());
+        } catch (error) {
+            console.error('Error loading residue policy:', error);
+        }
+    }
+
+    // HIGH_RESIDUE and INCONCLUSIVE have no thresholds of their own, only a label
+    renderResiduePolicy(policy) {
+        const statuses = Object.keys(policy.labels);
+        const numberInput = (status, field, attributes) => {
+            const value = policy.thresholds[status][field];
+            return `<input type="number" data-status="${status}" data-field="${field}" ${attributes}
+                value="${value === null ? '' : value}">`;
+        };
+        document.getElementById('residue-policy-rows').innerHTML = statuses.map((status) => `
+            <tr>
+                <td>${this.escapeHtml(status)}</td>
+                <td><input type="text" data-status="${status}" data-field="label" maxlength="40"
+                    value="${this.escapeHtml(policy.labels[status])}"></td>
+                ${policy.thresholds[status] ? `
+                    <td>${numberInput(status, 'maxResiduePercent', 'min="0" max="100" step="0.1"')}</td>
+                    <td>${numberInput(status, 'maxRecoverableFiles', 'min="0" step="1" placeholder="No limit"')}</td>
+                    <td>${numberInput(status, 'minEntropyScore', 'min="0" max="100" step="0.1"')}</td>
+                ` : '<td colspan="3">Anything the statuses above do not cover</td>'}
+            </tr>
+        `).join('');
+        document.getElementById('residue-policy-version').textContent = policy.version
+            ? `Version ${policy.version}, saved ${new Date(policy.createdAt).toLocaleString()}`
+            : 'Using the built-in policy (version 0)';
+    }
+
+    async saveResiduePolicy() {
+        const thresholds = {};
+        const labels = {};
+        document.querySelectorAll('#residue-policy-rows input').forEach((input) => {
+            const { status, field } = input.dataset;
+            if (field === 'label') {
+                labels[status] = input.value;
+            } else {
+                thresholds[status] = thresholds[status] || {};
+                thresholds[status][field] = input.value === '' ? null : Number(input.value);
+            }
+        });
+
+        try {
+            const response = await fetch('/api/residue-policy', {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ thresholds, labels })
+            });
+            const result = await response.json();
+
+            if (!response.ok) {
+                alert(`Could not save classification: ${result.error}`);
+                return;
+            }
+            this.renderResiduePolicy(result);
+            alert(`Residue classification saved as version ${result.version}.`);
+        } catch (error) {
+            console.error('Error saving residue policy:', error);
+            alert('Failed to save classification. Please try again.');
+        }
+    }
+
+    async loadCertificateTemplates() {
+        try {
+            const response = await fetch('/api/certificate-templates');
+            if (!response.ok) {
+                return;
+            }
+            this.certificateTemplates = await response.json();
+        } catch (error) {
+            console.error('Error loading certificate templates:', error);
+            return;
+        }
+
+        const list = document.getElementById('certificate-templates-list');
+        list.innerHTML = this.certificateTemplates.length === 0
+            ? '<p class="settings-hint">No templates yet; certificates use the WipeSure branding in English.</p>'
+            : '';
+        this.certificateTemplates.forEach(template => {
+            const row = document.createElement('div');
+            row.className = 'template-row';
+            row.innerHTML = `
+                <div>
+                    <strong>${this.escapeHtml(template.name)}</strong>
+                    ${template.isDefault ? '<span class="template-default-badge">DEFAULT</span>' : ''}
+                    <div>${this.escapeHtml(template.companyName)} · ${template.language.toUpperCase()}</div>
+                </div>
+                <div>
+                    <button class="btn-secondary" onclick="app.editCertificateTemplate('${template.id}')">
+                        <i class="fas fa-edit"></i> Edit
+                    </button>
+                    <button class="btn-secondary" onclick="app.deleteCertificateTemplate('${template.id}')">
+                        <i class="fas fa-trash"></i> Delete
+                    </button>
+                </div>
+            `;
+            list.appendChild(row);
+        });
+
+        // Template picker shown when a finished wipe is certified
+        const picker = document.getElementById('certificate-template');
+        if (picker) {
+            picker.innerHTML = this.certificateTemplates.map(template =>
+                `<option value="${template.id}" ${template.isDefault ? 'selected' : ''}>${this.escapeHtml(template.name)} (${template.language.toUpperCase()})</option>`
+            ).join('');
+            picker.style.display = this.certificateTemplates.length > 1 ? '' : 'none';
+        }
+    }
+
+    editCertificateTemplate(templateId) {
+        const template = this.certificateTemplates.find(candidate => candidate.id === templateId);
+        if (!template) {
+            return;
+        }
+        document.getElementById('template-id').value = template.id;
+        document.getElementById('template-name').value = template.name;
+        document.getElementById('template-company').value = template.companyName;
+        document.getElementById('template-address').value = template.address || '';
+        document.getElementById('template-signatory-name').value = template.signatoryName || '';
+        document.getElementById('template-signatory-title').value = template.signatoryTitle || '';
+        document.getElementById('template-footer').value = template.footerText || '';
+        document.getElementById('template-language').value = template.language;
+        document.getElementById('template-default').checked = template.isDefault;
+        document.getElementById('template-remove-logo').checked = false;
+        document.getElementById('template-logo').value = '';
+        document.getElementById('cancel-template-edit').style.display = '';
+    }
+
+    resetCertificateTemplateForm() {
+        document.getElementById('certificate-template-form').reset();
+        document.getElementById('template-id').value = '';
+        document.getElementById('cancel-template-edit').style.display = 'none';
+    }
+
+    async saveCertificateTemplate(e) {
+        e.preventDefault();
+        const templateId = document.getElementById('template-id').value;
+        const formData = new FormData();
+        formData.append('name', document.getElementById('template-name').value);
+        formData.append('companyName', document.getElementById('template-company').value);
+        formData.append('address', document.getElementById('template-address').value);
+        formData.append('signatoryName', document.getElementById('template-signatory-name').value);
+        formData.append('signatoryTitle', document.getElementById('template-signatory-title').value);
+        formData.append('footerText', document.getElementById('template-footer').value);
+        formData.append('language', document.getElementById('template-language').value);
+        formData.append('isDefault', document.getElementById('template-default').checked);
+        formData.append('removeLogo', document.getElementById('template-remove-logo').checked);
+        const logo = document.getElementById('template-logo').files[0];
+        if (logo) {
+            formData.append('logo', logo);
+        }
+
+        try {
+            const response = await fetch(templateId ? `/api/certificate-templates/${templateId}` : '/api/certificate-templates', {
+                method: templateId ? 'PUT' : 'POST',
+                body: formData
+            });
+            const result = await response.json();
+
+            if (!response.ok) {
+                alert(`Could not save template: ${result.error}`);
+                return;
+            }
+            this.resetCertificateTemplateForm();
+            await this.loadCertificateTemplates();
+        } catch (error) {
+            console.error('Error saving certificate template:', error);
+            alert('Failed to save template. Please try again.');
+        }
+    }
+
+    async deleteCertificateTemplate(templateId) {
+        if (!confirm('Delete this template? Certificates already issued with it are not affected.')) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/certificate-templates/${templateId}`, { method: 'DELETE' });
+            const result = await response.json();
+
+            if (!response.ok) {
+                alert(`Could not delete template: ${result.error}`);
+                return;
+            }
+            if (document.getElementById('template-id').value === templateId) {
+                this.resetCertificateTemplateForm();
+            }
+            await this.loadCertificateTemplates();
+        } catch (error) {
+            console.error('Error deleting certificate template:', error);
+            alert('Failed to delete template. Please try again.');
+        }
     }
 
     saveSettings() {
@@ -6,11 +6,13 @@ const multer = require('multer');
 const sqlite3 = require('sqlite3').verbose();
 const PDFDocument = require('pdfkit');
 const crypto = require('crypto');
+const EventEmitter = require('events');
 const { v4: uuidv4 } = require('uuid');
-const axios = require('axios');
 const session = require('express-session');
 const SQLiteStore = require('connect-sqlite3')(session);
 const bcrypt = require('bcrypt');
+const QRCode = require('qrcode');
+const archiver = require('archiver');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -36,13 +38,19 @@ app.use(session({
 }));
 
 app.use(express.static(path.join(__dirname, 'frontend')));
-app.use('/uploads', express.static('uploads'));
-app.use('/certificates', express.static('certificates'));
+// uploads/ and certificates/ are deliberately not served statically: certificate PDFs
+// are downloaded through the permission-checked certificate routes, and uploads are
+// only ever read by the wipe engine
 
 // Create necessary directories
 fs.ensureDirSync('uploads');
 fs.ensureDirSync('certificates');
 fs.ensureDirSync('temp');
+fs.ensureDirSync('branding');
+
+// Private signing keys never go into the database; keep this directory out of backups shared with third parties
+const SIGNING_KEY_DIR = process.env.SIGNING_KEY_DIR || 'keys';
+fs.ensureDirSync(SIGNING_KEY_DIR, 0o700);
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -50,31 +58,140 @@ const storage = multer.diskStorage({
     cb(null, 'uploads/');
   },
   filename: (req, file, cb) => {
-    cb(null, Date.now() + '-' + file.originalname);
+    // Several files in one request can share a name and a millisecond
+    cb(null, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}-${path.basename(file.originalname)}`);
   }
 });
 const upload = multer({ storage: storage });
 
-// Initialize SQLite database
-const db = new sqlite3.Database('wipesure.db');
+// Certificate template logos; PDFKit can only embed PNG and JPEG
+const CERTIFICATE_LOGO_TYPES = { 'image/png': '.png', 'image/jpeg': '.jpg' };
+const logoUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      cb(null, 'branding/');
+    },
+    filename: (req, file, cb) => {
+      cb(null, `${uuidv4()}${CERTIFICATE_LOGO_TYPES[file.mimetype]}`);
+    }
+  }),
+  limits: { fileSize: 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (!CERTIFICATE_LOGO_TYPES[file.mimetype]) {
+      cb(new Error('Logo must be a PNG or JPEG image'));
+      return;
+    }
+    cb(null, true);
+  }
+});
+const WIPE_MAX_FILES = parseInt(process.env.WIPE_MAX_FILES || '1000', 10);
+
+// Initialize SQLite database. Writes wait up to DB_BUSY_TIMEOUT_MS for a
+// transaction open on another connection (see dbTransaction) rather than fail.
+const DB_FILE = 'wipesure.db';
+const DB_BUSY_TIMEOUT_MS = 10000;
+const db = new sqlite3.Database(DB_FILE);
+db.configure('busyTimeout', DB_BUSY_TIMEOUT_MS);
 
 // Initialize database tables
 db.serialize(() => {
-  // Users table
+  // Organisations share devices, jobs, certificates and settings between their members. The issuance
+  // policy columns are null until an admin sets them, and DEFAULT_ISSUANCE_POLICY applies
+  db.run(`CREATE TABLE IF NOT EXISTS organisations (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    require_verification INTEGER,
+    require_residue_scan INTEGER,
+    min_entropy_score REAL,
+    policy_updated_at DATETIME,
+    require_two_factor INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+  addColumnIfMissing('organisations', 'require_two_factor', 'INTEGER DEFAULT 0');
+
+  // Users table; every user belongs to one organisation with one role (see ROLE_PERMISSIONS)
   db.run(`CREATE TABLE IF NOT EXISTS users (
     id TEXT PRIMARY KEY,
     email TEXT UNIQUE NOT NULL,
     password_hash TEXT NOT NULL,
     first_name TEXT,
     last_name TEXT,
+    organisation_id TEXT,
+    role TEXT,
+    totp_secret TEXT,
+    totp_pending_secret TEXT,
+    totp_enabled_at DATETIME,
+    totp_last_step INTEGER,
+    totp_failed_attempts INTEGER DEFAULT 0,
+    totp_locked_until DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (organisation_id) REFERENCES organisations (id)
+  )`);
+  addColumnIfMissing('users', 'organisation_id', 'TEXT');
+  addColumnIfMissing('users', 'role', 'TEXT');
+  addColumnIfMissing('users', 'totp_secret', 'TEXT');
+  addColumnIfMissing('users', 'totp_pending_secret', 'TEXT');
+  addColumnIfMissing('users', 'totp_enabled_at', 'DATETIME');
+  addColumnIfMissing('users', 'totp_last_step', 'INTEGER');
+  addColumnIfMissing('users', 'totp_failed_attempts', 'INTEGER DEFAULT 0');
+  addColumnIfMissing('users', 'totp_locked_until', 'DATETIME');
+
+  // Single-use recovery codes for two-factor login, stored as SHA-256 hashes
+  db.run(`CREATE TABLE IF NOT EXISTS user_recovery_codes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id TEXT NOT NULL,
+    code_hash TEXT NOT NULL,
+    used_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users (id)
+  )`);
+  db.run('CREATE INDEX IF NOT EXISTS idx_user_recovery_codes_user ON user_recovery_codes (user_id)');
+
+  // Personal API tokens for scripts and the desktop app; only the SHA-256 of each token is kept.
+  // scopes is a JSON array of permissions, which the owner's role must also grant at use time
+  db.run(`CREATE TABLE IF NOT EXISTS api_tokens (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    organisation_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    token_hash TEXT UNIQUE NOT NULL,
+    token_prefix TEXT NOT NULL,
+    scopes TEXT NOT NULL,
+    expires_at DATETIME,
+    last_used_at DATETIME,
+    revoked_at DATETIME,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    FOREIGN KEY (user_id) REFERENCES users (id),
+    FOREIGN KEY (organisation_id) REFERENCES organisations (id)
+  )`);
+  db.run('CREATE INDEX IF NOT EXISTS idx_api_tokens_user ON api_tokens (user_id)');
+  db.run('CREATE INDEX IF NOT EXISTS idx_users_organisation ON users (organisation_id)');
+
+  // Pending invitations. Joining needs the secret token from the invite link, whose SHA-256 is
+  // kept here; the address is never verified, so it alone must not let anyone in
+  db.run(`CREATE TABLE IF NOT EXISTS organisation_invitations (
+    id TEXT PRIMARY KEY,
+    organisation_id TEXT NOT NULL,
+    email TEXT NOT NULL,
+    role TEXT NOT NULL,
+    token_hash TEXT,
+    invited_by TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    accepted_at DATETIME,
+    FOREIGN KEY (organisation_id) REFERENCES organisations (id),
+    FOREIGN KEY (invited_by) REFERENCES users (id)
   )`);
+  addColumnIfMissing('organisation_invitations', 'token_hash', 'TEXT');
+  db.run('CREATE INDEX IF NOT EXISTS idx_organisation_invitations_email ON organisation_invitations (email)');
+  db.run(`CREATE UNIQUE INDEX IF NOT EXISTS idx_organisation_invitations_token
+          ON organisation_invitations (token_hash)`);
 
-  // Devices table (updated to include user_id)
+  // Devices table; user_id is whoever registered the device, organisation_id who shares it
   db.run(`CREATE TABLE IF NOT EXISTS devices (
     id TEXT PRIMARY KEY,
     user_id TEXT,
+    organisation_id TEXT,
     name TEXT NOT NULL,
     model TEXT,
     storage TEXT,
@@ -84,34 +201,221 @@ db.serialize(() => {
     browser_info TEXT,
     detected_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY (user_id) REFERENCES users (id)
+    FOREIGN KEY (user_id) REFERENCES users (id),
+    FOREIGN KEY (organisation_id) REFERENCES organisations (id)
   )`);
+  addColumnIfMissing('devices', 'organisation_id', 'TEXT');
+  db.run('CREATE INDEX IF NOT EXISTS idx_devices_organisation ON devices (organisation_id)');
 
-  // Wipe jobs table (updated to include user_id)
+  // Wipe jobs table; user_id is whoever started the job
   db.run(`CREATE TABLE IF NOT EXISTS wipe_jobs (
     id TEXT PRIMARY KEY,
     user_id TEXT NOT NULL,
+    organisation_id TEXT,
     device_id TEXT,
     method TEXT NOT NULL,
     passes INTEGER DEFAULT 3,
     status TEXT DEFAULT 'pending',
     progress INTEGER DEFAULT 0,
     file_path TEXT,
+    wipe_type TEXT,
+    patterns TEXT,
+    verify INTEGER DEFAULT 0,
+    verify_sample INTEGER DEFAULT 100,
+    current_pass INTEGER DEFAULT 0,
+    bytes_total INTEGER,
+    bytes_written INTEGER DEFAULT 0,
+    throughput_bps REAL,
+    eta_seconds INTEGER,
+    attempts INTEGER DEFAULT 0,
+    max_attempts INTEGER DEFAULT 3,
+    last_error TEXT,
+    next_attempt_at DATETIME,
+    started_at DATETIME,
+    finished_at DATETIME,
+    batch_id TEXT,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (user_id) REFERENCES users (id),
-    FOREIGN KEY (device_id) REFERENCES devices (id)
+    FOREIGN KEY (organisation_id) REFERENCES organisations (id),
+    FOREIGN KEY (device_id) REFERENCES devices (id),
+    FOREIGN KEY (batch_id) REFERENCES wipe_batches (id)
   )`);
+  addColumnIfMissing('wipe_jobs', 'wipe_type', 'TEXT');
+  addColumnIfMissing('wipe_jobs', 'patterns', 'TEXT');
+  addColumnIfMissing('wipe_jobs', 'verify', 'INTEGER DEFAULT 0');
+  addColumnIfMissing('wipe_jobs', 'verify_sample', 'INTEGER DEFAULT 100');
+  addColumnIfMissing('wipe_jobs', 'current_pass', 'INTEGER DEFAULT 0');
+  addColumnIfMissing('wipe_jobs', 'bytes_total', 'INTEGER');
+  addColumnIfMissing('wipe_jobs', 'bytes_written', 'INTEGER DEFAULT 0');
+  addColumnIfMissing('wipe_jobs', 'throughput_bps', 'REAL');
+  addColumnIfMissing('wipe_jobs', 'eta_seconds', 'INTEGER');
+  addColumnIfMissing('wipe_jobs', 'attempts', 'INTEGER DEFAULT 0');
+  addColumnIfMissing('wipe_jobs', 'max_attempts', 'INTEGER DEFAULT 3');
+  addColumnIfMissing('wipe_jobs', 'last_error', 'TEXT');
+  addColumnIfMissing('wipe_jobs', 'next_attempt_at', 'DATETIME');
+  addColumnIfMissing('wipe_jobs', 'started_at', 'DATETIME');
+  addColumnIfMissing('wipe_jobs', 'finished_at', 'DATETIME');
+  addColumnIfMissing('wipe_jobs', 'batch_id', 'TEXT');
+  addColumnIfMissing('wipe_jobs', 'organisation_id', 'TEXT');
+  db.run('CREATE INDEX IF NOT EXISTS idx_wipe_jobs_status ON wipe_jobs (status)');
+  db.run('CREATE INDEX IF NOT EXISTS idx_wipe_jobs_batch ON wipe_jobs (batch_id)');
+  db.run('CREATE INDEX IF NOT EXISTS idx_wipe_jobs_organisation ON wipe_jobs (organisation_id)');
 
-  // AI results table
+  // Multi-device wipes: one job per device, grouped so they can be tracked and certified together
+  db.run(`CREATE TABLE IF NOT EXISTS wipe_batches (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    organisation_id TEXT,
+    name TEXT,
+    method TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users (id),
+    FOREIGN KEY (organisation_id) REFERENCES organisations (id)
+  )`);
+  addColumnIfMissing('wipe_batches', 'organisation_id', 'TEXT');
+
+  // Per-pass evidence: one row per pass attempt with its timing and byte count
+  db.run(`CREATE TABLE IF NOT EXISTS wipe_passes (
+    id TEXT PRIMARY KEY,
+    job_id TEXT NOT NULL,
+    pass_number INTEGER NOT NULL,
+    pattern TEXT,
+    bytes_total INTEGER,
+    bytes_written INTEGER DEFAULT 0,
+    status TEXT DEFAULT 'running',
+    error TEXT,
+    started_at DATETIME,
+    finished_at DATETIME,
+    FOREIGN KEY (job_id) REFERENCES wipe_jobs (id)
+  )`);
+  db.run('CREATE INDEX IF NOT EXISTS idx_wipe_passes_job ON wipe_passes (job_id)');
+
+  // Read-back verification results, one row per verified pass attempt
+  db.run(`CREATE TABLE IF NOT EXISTS wipe_verifications (
+    id TEXT PRIMARY KEY,
+    job_id TEXT NOT NULL,
+    pass_number INTEGER NOT NULL,
+    pattern TEXT,
+    sample_percent INTEGER,
+    blocks_checked INTEGER,
+    bytes_checked INTEGER,
+    mismatched_blocks INTEGER,
+    first_mismatch_offset INTEGER,
+    status TEXT,
+    item_id TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (job_id) REFERENCES wipe_jobs (id)
+  )`);
+  addColumnIfMissing('wipe_verifications', 'item_id', 'TEXT');
+
+  // Files covered by a file wipe job; one job can wipe many files or a whole folder
+  db.run(`CREATE TABLE IF NOT EXISTS wipe_job_items (
+    id TEXT PRIMARY KEY,
+    job_id TEXT NOT NULL,
+    item_index INTEGER NOT NULL,
+    relative_path TEXT NOT NULL,
+    file_path TEXT,
+    size_bytes INTEGER,
+    status TEXT DEFAULT 'pending',
+    passes_completed INTEGER DEFAULT 0,
+    error TEXT,
+    destroyed_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (job_id) REFERENCES wipe_jobs (id)
+  )`);
+  db.run('CREATE INDEX IF NOT EXISTS idx_wipe_job_items_job ON wipe_job_items (job_id)');
+
+  // AI results table; rows without an analyzer predate the built-in residue analysis
   db.run(`CREATE TABLE IF NOT EXISTS ai_results (
     id TEXT PRIMARY KEY,
     job_id TEXT,
+    device_id TEXT,
+    user_id TEXT,
+    organisation_id TEXT,
     entropy_score REAL,
     recoverable_files INTEGER DEFAULT 0,
     residue_status TEXT DEFAULT 'SCANNING',
+    analyzer TEXT,
+    source TEXT,
+    target TEXT,
+    bytes_analyzed INTEGER,
+    block_size INTEGER,
+    blocks_analyzed INTEGER,
+    random_blocks INTEGER,
+    uniform_blocks INTEGER,
+    residue_blocks INTEGER,
+    details TEXT,
+    policy_version INTEGER,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (job_id) REFERENCES wipe_jobs (id)
   )`);
+  addColumnIfMissing('ai_results', 'device_id', 'TEXT');
+  addColumnIfMissing('ai_results', 'user_id', 'TEXT');
+  addColumnIfMissing('ai_results', 'analyzer', 'TEXT');
+  addColumnIfMissing('ai_results', 'source', 'TEXT');
+  addColumnIfMissing('ai_results', 'target', 'TEXT');
+  addColumnIfMissing('ai_results', 'bytes_analyzed', 'INTEGER');
+  addColumnIfMissing('ai_results', 'block_size', 'INTEGER');
+  addColumnIfMissing('ai_results', 'blocks_analyzed', 'INTEGER');
+  addColumnIfMissing('ai_results', 'random_blocks', 'INTEGER');
+  addColumnIfMissing('ai_results', 'uniform_blocks', 'INTEGER');
+  addColumnIfMissing('ai_results', 'residue_blocks', 'INTEGER');
+  addColumnIfMissing('ai_results', 'details', 'TEXT');
+  addColumnIfMissing('ai_results', 'policy_version', 'INTEGER');
+  addColumnIfMissing('ai_results', 'organisation_id', 'TEXT');
+  db.run('CREATE INDEX IF NOT EXISTS idx_ai_results_job ON ai_results (job_id)');
+  db.run('CREATE INDEX IF NOT EXISTS idx_ai_results_device ON ai_results (device_id)');
+
+  // Queued disk image scans; a completed scan points at the ai_results row it produced
+  db.run(`CREATE TABLE IF NOT EXISTS residue_scans (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    organisation_id TEXT,
+    job_id TEXT,
+    device_id TEXT,
+    target TEXT NOT NULL,
+    status TEXT DEFAULT 'pending',
+    bytes_total INTEGER,
+    bytes_scanned INTEGER DEFAULT 0,
+    progress INTEGER DEFAULT 0,
+    result_id TEXT,
+    error TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    started_at DATETIME,
+    finished_at DATETIME,
+    FOREIGN KEY (user_id) REFERENCES users (id),
+    FOREIGN KEY (job_id) REFERENCES wipe_jobs (id),
+    FOREIGN KEY (result_id) REFERENCES ai_results (id)
+  )`);
+  addColumnIfMissing('residue_scans', 'organisation_id', 'TEXT');
+  db.run('CREATE INDEX IF NOT EXISTS idx_residue_scans_user ON residue_scans (user_id)');
+
+  // Residue classification policies; every change adds a version and results record the one they were classified
+  // under. Organisations without a row use DEFAULT_RESIDUE_POLICY (version 0). user_id is whoever saved the version
+  db.run(`CREATE TABLE IF NOT EXISTS residue_policies (
+    id TEXT PRIMARY KEY,
+    organisation_id TEXT NOT NULL,
+    user_id TEXT,
+    version INTEGER NOT NULL,
+    thresholds TEXT NOT NULL,
+    labels TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (organisation_id, version),
+    FOREIGN KEY (organisation_id) REFERENCES organisations (id),
+    FOREIGN KEY (user_id) REFERENCES users (id)
+  )`);
+  addColumnIfMissing('residue_policies', 'organisation_id', 'TEXT');
+
+  // Per-account certificate issuance policies from before organisations; copied onto each account's
+  // organisation when it is created on boot, and no longer written
+  db.run(`CREATE TABLE IF NOT EXISTS issuance_policies (
+    user_id TEXT PRIMARY KEY,
+    require_verification INTEGER NOT NULL,
+    require_residue_scan INTEGER NOT NULL,
+    min_entropy_score REAL NOT NULL,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users (id)
+  )`);
 
   // Certificates table
   db.run(`CREATE TABLE IF NOT EXISTS certificates (
@@ -120,295 +424,4730 @@ db.serialize(() => {
     device_id TEXT,
     hash TEXT UNIQUE,
     pdf_path TEXT,
+    payload TEXT,
+    signature TEXT,
+    signature_algorithm TEXT,
+    key_fingerprint TEXT,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (job_id) REFERENCES wipe_jobs (id),
     FOREIGN KEY (device_id) REFERENCES devices (id)
   )`);
+  addColumnIfMissing('certificates', 'payload', 'TEXT');
+  addColumnIfMissing('certificates', 'signature', 'TEXT');
+  addColumnIfMissing('certificates', 'signature_algorithm', 'TEXT');
+  addColumnIfMissing('certificates', 'key_fingerprint', 'TEXT');
+  addColumnIfMissing('certificates', 'template_id', 'TEXT');
+  addColumnIfMissing('certificates', 'language', 'TEXT');
+  // One certificate per job. Databases that already hold a second one keep working without the index
+  db.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_certificates_job ON certificates (job_id)', (err) => {
+    if (err) {
+      console.error('Failed to add the one-certificate-per-job index:', err.message);
+    }
+  });
+
+  // Branded certificate templates; the organisation's default is used unless a job asks for another
+  db.run(`CREATE TABLE IF NOT EXISTS certificate_templates (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    organisation_id TEXT,
+    name TEXT NOT NULL,
+    company_name TEXT NOT NULL,
+    address TEXT,
+    logo_path TEXT,
+    signatory_name TEXT,
+    signatory_title TEXT,
+    footer_text TEXT,
+    language TEXT DEFAULT 'en',
+    is_default INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users (id),
+    FOREIGN KEY (organisation_id) REFERENCES organisations (id)
+  )`);
+  addColumnIfMissing('certificate_templates', 'organisation_id', 'TEXT');
+
+  // Certificate revocations; payload is the canonical record that was hashed, signed and ledgered
+  db.run(`CREATE TABLE IF NOT EXISTS certificate_revocations (
+    id TEXT PRIMARY KEY,
+    certificate_id TEXT UNIQUE NOT NULL,
+    reason TEXT NOT NULL,
+    revoked_by TEXT,
+    hash TEXT,
+    payload TEXT,
+    signature TEXT,
+    signature_algorithm TEXT,
+    key_fingerprint TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (certificate_id) REFERENCES certificates (id),
+    FOREIGN KEY (revoked_by) REFERENCES users (id)
+  )`);
+
+  // Consolidated batch certificates; payload commits to every device certificate through root_hash
+  db.run(`CREATE TABLE IF NOT EXISTS batch_certificates (
+    id TEXT PRIMARY KEY,
+    batch_id TEXT UNIQUE NOT NULL,
+    hash TEXT UNIQUE,
+    root_hash TEXT,
+    pdf_path TEXT,
+    payload TEXT,
+    signature TEXT,
+    signature_algorithm TEXT,
+    key_fingerprint TEXT,
+    template_id TEXT,
+    language TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (batch_id) REFERENCES wipe_batches (id)
+  )`);
+
+  // Certificate signing keys (public halves only; private keys live in SIGNING_KEY_DIR)
+  db.run(`CREATE TABLE IF NOT EXISTS signing_keys (
+    fingerprint TEXT PRIMARY KEY,
+    algorithm TEXT NOT NULL,
+    public_key TEXT NOT NULL,
+    status TEXT DEFAULT 'active',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    retired_at DATETIME
+  )`);
 
-  // Blockchain logs table
+  // Blockchain logs table (hash-chained ledger: every entry commits to the previous one)
   db.run(`CREATE TABLE IF NOT EXISTS blockchain_logs (
     id TEXT PRIMARY KEY,
     ref_id TEXT,
     ref_type TEXT,
     hash TEXT,
     immutable_flag BOOLEAN DEFAULT true,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    seq INTEGER,
+    prev_hash TEXT,
+    entry_hash TEXT
   )`);
+  addColumnIfMissing('blockchain_logs', 'seq', 'INTEGER');
+  addColumnIfMissing('blockchain_logs', 'prev_hash', 'TEXT');
+  addColumnIfMissing('blockchain_logs', 'entry_hash', 'TEXT');
+  db.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_blockchain_logs_seq ON blockchain_logs (seq)');
 
   // No sample devices - they will be detected per user
-});
 
-// Authentication middleware
-function requireAuth(req, res, next) {
-  if (req.session && req.session.userId) {
-    return next();
-  } else {
-    return res.status(401).json({ error: 'Authentication required' });
-  }
-}
+  // Run boot-time maintenance once the schema above is in place
+  db.get('SELECT 1', () => {
+    if (require.main === module) {
+      onDatabaseReady();
+    }
+  });
+});
 
-// Utility functions for authentication
-async function hashPassword(password) {
-  const saltRounds = 12;
-  return await bcrypt.hash(password, saltRounds);
+// Adds a column to an existing table; databases created by older versions lack newer columns
+function addColumnIfMissing(table, column, definition) {
+  db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, (err) => {
+    if (err && !/duplicate column name/i.test(err.message)) {
+      console.error(`Failed to add column ${table}.${column}:`, err.message);
+    }
+  });
 }
 
-async function comparePassword(password, hash) {
-  return await bcrypt.compare(password, hash);
+// Promise wrappers around the sqlite3 callback API
+function dbGet(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+  });
 }
 
-// Utility functions
-function generateBlockchainHash(data) {
-  return crypto.createHash('sha256').update(JSON.stringify(data) + Date.now()).digest('hex');
+function dbAll(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
 }
 
-function createBlockchainLog(refId, refType, hash) {
-  const logId = uuidv4();
-  db.run(
-    'INSERT INTO blockchain_logs (id, ref_id, ref_type, hash) VALUES (?, ?, ?, ?)',
-    [logId, refId, refType, hash]
-  );
-  return logId;
+function dbRun(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(this);
+      }
+    });
+  });
 }
 
-// Authentication Routes
+// Runs task(tx) between BEGIN IMMEDIATE and COMMIT on a connection of its own,
+// rolling back if it throws. tx has get/all/run like dbGet/dbAll/dbRun, and only
+// what goes through it is part of the transaction: the wipe runner, progress
+// events and every other writer keep using the shared connection, so a rollback
+// never discards their writes. Those writes wait for the commit instead, so keep
+// tasks to a few quick statements.
+async function dbTransaction(task) {
+  const connection = await new Promise((resolve, reject) => {
+    const opened = new sqlite3.Database(DB_FILE, (err) => (err ? reject(err) : resolve(opened)));
+  });
+  connection.configure('busyTimeout', DB_BUSY_TIMEOUT_MS);
+  const tx = {
+    get: (sql, params = []) => new Promise((resolve, reject) => {
+      connection.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+    }),
+    all: (sql, params = []) => new Promise((resolve, reject) => {
+      connection.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    }),
+    run: (sql, params = []) => new Promise((resolve, reject) => {
+      connection.run(sql, params, function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this);
+        }
+      });
+    })
+  };
 
-// User registration
-app.post('/api/auth/signup', async (req, res) => {
   try {
-    const { email, password, firstName, lastName } = req.body;
-    
-    if (!email || !password || !firstName || !lastName) {
-      return res.status(400).json({ error: 'All fields are required' });
-    }
-
-    if (password.length < 8) {
-      return res.status(400).json({ error: 'Password must be at least 8 characters long' });
+    await tx.run('BEGIN IMMEDIATE');
+    try {
+      const result = await task(tx);
+      await tx.run('COMMIT');
+      return result;
+    } catch (error) {
+      await tx.run('ROLLBACK').catch((rollbackError) => console.error('Rollback failed:', rollbackError));
+      throw error;
     }
-
-    // Check if user already exists
-    db.get('SELECT id FROM users WHERE email = ?', [email], async (err, existingUser) => {
+  } finally {
+    connection.close((err) => {
       if (err) {
-        return res.status(500).json({ error: 'Database error' });
-      }
-      
-      if (existingUser) {
-        return res.status(400).json({ error: 'Email already registered' });
-      }
-
-      try {
-        const userId = uuidv4();
-        const passwordHash = await hashPassword(password);
-        
-        db.run(
-          'INSERT INTO users (id, email, password_hash, first_name, last_name) VALUES (?, ?, ?, ?, ?)',
-          [userId, email, passwordHash, firstName, lastName],
-          function(err) {
-            if (err) {
-              return res.status(500).json({ error: 'Failed to create user' });
-            }
-            
-            req.session.userId = userId;
-            res.json({ 
-              message: 'User created successfully',
-              user: { id: userId, email, firstName, lastName }
-            });
-          }
-        );
-      } catch (error) {
-        res.status(500).json({ error: 'Password hashing failed' });
+        console.error('Failed to close transaction connection:', err);
       }
     });
-  } catch (error) {
-    res.status(500).json({ error: 'Registration failed' });
   }
-});
+}
 
-// User login
-app.post('/api/auth/login', async (req, res) => {
-  try {
-    const { email, password } = req.body;
-    
-    if (!email || !password) {
-      return res.status(400).json({ error: 'Email and password are required' });
-    }
+// Roles and permissions
+//
+// Members of an organisation share its devices, jobs, scans, certificates and
+// settings; their role decides what they may do with them. Routes name the
+// permission they need with requirePermission, and the role is read from the
+// database on every request so a change applies immediately.
+const ROLE_PERMISSIONS = {
+  admin: [
+    'devices:read', 'devices:manage', 'wipes:read', 'wipes:run', 'scans:read', 'scans:run',
+    'certificates:read', 'certificates:issue', 'certificates:revoke', 'certificates:export',
+    'ledger:verify', 'settings:read', 'settings:manage', 'keys:rotate', 'organisation:manage'
+  ],
+  operator: [
+    'devices:read', 'devices:manage', 'wipes:read', 'wipes:run', 'scans:read', 'scans:run',
+    'certificates:read', 'certificates:issue', 'ledger:verify', 'settings:read'
+  ],
+  auditor: [
+    'devices:read', 'wipes:read', 'scans:read', 'certificates:read', 'certificates:revoke', 'certificates:export',
+    'ledger:verify', 'settings:read'
+  ],
+  viewer: ['devices:read', 'wipes:read', 'scans:read', 'certificates:read']
+};
+const ROLES = Object.keys(ROLE_PERMISSIONS);
 
-    db.get('SELECT * FROM users WHERE email = ?', [email], async (err, user) => {
-      if (err) {
-        return res.status(500).json({ error: 'Database error' });
-      }
-      
-      if (!user) {
-        return res.status(401).json({ error: 'Invalid email or password' });
-      }
+function roleHasPermission(role, permission) {
+  return Boolean(ROLE_PERMISSIONS[role] && ROLE_PERMISSIONS[role].includes(permission));
+}
 
-      try {
-        const isValid = await comparePassword(password, user.password_hash);
-        
-        if (!isValid) {
-          return res.status(401).json({ error: 'Invalid email or password' });
-        }
+// Permissions that can destroy data or vouch for its destruction. When the
+// organisation requires two-factor authentication, a member whose role has one
+// of them must enrol before using any route that needs a permission
+const TWO_FACTOR_PERMISSIONS = ['wipes:run', 'certificates:issue'];
 
-        req.session.userId = user.id;
-        res.json({
-          message: 'Login successful',
-          user: {
-            id: user.id,
-            email: user.email,
-            firstName: user.first_name,
-            lastName: user.last_name
-          }
-        });
-      } catch (error) {
-        res.status(500).json({ error: 'Password verification failed' });
-      }
-    });
-  } catch (error) {
-    res.status(500).json({ error: 'Login failed' });
-  }
-});
+function roleRequiresTwoFactor(role, organisationRequiresTwoFactor) {
+  return Boolean(organisationRequiresTwoFactor)
+    && TWO_FACTOR_PERMISSIONS.some((permission) => roleHasPermission(role, permission));
+}
 
-// User logout
-app.post('/api/auth/logout', (req, res) => {
-  req.session.destroy((err) => {
-    if (err) {
-      return res.status(500).json({ error: 'Logout failed' });
+// Loads the signed-in member into req.user. An Authorization: Bearer header
+// authenticates with an API token instead of the session, and req.user.apiToken
+// then carries the token's scopes. Routes use requireAuth or requirePermission
+async function authenticate(req, res, next) {
+  const bearer = readBearerToken(req);
+  if (bearer === null && (!req.session || !req.session.userId)) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  try {
+    const token = bearer === null ? null : await findActiveApiToken(bearer);
+    if (bearer !== null && !token) {
+      return res.status(401).json({ error: 'Invalid, expired or revoked API token' });
     }
-    res.json({ message: 'Logout successful' });
-  });
-});
-
-// Get current user profile
-app.get('/api/auth/profile', requireAuth, (req, res) => {
-  db.get('SELECT id, email, first_name, last_name, created_at FROM users WHERE id = ?', 
-    [req.session.userId], (err, user) => {
-    if (err) {
-      return res.status(500).json({ error: 'Database error' });
+    const user = await dbGet(
+      `SELECT u.id, u.email, u.first_name, u.last_name, u.organisation_id, u.role, u.totp_enabled_at,
+              o.require_two_factor
+       FROM users u JOIN organisations o ON o.id = u.organisation_id
+       WHERE u.id = ?`,
+      [token ? token.user_id : req.session.userId]
+    );
+    // A token stops working when its owner leaves the organisation it was created in
+    if (!user || (token && token.organisation_id !== user.organisation_id)) {
+      return res.status(401).json({ error: token ? 'Invalid, expired or revoked API token' : 'Authentication required' });
     }
-    
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+    if (token) {
+      db.run('UPDATE api_tokens SET last_used_at = ? WHERE id = ?', [new Date().toISOString(), token.id]);
     }
-
-    res.json({
+    req.user = {
       id: user.id,
       email: user.email,
       firstName: user.first_name,
       lastName: user.last_name,
-      memberSince: user.created_at
-    });
+      organisationId: user.organisation_id,
+      role: user.role,
+      twoFactorEnabled: Boolean(user.totp_enabled_at),
+      twoFactorRequired: roleRequiresTwoFactor(user.role, user.require_two_factor),
+      apiToken: token ? { id: token.id, scopes: JSON.parse(token.scopes) } : null
+    };
+    next();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+// Authentication middleware for account and organisation routes. These belong to
+// the signed-in person, so an API token, whose scopes are permissions, is refused
+function requireAuth(req, res, next) {
+  return authenticate(req, res, () => {
+    if (req.user.apiToken) {
+      return res.status(403).json({ error: 'Sign in to the dashboard to do this; API tokens cannot' });
+    }
+    next();
   });
-});
+}
 
-// Check authentication status
-app.get('/api/auth/status', (req, res) => {
-  if (req.session && req.session.userId) {
-    db.get('SELECT id, email, first_name, last_name FROM users WHERE id = ?', 
-      [req.session.userId], (err, user) => {
-      if (err || !user) {
-        return res.json({ authenticated: false });
-      }
-      
-      res.json({
-        authenticated: true,
-        user: {
-          id: user.id,
-          email: user.email,
-          firstName: user.first_name,
-          lastName: user.last_name
-        }
+// Authentication plus a permission check, for sessions and for API tokens scoped
+// with the permission; responds 403 for a role without it, or for a member who
+// has yet to enrol in two-factor authentication the organisation requires
+function requirePermission(permission) {
+  return (req, res, next) => authenticate(req, res, () => {
+    if (!roleHasPermission(req.user.role, permission)) {
+      return res.status(403).json({ error: `The ${req.user.role} role does not have the ${permission} permission` });
+    }
+    if (req.user.apiToken && !req.user.apiToken.scopes.includes(permission)) {
+      return res.status(403).json({ error: `This API token is not scoped for the ${permission} permission` });
+    }
+    if (req.user.twoFactorRequired && !req.user.twoFactorEnabled) {
+      return res.status(403).json({
+        error: 'Your organisation requires two-factor authentication; enrol in Settings to continue',
+        twoFactorEnrolmentRequired: true
       });
-    });
-  } else {
-    res.json({ authenticated: false });
-  }
-});
-
-// Device Detection and Registration
-app.post('/api/device/detect', requireAuth, (req, res) => {
-  try {
-    const { deviceInfo } = req.body;
-    const userId = req.session.userId;
-    
-    if (!deviceInfo) {
-      return res.status(400).json({ error: 'Device information required' });
     }
+    next();
+  });
+}
 
-    const deviceId = uuidv4();
-    const { name, model, storage, deviceType, osInfo, browserInfo } = deviceInfo;
+// Utility functions for authentication
+async function hashPassword(password) {
+  const saltRounds = 12;
+  return await bcrypt.hash(password, saltRounds);
+}
+
+async function comparePassword(password, hash) {
+  return await bcrypt.compare(password, hash);
+}
+
+// Two-factor authentication
+//
+// Time-based one-time passwords (RFC 6238: HMAC-SHA1, 6 digits, 30-second steps)
+// as generated by authenticator apps. Enrolment stores a pending secret until the
+// user proves their app produces matching codes; login then needs a code or one
+// of the single-use recovery codes issued at enrolment.
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_ISSUER = 'WipeSure';
+const RECOVERY_CODE_COUNT = 10;
+// How long the password step of a login stays valid
+const TWO_FACTOR_LOGIN_TIMEOUT_MS = 5 * 60 * 1000;
+// Wrong codes in a row before the account refuses every code for TWO_FACTOR_LOCKOUT_MS
+const TWO_FACTOR_MAX_ATTEMPTS = 5;
+const TWO_FACTOR_LOCKOUT_MS = 15 * 60 * 1000;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(text) {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of text.replace(/=+$/, '').toUpperCase()) {
+    value = (value << 5) | BASE32_ALPHABET.indexOf(char);
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function generateTotpCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+// The time step a code matches, allowing one step of clock drift either way, or
+// null. Steps at or before lastStep were already used and are refused
+function matchTotpStep(secret, code, lastStep = null) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) {
+    return null;
+  }
+  const current = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+  for (const step of [current - 1, current, current + 1]) {
+    if ((lastStep === null || step > lastStep)
+      && crypto.timingSafeEqual(Buffer.from(generateTotpCode(secret, step)), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+function totpUri(email, secret) {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${email}`);
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(TOTP_ISSUER)}`
+    + `&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`;
+}
+
+function hashRecoveryCode(code) {
+  const normalized = String(code || '').replace(/[\s-]/g, '').toLowerCase();
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+// Replaces the user's recovery codes; the plain codes are only ever returned here
+async function issueRecoveryCodes(userId) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  await dbRun('DELETE FROM user_recovery_codes WHERE user_id = ?', [userId]);
+  for (const code of codes) {
+    await dbRun('INSERT INTO user_recovery_codes (user_id, code_hash) VALUES (?, ?)', [userId, hashRecoveryCode(code)]);
+  }
+  return codes;
+}
+
+// Checks a TOTP code, then a recovery code, against an enrolled user and uses it up.
+// Resolves { valid }, or { valid: false, lockedUntil } while the user is locked out.
+// Failed attempts are counted on the user, not the login, so entering the password
+// again does not buy more guesses. Each check takes an attempt before the code is
+// compared and gives it back on success, so parallel guesses cannot pass the limit.
+async function consumeSecondFactor(user, { code, recoveryCode }) {
+  const now = new Date();
+  const lockUntil = new Date(now.getTime() + TWO_FACTOR_LOCKOUT_MS).toISOString();
+  // A lockout that has run out starts the count again
+  const attempt = await dbRun(
+    `UPDATE users SET
+       totp_failed_attempts = CASE WHEN totp_locked_until IS NULL THEN COALESCE(totp_failed_attempts, 0) + 1 ELSE 1 END,
+       totp_locked_until = CASE
+         WHEN totp_locked_until IS NULL AND COALESCE(totp_failed_attempts, 0) + 1 >= ? THEN ? END
+     WHERE id = ? AND (totp_locked_until IS NULL OR totp_locked_until <= ?)`,
+    [TWO_FACTOR_MAX_ATTEMPTS, lockUntil, user.id, now.toISOString()]
+  );
+  if (attempt.changes === 0) {
+    const { totp_locked_until: lockedUntil } = await dbGet('SELECT totp_locked_until FROM users WHERE id = ?', [user.id]);
+    return { valid: false, lockedUntil };
+  }
+
+  let valid = false;
+  if (code) {
+    const step = matchTotpStep(user.totp_secret, code, user.totp_last_step);
+    if (step !== null) {
+      await dbRun('UPDATE users SET totp_last_step = ? WHERE id = ?', [step, user.id]);
+      valid = true;
+    }
+  } else if (recoveryCode) {
+    const result = await dbRun(
+      `UPDATE user_recovery_codes SET used_at = ?
+       WHERE id = (SELECT id FROM user_recovery_codes WHERE user_id = ? AND code_hash = ? AND used_at IS NULL LIMIT 1)`,
+      [now.toISOString(), user.id, hashRecoveryCode(recoveryCode)]
+    );
+    valid = result.changes > 0;
+  }
+
+  if (valid) {
+    await dbRun('UPDATE users SET totp_failed_attempts = 0, totp_locked_until = NULL WHERE id = ?', [user.id]);
+  }
+  return { valid };
+}
+
+// Answers a failed check: 429 telling a locked-out user when to try again, otherwise invalidStatus
+function sendSecondFactorFailure(res, check, invalidStatus) {
+  if (check.lockedUntil) {
+    return res.status(429).json({
+      error: `Too many incorrect codes; try again after ${check.lockedUntil}`,
+      lockedUntil: check.lockedUntil
+    });
+  }
+  return res.status(invalidStatus).json({ error: 'Invalid authentication code' });
+}
+
+// Utility functions
+function generateBlockchainHash(data) {
+  return crypto.createHash('sha256').update(JSON.stringify(data) + Date.now()).digest('hex');
+}
+
+// Deterministic JSON: object keys sorted at every level, so the same payload always hashes the same
+function canonicalJSON(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJSON).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter((key) => value[key] !== undefined).sort();
+    return `{${keys.map((key) => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function hashCertificatePayload(payload) {
+  return crypto.createHash('sha256').update(canonicalJSON(payload)).digest('hex');
+}
+
+// Certificate signing keys
+//
+// Certificates are signed with Ed25519 over their canonical payload. The active
+// key is rotated after SIGNING_KEY_MAX_AGE_DAYS (or on demand); retired public
+// keys stay published so older certificates remain verifiable offline.
+const SIGNING_ALGORITHM = 'Ed25519';
+const SIGNING_KEY_MAX_AGE_DAYS = parseInt(process.env.SIGNING_KEY_MAX_AGE_DAYS || '365', 10);
+// The key signs every organisation's certificates, and anyone can sign up as the admin
+// of a new organisation, so rotating on demand also needs an account id listed here.
+// Until it is set, admins of the installing organisation (the first one created) may
+// rotate, so a compromised key can always be replaced.
+const SIGNING_KEY_ADMINS = (process.env.SIGNING_KEY_ADMINS || '').split(',').map((id) => id.trim()).filter(Boolean);
+let activeSigningKey = null;
+let signingKeyLoad = null;
+
+function getKeyFingerprint(publicKey) {
+  return crypto.createHash('sha256')
+    .update(publicKey.export({ type: 'spki', format: 'der' }))
+    .digest('hex');
+}
+
+function getPrivateKeyPath(fingerprint) {
+  return path.join(SIGNING_KEY_DIR, `${fingerprint}.pem`);
+}
+
+async function generateSigningKey() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+  const fingerprint = getKeyFingerprint(publicKey);
+  const createdAt = new Date().toISOString();
+
+  await fs.writeFile(
+    getPrivateKeyPath(fingerprint),
+    privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    { mode: 0o600 }
+  );
+  await dbRun("UPDATE signing_keys SET status = 'retired', retired_at = ? WHERE status = 'active'", [createdAt]);
+  await dbRun(
+    'INSERT INTO signing_keys (fingerprint, algorithm, public_key, status, created_at) VALUES (?, ?, ?, ?, ?)',
+    [fingerprint, SIGNING_ALGORITHM, publicKey.export({ type: 'spki', format: 'pem' }), 'active', createdAt]
+  );
+
+  console.log(`Generated new ${SIGNING_ALGORITHM} signing key ${fingerprint}`);
+  activeSigningKey = { fingerprint, privateKey, createdAt };
+  return activeSigningKey;
+}
+
+function isSigningKeyExpired(key) {
+  const ageMs = Date.now() - new Date(key.createdAt).getTime();
+  return ageMs > SIGNING_KEY_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+}
+
+async function loadOrCreateSigningKey() {
+  const row = await dbGet("SELECT * FROM signing_keys WHERE status = 'active' ORDER BY created_at DESC LIMIT 1");
+  if (row && fs.existsSync(getPrivateKeyPath(row.fingerprint))) {
+    const key = {
+      fingerprint: row.fingerprint,
+      privateKey: crypto.createPrivateKey(await fs.readFile(getPrivateKeyPath(row.fingerprint))),
+      createdAt: row.created_at
+    };
+    if (!isSigningKeyExpired(key)) {
+      activeSigningKey = key;
+      return activeSigningKey;
+    }
+  } else if (row) {
+    console.error(`Private key for active signing key ${row.fingerprint} is missing; rotating`);
+  }
+
+  return generateSigningKey();
+}
+
+// Returns the active signing key, generating or rotating it when needed
+function getActiveSigningKey() {
+  if (activeSigningKey && !isSigningKeyExpired(activeSigningKey)) {
+    return Promise.resolve(activeSigningKey);
+  }
+  if (!signingKeyLoad) {
+    signingKeyLoad = loadOrCreateSigningKey().finally(() => {
+      signingKeyLoad = null;
+    });
+  }
+  return signingKeyLoad;
+}
+
+async function canRotateSigningKey(user) {
+  if (SIGNING_KEY_ADMINS.length > 0) {
+    return SIGNING_KEY_ADMINS.includes(user.id);
+  }
+  const installing = await dbGet('SELECT id FROM organisations ORDER BY created_at ASC, rowid ASC LIMIT 1');
+  return Boolean(installing) && installing.id === user.organisationId;
+}
+
+async function signCertificatePayload(payload) {
+  const key = await getActiveSigningKey();
+  const signature = crypto.sign(null, Buffer.from(canonicalJSON(payload)), key.privateKey);
+  return {
+    algorithm: SIGNING_ALGORITHM,
+    keyFingerprint: key.fingerprint,
+    value: signature.toString('base64')
+  };
+}
+
+async function verifyCertificateSignature(cert) {
+  const key = await dbGet('SELECT * FROM signing_keys WHERE fingerprint = ?', [cert.key_fingerprint]);
+  if (!key) {
+    return { algorithm: cert.signature_algorithm, keyFingerprint: cert.key_fingerprint, valid: false, reason: 'Signing key not found' };
+  }
+
+  const valid = crypto.verify(
+    null,
+    Buffer.from(cert.payload),
+    crypto.createPublicKey(key.public_key),
+    Buffer.from(cert.signature, 'base64')
+  );
+  return {
+    algorithm: key.algorithm,
+    keyFingerprint: key.fingerprint,
+    keyStatus: key.status,
+    valid
+  };
+}
+
+// Base URL printed into certificates, their QR codes and signed documents. Only
+// PUBLIC_BASE_URL is trusted: the Host header is whatever the client sent, so it
+// could point verifiers at someone else's site. Null when it is not configured.
+const PUBLIC_BASE_URL_MISSING = 'Certificates cannot be issued until PUBLIC_BASE_URL is configured on the server';
+
+function getPublicBaseUrl() {
+  return process.env.PUBLIC_BASE_URL ? process.env.PUBLIC_BASE_URL.replace(/\/$/, '') : null;
+}
+
+// Hash-chained ledger
+//
+// Each blockchain_logs row carries a sequence number, the entry hash of the row
+// before it and its own entry hash over all of those fields. Editing, deleting or
+// reordering any row breaks the chain from that point on, which /api/ledger/verify
+// detects. Appends are serialised through ledgerQueue so two writers can never
+// link to the same predecessor.
+const LEDGER_GENESIS_HASH = '0'.repeat(64);
+let ledgerQueue = Promise.resolve();
+
+function computeLedgerEntryHash(entry) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([
+      entry.seq,
+      entry.id,
+      entry.ref_id,
+      entry.ref_type,
+      entry.hash,
+      entry.prev_hash,
+      entry.created_at
+    ]))
+    .digest('hex');
+}
+
+function enqueueLedgerTask(task) {
+  const result = ledgerQueue.then(task);
+  ledgerQueue = result.catch((error) => {
+    console.error('Ledger task failed:', error);
+  });
+  return result;
+}
+
+// query is dbTransaction's tx when the entry belongs to a transaction
+async function appendLedgerEntry(refId, refType, hash, query = { get: dbGet, run: dbRun }) {
+  const tail = await query.get('SELECT seq, entry_hash FROM blockchain_logs WHERE seq IS NOT NULL ORDER BY seq DESC LIMIT 1');
+  const entry = {
+    id: uuidv4(),
+    ref_id: refId,
+    ref_type: refType,
+    hash,
+    seq: tail ? tail.seq + 1 : 1,
+    prev_hash: tail ? tail.entry_hash : LEDGER_GENESIS_HASH,
+    created_at: new Date().toISOString()
+  };
+  entry.entry_hash = computeLedgerEntryHash(entry);
+
+  await query.run(
+    `INSERT INTO blockchain_logs (id, ref_id, ref_type, hash, seq, prev_hash, entry_hash, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [entry.id, entry.ref_id, entry.ref_type, entry.hash, entry.seq, entry.prev_hash, entry.entry_hash, entry.created_at]
+  );
+  return entry;
+}
+
+// Appends a ledger entry; resolves with the stored entry once it is linked into the chain
+function createBlockchainLog(refId, refType, hash) {
+  return enqueueLedgerTask(() => appendLedgerEntry(refId, refType, hash));
+}
+
+// Rows written before the ledger was chained have no seq/entry_hash. Link them
+// onto the end of the chain, oldest first, so they are covered from now on.
+async function sealLegacyLedgerEntries() {
+  const legacyRows = await dbAll(
+    'SELECT * FROM blockchain_logs WHERE entry_hash IS NULL ORDER BY created_at ASC, rowid ASC'
+  );
+  if (legacyRows.length === 0) {
+    return;
+  }
+
+  const tail = await dbGet('SELECT seq, entry_hash FROM blockchain_logs WHERE seq IS NOT NULL ORDER BY seq DESC LIMIT 1');
+  let seq = tail ? tail.seq : 0;
+  let prevHash = tail ? tail.entry_hash : LEDGER_GENESIS_HASH;
+
+  for (const row of legacyRows) {
+    const entry = { ...row, seq: ++seq, prev_hash: prevHash };
+    entry.entry_hash = computeLedgerEntryHash(entry);
+    await dbRun(
+      'UPDATE blockchain_logs SET seq = ?, prev_hash = ?, entry_hash = ? WHERE id = ?',
+      [entry.seq, entry.prev_hash, entry.entry_hash, entry.id]
+    );
+    prevHash = entry.entry_hash;
+  }
+  console.log(`Sealed ${legacyRows.length} legacy ledger entries into the hash chain`);
+}
+
+// Walks the whole chain and reports the first broken link, if any
+async function verifyLedger() {
+  const entries = await dbAll('SELECT * FROM blockchain_logs ORDER BY seq IS NULL, seq ASC, rowid ASC');
+  const certificates = await dbAll('SELECT id, hash FROM certificates');
+  const revocations = await dbAll('SELECT id, hash FROM certificate_revocations');
+  const batchCertificates = await dbAll('SELECT id, hash FROM batch_certificates');
+  // Records anchored in the ledger, by ref_type, so each entry can be checked against its row
+  const ledgeredRecords = {
+    certificate: { label: 'Certificate', rows: certificates },
+    certificate_revocation: { label: 'Revocation', rows: revocations },
+    batch_certificate: { label: 'Batch certificate', rows: batchCertificates }
+  };
+  Object.values(ledgeredRecords).forEach((records) => {
+    records.hashes = new Map(records.rows.map((row) => [row.id, row.hash]));
+  });
+
+  let prevHash = LEDGER_GENESIS_HASH;
+  let expectedSeq = 1;
+
+  const broken = (entry, reason, detail) => ({
+    valid: false,
+    entriesChecked: expectedSeq - 1,
+    totalEntries: entries.length,
+    brokenLink: {
+      seq: entry.seq,
+      entryId: entry.id,
+      refId: entry.ref_id,
+      refType: entry.ref_type,
+      reason,
+      detail
+    }
+  });
+
+  for (const entry of entries) {
+    if (entry.seq === null || entry.entry_hash === null) {
+      return broken(entry, 'unsealed_entry', 'Entry is not linked into the hash chain');
+    }
+    if (entry.seq !== expectedSeq) {
+      return broken(entry, 'sequence_gap', `Expected entry #${expectedSeq}, found #${entry.seq}; entries have been deleted or reordered`);
+    }
+    if (entry.prev_hash !== prevHash) {
+      return broken(entry, 'prev_hash_mismatch', 'Entry does not link to the hash of the entry before it');
+    }
+    if (computeLedgerEntryHash(entry) !== entry.entry_hash) {
+      return broken(entry, 'entry_hash_mismatch', 'Entry contents no longer match its recorded hash');
+    }
+    const records = ledgeredRecords[entry.ref_type];
+    if (records) {
+      if (!records.hashes.has(entry.ref_id)) {
+        return broken(entry, 'record_missing', `${records.label} referenced by this entry no longer exists`);
+      }
+      if (records.hashes.get(entry.ref_id) !== entry.hash) {
+        return broken(entry, 'record_hash_mismatch', `${records.label} hash no longer matches the ledger`);
+      }
+    }
+
+    prevHash = entry.entry_hash;
+    expectedSeq++;
+  }
+
+  // Truncating the newest entries leaves a valid but shorter chain; every
+  // ledgered record must still be anchored by an entry
+  for (const [refType, records] of Object.entries(ledgeredRecords)) {
+    const anchored = new Set(entries.filter((entry) => entry.ref_type === refType).map((entry) => entry.ref_id));
+    const unanchored = records.rows.find((row) => !anchored.has(row.id));
+    if (unanchored) {
+      return {
+        valid: false,
+        entriesChecked: entries.length,
+        totalEntries: entries.length,
+        brokenLink: {
+          seq: null,
+          entryId: null,
+          refId: unanchored.id,
+          refType,
+          reason: 'record_unanchored',
+          detail: `${records.label} has no ledger entry; entries have been removed from the end of the chain`
+        }
+      };
+    }
+  }
+
+  return {
+    valid: true,
+    entriesChecked: entries.length,
+    totalEntries: entries.length,
+    headHash: prevHash
+  };
+}
+
+// Overwrite method registry
+//
+// Every method defines its exact pass sequence and which passes must be read
+// back ('final', 'all' or 'none'). A pass is either a repeating byte pattern,
+// fresh CSPRNG output ('random') or a single byte chosen at random when the job
+// is created ('random-byte'), per the published standards:
+//   DoD 5220.22-M (E)   character, complement, random; verify
+//   DoD 5220.22-M (ECE) (E), one random character (C), (E) again; verify
+//   NIST SP 800-88      Clear: single pass of zeros; verify
+//   BSI/VSITR           zeros and ones alternating six times, then 0xAA
+//   Schneier            ones, zeros, five random passes
+//   Gutmann             4 random, the 27 MFM/RLL patterns, 4 random
+const RANDOM_PASS = { type: 'random' };
+const RANDOM_BYTE_PASS = { type: 'random-byte' };
+const fillPass = (...bytes) => ({ type: 'fill', bytes });
+
+const GUTMANN_PATTERNS = [
+  [0x55], [0xAA], [0x92, 0x49, 0x24], [0x49, 0x24, 0x92], [0x24, 0x92, 0x49],
+  [0x00], [0x11], [0x22], [0x33], [0x44], [0x55], [0x66], [0x77], [0x88], [0x99],
+  [0xAA], [0xBB], [0xCC], [0xDD], [0xEE], [0xFF],
+  [0x92, 0x49, 0x24], [0x49, 0x24, 0x92], [0x24, 0x92, 0x49],
+  [0x6D, 0xB6, 0xDB], [0xB6, 0xDB, 0x6D], [0xDB, 0x6D, 0xB6]
+];
+
+const DOD_E_PASSES = [fillPass(0x00), fillPass(0xFF), RANDOM_PASS];
+
+const WIPE_METHODS = {
+  'DoD 5220.22-M': {
+    label: 'DoD 5220.22-M (E)',
+    passes: DOD_E_PASSES,
+    verification: 'final'
+  },
+  'DoD 5220.22-M ECE': {
+    label: 'DoD 5220.22-M (ECE)',
+    passes: [...DOD_E_PASSES, RANDOM_BYTE_PASS, ...DOD_E_PASSES],
+    verification: 'final'
+  },
+  'NIST SP 800-88': {
+    label: 'NIST SP 800-88 Clear',
+    passes: [fillPass(0x00)],
+    verification: 'final'
+  },
+  'BSI VSITR': {
+    label: 'BSI/VSITR',
+    passes: [
+      fillPass(0x00), fillPass(0xFF), fillPass(0x00), fillPass(0xFF),
+      fillPass(0x00), fillPass(0xFF), fillPass(0xAA)
+    ],
+    verification: 'none'
+  },
+  'Schneier': {
+    label: 'Bruce Schneier',
+    passes: [fillPass(0xFF), fillPass(0x00), RANDOM_PASS, RANDOM_PASS, RANDOM_PASS, RANDOM_PASS, RANDOM_PASS],
+    verification: 'none'
+  },
+  'Gutmann': {
+    label: 'Peter Gutmann',
+    passes: [
+      RANDOM_PASS, RANDOM_PASS, RANDOM_PASS, RANDOM_PASS,
+      ...GUTMANN_PATTERNS.map((bytes) => fillPass(...bytes)),
+      RANDOM_PASS, RANDOM_PASS, RANDOM_PASS, RANDOM_PASS
+    ],
+    verification: 'none'
+  },
+  'Random': {
+    label: 'Random Overwrite',
+    passes: [RANDOM_PASS],
+    verification: 'none'
+  }
+};
+
+function describePattern(pattern) {
+  if (pattern.type === 'random') {
+    return 'Random data (CSPRNG)';
+  }
+  return pattern.bytes.map((byte) => `0x${byte.toString(16).toUpperCase().padStart(2, '0')}`).join(' ');
+}
+
+// Resolves a method into the concrete per-pass plan stored with the job.
+// Random single-byte passes get their byte here, so the plan records exactly what is written.
+function resolveWipePlan(methodName) {
+  const method = WIPE_METHODS[methodName];
+  return method.passes.map((pattern, index) => {
+    const resolved = pattern.type === 'random-byte'
+      ? fillPass(crypto.randomBytes(1)[0])
+      : pattern;
+    return { pass: index + 1, ...resolved, description: describePattern(resolved) };
+  });
+}
+
+// Jobs queued before plans were stored: rebuild from the method, padding or trimming to the recorded pass count
+function getJobWipePlan(job) {
+  if (job.patterns) {
+    return JSON.parse(job.patterns);
+  }
+  const plan = WIPE_METHODS[job.method] ? resolveWipePlan(job.method) : [];
+  const totalPasses = parseInt(job.passes);
+  while (plan.length < totalPasses) {
+    plan.push({ pass: plan.length + 1, ...RANDOM_PASS, description: describePattern(RANDOM_PASS) });
+  }
+  return plan.slice(0, totalPasses);
+}
+
+// Authentication Routes
+
+// User registration
+app.post('/api/auth/signup', async (req, res) => {
+  try {
+    const { email, password, firstName, lastName, organisationName, invitationToken } = req.body;
     
-    // Insert or update device for this user
-    db.run(
-      `INSERT OR REPLACE INTO devices 
-       (id, user_id, name, model, storage, device_type, os_info, browser_info, detected_at) 
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))`,
-      [deviceId, userId, name, model, storage, deviceType, osInfo, browserInfo],
-      function(err) {
-        if (err) {
-          return res.status(500).json({ error: 'Failed to register device' });
+    if (!email || !password || !firstName || !lastName) {
+      return res.status(400).json({ error: 'All fields are required' });
+    }
+
+    if (password.length < 8) {
+      return res.status(400).json({ error: 'Password must be at least 8 characters long' });
+    }
+
+    // Check if user already exists
+    db.get('SELECT id FROM users WHERE email = ?', [email], async (err, existingUser) => {
+      if (err) {
+        return res.status(500).json({ error: 'Database error' });
+      }
+      
+      if (existingUser) {
+        return res.status(400).json({ error: 'Email already registered' });
+      }
+
+      let passwordHash;
+      try {
+        passwordHash = await hashPassword(password);
+      } catch (error) {
+        return res.status(500).json({ error: 'Password hashing failed' });
+      }
+
+      try {
+        const userId = uuidv4();
+        // An invitation link decides the organisation and role; otherwise the new user founds an organisation
+        const invitation = invitationToken ? await findInvitationByToken(invitationToken) : null;
+        if (invitationToken && (!invitation || invitation.email.toLowerCase() !== String(email).toLowerCase())) {
+          return res.status(400).json({ error: 'This invitation link is not valid for that email address' });
         }
-        
+        const organisationId = invitation ? invitation.organisation_id : uuidv4();
+        if (!invitation) {
+          await dbRun('INSERT INTO organisations (id, name) VALUES (?, ?)',
+            [organisationId, String(organisationName || '').trim() || `${firstName} ${lastName}`]);
+        }
+        await dbRun(
+          `INSERT INTO users (id, email, password_hash, first_name, last_name, organisation_id, role)
+           VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          [userId, email, passwordHash, firstName, lastName, organisationId, invitation ? invitation.role : 'admin']
+        );
+        if (invitation) {
+          await dbRun('UPDATE organisation_invitations SET accepted_at = ? WHERE id = ?',
+            [new Date().toISOString(), invitation.id]);
+        }
+
+        req.session.userId = userId;
         res.json({
-          message: 'Device registered successfully',
-          device: {
-            id: deviceId,
-            name,
-            model,
-            storage,
-            deviceType,
-            osInfo,
-            browserInfo
-          }
+          message: 'User created successfully',
+          user: describeSessionUser(await loadSessionUser(userId))
         });
+      } catch (error) {
+        res.status(500).json({ error: 'Failed to create user' });
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Registration failed' });
+  }
+});
+
+// User login
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    
+    if (!email || !password) {
+      return res.status(400).json({ error: 'Email and password are required' });
+    }
+
+    db.get('SELECT * FROM users WHERE email = ?', [email], async (err, user) => {
+      if (err) {
+        return res.status(500).json({ error: 'Database error' });
+      }
+      
+      if (!user) {
+        return res.status(401).json({ error: 'Invalid email or password' });
       }
+
+      try {
+        const isValid = await comparePassword(password, user.password_hash);
+        
+        if (!isValid) {
+          return res.status(401).json({ error: 'Invalid email or password' });
+        }
+
+        // Enrolled users finish signing in at /api/auth/login/two-factor
+        if (user.totp_enabled_at) {
+          req.session.pendingTwoFactor = { userId: user.id, startedAt: Date.now() };
+          return res.json({
+            message: 'Enter the code from your authenticator app',
+            twoFactorRequired: true
+          });
+        }
+
+        req.session.userId = user.id;
+        res.json({
+          message: 'Login successful',
+          user: describeSessionUser(await loadSessionUser(user.id))
+        });
+      } catch (error) {
+        res.status(500).json({ error: 'Password verification failed' });
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+// Second login step: a code from the authenticator app or an unused recovery code
+app.post('/api/auth/login/two-factor', async (req, res) => {
+  const pending = req.session && req.session.pendingTwoFactor;
+  if (!pending || Date.now() - pending.startedAt > TWO_FACTOR_LOGIN_TIMEOUT_MS) {
+    delete req.session.pendingTwoFactor;
+    return res.status(401).json({ error: 'Sign in with your email and password first', signInAgain: true });
+  }
+  const { code, recoveryCode } = req.body || {};
+  if (!code && !recoveryCode) {
+    return res.status(400).json({ error: 'code or recoveryCode is required' });
+  }
+
+  try {
+    const user = await dbGet('SELECT * FROM users WHERE id = ?', [pending.userId]);
+    if (!user || !user.totp_enabled_at) {
+      delete req.session.pendingTwoFactor;
+      return res.status(401).json({ error: 'Sign in with your email and password first', signInAgain: true });
+    }
+    const check = await consumeSecondFactor(user, { code, recoveryCode });
+    if (!check.valid) {
+      return sendSecondFactorFailure(res, check, 401);
+    }
+
+    delete req.session.pendingTwoFactor;
+    req.session.userId = user.id;
+    res.json({
+      message: 'Login successful',
+      user: describeSessionUser(await loadSessionUser(user.id))
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Two-factor verification failed' });
+  }
+});
+
+// User logout
+app.post('/api/auth/logout', (req, res) => {
+  req.session.destroy((err) => {
+    if (err) {
+      return res.status(500).json({ error: 'Logout failed' });
+    }
+    res.json({ message: 'Logout successful' });
+  });
+});
+
+// Get current user profile
+app.get('/api/auth/profile', requireAuth, async (req, res) => {
+  try {
+    const user = await loadSessionUser(req.user.id);
+    res.json({ ...describeSessionUser(user), memberSince: user.created_at });
+  } catch (error) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Check authentication status
+app.get('/api/auth/status', async (req, res) => {
+  if (!req.session || !req.session.userId) {
+    return res.json({ authenticated: false });
+  }
+  try {
+    const user = await loadSessionUser(req.session.userId);
+    res.json(user && user.organisation_id
+      ? { authenticated: true, user: describeSessionUser(user) }
+      : { authenticated: false });
+  } catch (error) {
+    res.json({ authenticated: false });
+  }
+});
+
+function loadSessionUser(userId) {
+  return dbGet(
+    `SELECT u.*, o.name AS organisation_name, o.require_two_factor FROM users u
+     LEFT JOIN organisations o ON o.id = u.organisation_id
+     WHERE u.id = ?`,
+    [userId]
+  );
+}
+
+// The signed-in user as the frontend sees them, with what their role allows
+function describeSessionUser(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    firstName: user.first_name,
+    lastName: user.last_name,
+    role: user.role,
+    permissions: ROLE_PERMISSIONS[user.role] || [],
+    organisation: { id: user.organisation_id, name: user.organisation_name },
+    twoFactor: {
+      enabled: Boolean(user.totp_enabled_at),
+      required: roleRequiresTwoFactor(user.role, user.require_two_factor)
+    }
+  };
+}
+
+// Two-factor enrolment for the signed-in user
+app.get('/api/auth/two-factor', requireAuth, async (req, res) => {
+  try {
+    const [user, codes] = await Promise.all([
+      dbGet('SELECT totp_enabled_at FROM users WHERE id = ?', [req.user.id]),
+      dbGet('SELECT COUNT(*) AS remaining FROM user_recovery_codes WHERE user_id = ? AND used_at IS NULL', [req.user.id])
+    ]);
+    res.json({
+      enabled: Boolean(user.totp_enabled_at),
+      enabledAt: user.totp_enabled_at,
+      required: req.user.twoFactorRequired,
+      recoveryCodesRemaining: user.totp_enabled_at ? codes.remaining : 0
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Starts enrolment with a new secret; nothing changes until /enable confirms a code from it
+app.post('/api/auth/two-factor/setup', requireAuth, async (req, res) => {
+  if (req.user.twoFactorEnabled) {
+    return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+  }
+  try {
+    const secret = base32Encode(crypto.randomBytes(20));
+    const otpauthUrl = totpUri(req.user.email, secret);
+    await dbRun('UPDATE users SET totp_pending_secret = ? WHERE id = ?', [secret, req.user.id]);
+    res.json({
+      secret,
+      otpauthUrl,
+      qrCode: await QRCode.toDataURL(otpauthUrl, { margin: 1, width: 240, errorCorrectionLevel: 'M' })
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/auth/two-factor/enable', requireAuth, async (req, res) => {
+  try {
+    const user = await dbGet('SELECT totp_pending_secret, totp_enabled_at FROM users WHERE id = ?', [req.user.id]);
+    if (user.totp_enabled_at) {
+      return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+    }
+    if (!user.totp_pending_secret) {
+      return res.status(400).json({ error: 'Start enrolment with POST /api/auth/two-factor/setup first' });
+    }
+    const step = matchTotpStep(user.totp_pending_secret, req.body && req.body.code);
+    if (step === null) {
+      return res.status(400).json({ error: 'Invalid authentication code; check the time on your device' });
+    }
+    await dbRun(
+      `UPDATE users SET totp_secret = totp_pending_secret, totp_pending_secret = NULL, totp_enabled_at = ?,
+       totp_last_step = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [new Date().toISOString(), step, req.user.id]
+    );
+    res.json({
+      message: 'Two-factor authentication enabled',
+      recoveryCodes: await issueRecoveryCodes(req.user.id)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Replaces the recovery codes; needs a current code so a stolen session cannot read new ones
+app.post('/api/auth/two-factor/recovery-codes', requireAuth, async (req, res) => {
+  try {
+    const user = await dbGet('SELECT * FROM users WHERE id = ?', [req.user.id]);
+    if (!user.totp_enabled_at) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+    const check = await consumeSecondFactor(user, { code: req.body && req.body.code });
+    if (!check.valid) {
+      return sendSecondFactorFailure(res, check, 400);
+    }
+    res.json({ recoveryCodes: await issueRecoveryCodes(user.id) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/auth/two-factor', requireAuth, async (req, res) => {
+  if (req.user.twoFactorRequired) {
+    return res.status(403).json({ error: `Your organisation requires two-factor authentication for the ${req.user.role} role` });
+  }
+  try {
+    const user = await dbGet('SELECT * FROM users WHERE id = ?', [req.user.id]);
+    if (!user.totp_enabled_at) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+    const { code, recoveryCode } = req.body || {};
+    const check = await consumeSecondFactor(user, { code, recoveryCode });
+    if (!check.valid) {
+      return sendSecondFactorFailure(res, check, 400);
+    }
+    await clearTwoFactor(user.id);
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+async function clearTwoFactor(userId) {
+  await dbRun(
+    `UPDATE users SET totp_secret = NULL, totp_pending_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL,
+     totp_failed_attempts = 0, totp_locked_until = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+    [userId]
+  );
+  await dbRun('DELETE FROM user_recovery_codes WHERE user_id = ?', [userId]);
+}
+
+// API tokens
+//
+// Personal tokens let scripts and the desktop app call the API with an
+// Authorization: Bearer header. Each token is limited to the scopes chosen when
+// it was created, and never exceeds what its owner's role currently allows.
+// The token itself is shown once; only its hash and a short prefix are stored.
+const API_TOKEN_PREFIX = 'wst_';
+const API_TOKEN_MAX_DAYS = 365;
+
+function readBearerToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+  return match ? match[1] : null;
+}
+
+function hashApiToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function findActiveApiToken(token) {
+  return dbGet(
+    `SELECT * FROM api_tokens
+     WHERE token_hash = ? AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > ?)`,
+    [hashApiToken(token), new Date().toISOString()]
+  );
+}
+
+function describeApiToken(row) {
+  const expired = Boolean(row.expires_at && row.expires_at <= new Date().toISOString());
+  return {
+    id: row.id,
+    name: row.name,
+    prefix: row.token_prefix,
+    scopes: JSON.parse(row.scopes),
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at,
+    expiresAt: row.expires_at,
+    revokedAt: row.revoked_at,
+    active: !row.revoked_at && !expired
+  };
+}
+
+// The token a request was made with and its owner, so clients can check a token before storing it
+app.get('/api/tokens/current', authenticate, (req, res) => {
+  if (!req.user.apiToken) {
+    return res.status(400).json({ error: 'This request was not made with an API token' });
+  }
+  res.json({
+    id: req.user.apiToken.id,
+    scopes: req.user.apiToken.scopes,
+    user: {
+      id: req.user.id,
+      email: req.user.email,
+      firstName: req.user.firstName,
+      lastName: req.user.lastName,
+      role: req.user.role
+    }
+  });
+});
+
+app.get('/api/tokens', requireAuth, async (req, res) => {
+  try {
+    const rows = await dbAll('SELECT * FROM api_tokens WHERE user_id = ? ORDER BY created_at DESC, rowid DESC', [req.user.id]);
+    res.json(rows.map(describeApiToken));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/tokens', requireAuth, async (req, res) => {
+  const { name, scopes, expiresInDays } = req.body || {};
+  const allowed = ROLE_PERMISSIONS[req.user.role] || [];
+  if (!String(name || '').trim()) {
+    return res.status(400).json({ error: 'Token name is required' });
+  }
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return res.status(400).json({ error: 'scopes must list at least one permission' });
+  }
+  const notAllowed = scopes.filter((scope) => !allowed.includes(scope));
+  if (notAllowed.length > 0) {
+    return res.status(400).json({
+      error: `The ${req.user.role} role cannot grant ${notAllowed.join(', ')}; choose from ${allowed.join(', ')}`
+    });
+  }
+  const days = expiresInDays === undefined || expiresInDays === null || expiresInDays === '' ? null : Number(expiresInDays);
+  if (days !== null && !(Number.isInteger(days) && days >= 1 && days <= API_TOKEN_MAX_DAYS)) {
+    return res.status(400).json({ error: `expiresInDays must be a whole number from 1 to ${API_TOKEN_MAX_DAYS}` });
+  }
+
+  try {
+    const id = uuidv4();
+    const token = `${API_TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    await dbRun(
+      `INSERT INTO api_tokens (id, user_id, organisation_id, name, token_hash, token_prefix, scopes, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        id, req.user.id, req.user.organisationId, String(name).trim(), hashApiToken(token),
+        token.slice(0, API_TOKEN_PREFIX.length + 8), JSON.stringify([...new Set(scopes)]),
+        days === null ? null : new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString()
+      ]
+    );
+    res.status(201).json({
+      ...describeApiToken(await dbGet('SELECT * FROM api_tokens WHERE id = ?', [id])),
+      token
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/tokens/:id', requireAuth, async (req, res) => {
+  try {
+    const result = await dbRun(
+      'UPDATE api_tokens SET revoked_at = ? WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+      [new Date().toISOString(), req.params.id, req.user.id]
+    );
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Token not found' });
+    }
+    res.json({ message: 'Token revoked' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Organisations
+//
+// Admins invite colleagues by email with a role and pass on the invite link,
+// which carries a secret token. Signing up through the link with the invited
+// email joins that organisation; an existing account accepts with the token at
+// POST /api/invitations/accept, leaving its records with the organisation it
+// leaves. Every organisation keeps at least one admin.
+
+// Tables whose rows belong to an organisation; user_id on them records who created the row
+const ORGANISATION_OWNED_TABLES = [
+  'devices', 'wipe_jobs', 'wipe_batches', 'ai_results', 'residue_scans', 'residue_policies', 'certificate_templates'
+];
+
+// Accounts from before organisations each become the admin of an organisation of
+// their own, taking their issuance policy with them, and their rows are assigned to it
+async function migrateAccountsToOrganisations() {
+  const users = await dbAll(
+    `SELECT u.*, ip.require_verification, ip.require_residue_scan, ip.min_entropy_score
+     FROM users u
+     LEFT JOIN issuance_policies ip ON ip.user_id = u.id
+     WHERE u.organisation_id IS NULL`
+  );
+  for (const user of users) {
+    const organisationId = uuidv4();
+    await dbRun(
+      `INSERT INTO organisations (id, name, require_verification, require_residue_scan, min_entropy_score)
+       VALUES (?, ?, ?, ?, ?)`,
+      [organisationId, [user.first_name, user.last_name].filter(Boolean).join(' ') || user.email,
+        user.require_verification, user.require_residue_scan, user.min_entropy_score]
+    );
+    await dbRun("UPDATE users SET organisation_id = ?, role = 'admin' WHERE id = ?", [organisationId, user.id]);
+  }
+
+  for (const table of ORGANISATION_OWNED_TABLES) {
+    await dbRun(
+      `UPDATE ${table} SET organisation_id = (SELECT organisation_id FROM users WHERE users.id = ${table}.user_id)
+       WHERE organisation_id IS NULL AND user_id IS NOT NULL`
+    );
+  }
+  // Early residue results only name their wipe job
+  await dbRun(
+    `UPDATE ai_results SET organisation_id = (SELECT organisation_id FROM wipe_jobs WHERE wipe_jobs.id = ai_results.job_id)
+     WHERE organisation_id IS NULL AND job_id IS NOT NULL`
+  );
+  if (users.length > 0) {
+    console.log(`Created an organisation for each of ${users.length} existing account(s)`);
+  }
+}
+
+function hashInvitationToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function findInvitationByToken(token) {
+  return dbGet(
+    `SELECT oi.*, o.name AS organisation_name FROM organisation_invitations oi
+     JOIN organisations o ON o.id = oi.organisation_id
+     WHERE oi.token_hash = ? AND oi.accepted_at IS NULL`,
+    [hashInvitationToken(token)]
+  );
+}
+
+async function countOrganisationAdmins(organisationId) {
+  const row = await dbGet("SELECT COUNT(*) AS count FROM users WHERE organisation_id = ? AND role = 'admin'",
+    [organisationId]);
+  return row.count;
+}
+
+// Resolves an error message when the member is the last admin of an organisation others still belong to
+async function checkAdminCanLeave(member) {
+  if (member.role !== 'admin' || (await countOrganisationAdmins(member.organisation_id)) > 1) {
+    return null;
+  }
+  const others = await dbGet('SELECT COUNT(*) AS count FROM users WHERE organisation_id = ? AND id != ?',
+    [member.organisation_id, member.id]);
+  return others.count > 0 ? 'Make another member an admin first; an organisation needs at least one admin' : null;
+}
+
+function describeOrganisationMember(row) {
+  return {
+    id: row.id,
+    email: row.email,
+    firstName: row.first_name,
+    lastName: row.last_name,
+    role: row.role,
+    twoFactorEnabled: Boolean(row.totp_enabled_at),
+    memberSince: row.created_at
+  };
+}
+
+function describeOrganisationInvitation(row) {
+  return {
+    id: row.id,
+    email: row.email,
+    role: row.role,
+    organisation: row.organisation_name ? { id: row.organisation_id, name: row.organisation_name } : undefined,
+    createdAt: row.created_at
+  };
+}
+
+app.get('/api/organisation', requireAuth, async (req, res) => {
+  try {
+    const organisationId = req.user.organisationId;
+    const canManage = roleHasPermission(req.user.role, 'organisation:manage');
+    const [organisation, members, invitations] = await Promise.all([
+      dbGet('SELECT * FROM organisations WHERE id = ?', [organisationId]),
+      dbAll('SELECT * FROM users WHERE organisation_id = ? ORDER BY created_at ASC, rowid ASC', [organisationId]),
+      canManage
+        ? dbAll(`SELECT * FROM organisation_invitations WHERE organisation_id = ? AND accepted_at IS NULL
+                 ORDER BY created_at DESC`, [organisationId])
+        : []
+    ]);
+    res.json({
+      id: organisation.id,
+      name: organisation.name,
+      requireTwoFactor: Boolean(organisation.require_two_factor),
+      twoFactorPermissions: TWO_FACTOR_PERMISSIONS,
+      createdAt: organisation.created_at,
+      roles: ROLE_PERMISSIONS,
+      members: members.map(describeOrganisationMember),
+      invitations: canManage ? invitations.map(describeOrganisationInvitation) : null
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Renames the organisation and/or sets whether members who can run wipes or issue certificates need 2FA
+app.put('/api/organisation', requirePermission('organisation:manage'), async (req, res) => {
+  const { name, requireTwoFactor } = req.body || {};
+  if (name !== undefined && !String(name).trim()) {
+    return res.status(400).json({ error: 'Organisation name cannot be empty' });
+  }
+  if (requireTwoFactor !== undefined && typeof requireTwoFactor !== 'boolean') {
+    return res.status(400).json({ error: 'requireTwoFactor must be a boolean' });
+  }
+  // Otherwise the admin turning the policy on would lose access to everything, this route included
+  if (requireTwoFactor && !req.user.twoFactorEnabled) {
+    return res.status(409).json({ error: 'Enable two-factor authentication on your own account first' });
+  }
+  try {
+    await dbRun(
+      `UPDATE organisations SET name = COALESCE(?, name), require_two_factor = COALESCE(?, require_two_factor)
+       WHERE id = ?`,
+      [
+        name === undefined ? null : String(name).trim(),
+        requireTwoFactor === undefined ? null : (requireTwoFactor ? 1 : 0),
+        req.user.organisationId
+      ]
+    );
+    const organisation = await dbGet('SELECT * FROM organisations WHERE id = ?', [req.user.organisationId]);
+    res.json({
+      id: organisation.id,
+      name: organisation.name,
+      requireTwoFactor: Boolean(organisation.require_two_factor)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/organisation/invitations', requirePermission('organisation:manage'), async (req, res) => {
+  const email = String((req.body && req.body.email) || '').trim();
+  const role = req.body && req.body.role;
+  if (!/^[^@\s]+@[^@\s]+$/.test(email)) {
+    return res.status(400).json({ error: 'A valid email address is required' });
+  }
+  if (!ROLES.includes(role)) {
+    return res.status(400).json({ error: `role must be one of ${ROLES.join(', ')}` });
+  }
+
+  try {
+    const member = await dbGet('SELECT id FROM users WHERE lower(email) = lower(?) AND organisation_id = ?',
+      [email, req.user.organisationId]);
+    if (member) {
+      return res.status(409).json({ error: `${email} is already a member; change their role instead` });
+    }
+    // Inviting the same address again replaces the earlier invitation
+    await dbRun(
+      `DELETE FROM organisation_invitations
+       WHERE organisation_id = ? AND lower(email) = lower(?) AND accepted_at IS NULL`,
+      [req.user.organisationId, email]
+    );
+    // The token is only ever returned here, inside the link the admin passes on
+    const id = uuidv4();
+    const token = crypto.randomBytes(32).toString('base64url');
+    await dbRun(
+      `INSERT INTO organisation_invitations (id, organisation_id, email, role, token_hash, invited_by)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [id, req.user.organisationId, email, role, hashInvitationToken(token), req.user.id]
+    );
+    res.status(201).json({
+      ...describeOrganisationInvitation(await dbGet('SELECT * FROM organisation_invitations WHERE id = ?', [id])),
+      token,
+      invitePath: `/signup.html?invitation=${token}`
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/organisation/invitations/:id', requirePermission('organisation:manage'), async (req, res) => {
+  try {
+    const result = await dbRun(
+      'DELETE FROM organisation_invitations WHERE id = ? AND organisation_id = ? AND accepted_at IS NULL',
+      [req.params.id, req.user.organisationId]
+    );
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+    res.json({ message: 'Invitation withdrawn' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/organisation/members/:id', requirePermission('organisation:manage'), async (req, res) => {
+  const role = req.body && req.body.role;
+  if (!ROLES.includes(role)) {
+    return res.status(400).json({ error: `role must be one of ${ROLES.join(', ')}` });
+  }
+  try {
+    const member = await dbGet('SELECT * FROM users WHERE id = ? AND organisation_id = ?',
+      [req.params.id, req.user.organisationId]);
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+    if (member.role === 'admin' && role !== 'admin' && (await countOrganisationAdmins(member.organisation_id)) <= 1) {
+      return res.status(409).json({ error: 'An organisation needs at least one admin' });
+    }
+    await dbRun('UPDATE users SET role = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [role, member.id]);
+    res.json(describeOrganisationMember({ ...member, role }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// For a member who lost both their authenticator and their recovery codes; they can enrol again
+app.delete('/api/organisation/members/:id/two-factor', requirePermission('organisation:manage'), async (req, res) => {
+  try {
+    const member = await dbGet('SELECT * FROM users WHERE id = ? AND organisation_id = ?',
+      [req.params.id, req.user.organisationId]);
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+    await clearTwoFactor(member.id);
+    res.json({ message: `Two-factor authentication reset for ${member.email}` });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// A removed member keeps their account in a new organisation of their own; what they created stays here
+app.delete('/api/organisation/members/:id', requirePermission('organisation:manage'), async (req, res) => {
+  try {
+    const member = await dbGet('SELECT * FROM users WHERE id = ? AND organisation_id = ?',
+      [req.params.id, req.user.organisationId]);
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+    const blocked = await checkAdminCanLeave(member);
+    if (blocked) {
+      return res.status(409).json({ error: blocked });
+    }
+    const organisationId = uuidv4();
+    await dbRun('INSERT INTO organisations (id, name) VALUES (?, ?)',
+      [organisationId, `${member.first_name} ${member.last_name}`]);
+    await dbRun("UPDATE users SET organisation_id = ?, role = 'admin', updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+      [organisationId, member.id]);
+    res.json({ message: `${member.email} was removed from the organisation` });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// What an invitation link offers, so the signup page can show it before an account exists
+app.get('/api/invitations/:token', async (req, res) => {
+  try {
+    const invitation = await findInvitationByToken(req.params.token);
+    if (!invitation) {
+      return res.status(404).json({ error: 'Invitation not found or already used' });
+    }
+    res.json(describeOrganisationInvitation(invitation));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// An existing account joins with the token from its invitation link
+app.post('/api/invitations/accept', requireAuth, async (req, res) => {
+  const token = req.body && req.body.token;
+  if (!token) {
+    return res.status(400).json({ error: 'token is required' });
+  }
+  try {
+    const invitation = await findInvitationByToken(token);
+    if (!invitation || invitation.email.toLowerCase() !== req.user.email.toLowerCase()) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+    if (invitation.organisation_id === req.user.organisationId) {
+      return res.status(409).json({ error: 'You are already a member of this organisation' });
+    }
+    const blocked = await checkAdminCanLeave({
+      id: req.user.id,
+      organisation_id: req.user.organisationId,
+      role: req.user.role
+    });
+    if (blocked) {
+      return res.status(409).json({ error: blocked });
+    }
+    await dbRun('UPDATE users SET organisation_id = ?, role = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [invitation.organisation_id, invitation.role, req.user.id]);
+    await dbRun('UPDATE organisation_invitations SET accepted_at = ? WHERE id = ?',
+      [new Date().toISOString(), invitation.id]);
+    res.json({ user: describeSessionUser(await loadSessionUser(req.user.id)) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Device Detection and Registration
+app.post('/api/device/detect', requirePermission('devices:manage'), (req, res) => {
+  try {
+    const { deviceInfo } = req.body;
+    const userId = req.user.id;
+    
+    if (!deviceInfo) {
+      return res.status(400).json({ error: 'Device information required' });
+    }
+
+    const deviceId = uuidv4();
+    const { name, model, storage, deviceType, osInfo, browserInfo } = deviceInfo;
+    
+    // Insert or update device for this user's organisation
+    db.run(
+      `INSERT OR REPLACE INTO devices 
+       (id, user_id, organisation_id, name, model, storage, device_type, os_info, browser_info, detected_at) 
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))`,
+      [deviceId, userId, req.user.organisationId, name, model, storage, deviceType, osInfo, browserInfo],
+      function(err) {
+        if (err) {
+          return res.status(500).json({ error: 'Failed to register device' });
+        }
+        
+        res.json({
+          message: 'Device registered successfully',
+          device: {
+            id: deviceId,
+            name,
+            model,
+            storage,
+            deviceType,
+            osInfo,
+            browserInfo
+          }
+        });
+      }
+    );
+  } catch (error) {
+    res.status(500).json({ error: 'Device detection failed' });
+  }
+});
+
+// API Routes (Protected)
+
+// Get dashboard overview (organisation-wide)
+app.get('/api/dashboard', requirePermission('wipes:read'), (req, res) => {
+  const organisationId = req.user.organisationId;
+  db.all(`
+    SELECT 
+      (SELECT COUNT(*) FROM devices WHERE organisation_id = ?) as total_devices,
+      (SELECT COUNT(*) FROM wipe_jobs WHERE organisation_id = ?) as total_wipes,
+      (SELECT COUNT(*) FROM certificates WHERE device_id IN (SELECT id FROM devices WHERE organisation_id = ?)) as total_certificates,
+      (SELECT COUNT(*) FROM wipe_jobs WHERE organisation_id = ? AND status = 'in_progress') as active_wipes
+  `, [organisationId, organisationId, organisationId, organisationId], (err, rows) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    res.json(rows[0]);
+  });
+});
+
+// Get the organisation's devices
+app.get('/api/devices', requirePermission('devices:read'), (req, res) => {
+  db.all('SELECT * FROM devices WHERE organisation_id = ? ORDER BY created_at DESC', [req.user.organisationId], (err, rows) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    res.json(rows);
+  });
+});
+
+// Get the organisation's wipe jobs
+app.get('/api/wipe-jobs', requirePermission('wipes:read'), (req, res) => {
+  db.all(`
+    SELECT wj.*, d.name as device_name 
+    FROM wipe_jobs wj 
+    LEFT JOIN devices d ON wj.device_id = d.id 
+    WHERE wj.organisation_id = ?
+    ORDER BY wj.created_at DESC
+  `, [req.user.organisationId], (err, rows) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    res.json(rows);
+  });
+});
+
+// List supported overwrite methods
+app.get('/api/wipe-methods', (req, res) => {
+  res.json(Object.entries(WIPE_METHODS).map(([id, method]) => ({
+    id,
+    label: method.label,
+    passes: method.passes.length,
+    verification: method.verification,
+    patterns: method.passes.map((pattern) => (pattern.type === 'random-byte' ? 'Random single byte' : describePattern(pattern)))
+  })));
+});
+
+// Start wipe job (user-specific)
+// Accepts a single `file` (older clients) or many `files`, with optional `relativePaths`
+// giving each file's path inside the selected folder
+const wipeUpload = upload.fields([
+  { name: 'file', maxCount: 1 },
+  { name: 'files', maxCount: WIPE_MAX_FILES }
+]);
+
+// Validates the method, pass count and read-back options of a wipe request.
+// Returns { error } or the options every job created by the request shares.
+function parseWipeOptions(body) {
+  const wipeMethod = WIPE_METHODS[body.method];
+  if (!wipeMethod) {
+    return { error: `Unknown wipe method: ${body.method}` };
+  }
+
+  const passes = wipeMethod.passes.length;
+  if (body.passes !== undefined && body.passes !== '' && parseInt(body.passes, 10) !== passes) {
+    return { error: `${wipeMethod.label} requires exactly ${passes} passes` };
+  }
+
+  // Optional read-back of every pass, over all or a sample of the data
+  const verify = ['true', '1', 'on'].includes(String(body.verify).toLowerCase());
+  const verifySample = body.verifySample === undefined || body.verifySample === ''
+    ? 100
+    : Number(body.verifySample);
+  if (!Number.isInteger(verifySample) || verifySample < 1 || verifySample > 100) {
+    return { error: 'verifySample must be a whole percentage between 1 and 100' };
+  }
+
+  return { method: body.method, passes, verify, verifySample };
+}
+
+// Queues a pending job; the durable runner picks it up on its next scheduling pass
+function insertWipeJob({ jobId, userId, organisationId, deviceId, wipeType, batchId = null }, options) {
+  return dbRun(
+    `INSERT INTO wipe_jobs (id, user_id, organisation_id, device_id, batch_id, method, passes, patterns, verify,
+                            verify_sample, wipe_type, max_attempts, status)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      jobId, userId, organisationId, deviceId, batchId, options.method, options.passes, JSON.stringify(resolveWipePlan(options.method)),
+      options.verify ? 1 : 0, options.verifySample, wipeType, WIPE_MAX_ATTEMPTS, 'pending'
+    ]
+  );
+}
+
+app.post('/api/wipe', requirePermission('wipes:run'), wipeUpload, (req, res) => {
+  const { deviceId, wipeType } = req.body;
+  const userId = req.user.id;
+  const organisationId = req.user.organisationId;
+  const jobId = uuidv4();
+  const uploads = collectWipeUploads(req);
+
+  const options = parseWipeOptions(req.body);
+  if (options.error) {
+    discardUploads(uploads);
+    return res.status(400).json({ error: options.error });
+  }
+
+  if (wipeType === 'file' && uploads.length === 0) {
+    return res.status(400).json({ error: 'At least one file is required for a file wipe' });
+  }
+
+  // Verify device belongs to the organisation
+  db.get('SELECT id FROM devices WHERE id = ? AND organisation_id = ?', [deviceId, organisationId], async (err, device) => {
+    if (err) {
+      discardUploads(uploads);
+      return res.status(500).json({ error: 'Database error' });
+    }
+    
+    if (!device && deviceId) {
+      discardUploads(uploads);
+      return res.status(403).json({ error: 'Device not found or access denied' });
+    }
+
+    try {
+      // Items go in first so the runner never claims a job without its files
+      for (const [index, item] of uploads.entries()) {
+        await dbRun(
+          `INSERT INTO wipe_job_items (id, job_id, item_index, relative_path, file_path, size_bytes)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+          [uuidv4(), jobId, index, item.relativePath, item.filePath, item.size]
+        );
+      }
+      await insertWipeJob({
+        jobId, userId, organisationId, deviceId, wipeType: wipeType === 'file' ? 'file' : 'device'
+      }, options);
+    } catch (error) {
+      discardUploads(uploads);
+      return res.status(500).json({ error: error.message });
+    }
+
+    // Hand the job to the durable runner
+    scheduleWipeQueue();
+
+    res.json({ jobId, status: 'started', items: uploads.length, message: 'Wipe job initiated' });
+  });
+});
+
+function collectWipeUploads(req) {
+  const files = req.files ? [...(req.files.file || []), ...(req.files.files || [])] : [];
+  const relativePaths = [].concat(req.body.relativePaths || []);
+
+  return files.map((file, index) => ({
+    filePath: file.path,
+    relativePath: sanitizeRelativePath(relativePaths[index]) || path.basename(file.originalname),
+    size: file.size
+  }));
+}
+
+// Relative paths are only ever displayed, but keep them free of traversal segments
+function sanitizeRelativePath(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const normalized = path.posix.normalize(value.replace(/\\/g, '/'))
+    .split('/')
+    .filter((segment) => segment && segment !== '.' && segment !== '..')
+    .join('/');
+  return normalized || null;
+}
+
+// Opens a Server-Sent Events stream of an emitter's events for the signed-in user's organisation.
+// ids, when given, limits it to events whose idKey is listed. Returns the send
+// function so the caller can start the stream with a snapshot.
+function openOrganisationEventStream(req, res, emitter, channel, { ids = null, idKey }) {
+  const organisationId = req.user.organisationId;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(`retry: ${WIPE_EVENTS_RETRY_MS}\n\n`);
+
+  const send = (event) => {
+    if (event.organisationId !== organisationId || (ids && !ids.has(event[idKey]))) {
+      return;
+    }
+    const { organisationId: _owner, ...data } = event;
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  emitter.on(channel, send);
+
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), WIPE_EVENTS_HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    emitter.off(channel, send);
+  });
+  return send;
+}
+
+// Parses a comma-separated id filter such as ?jobId=a,b,c; null when absent
+function parseIdList(value) {
+  return value ? new Set(String(value).split(',').map((id) => id.trim()).filter(Boolean)) : null;
+}
+
+// Server-Sent Events stream of wipe job updates for the signed-in user's organisation.
+// Optional ?jobId=a,b,c limits the stream to those jobs and starts with their current state.
+app.get('/api/wipe/events', requirePermission('wipes:read'), async (req, res) => {
+  const jobIds = parseIdList(req.query.jobId);
+  const send = openOrganisationEventStream(req, res, wipeEvents, 'wipe', { ids: jobIds, idKey: 'jobId' });
+
+  if (jobIds) {
+    try {
+      const placeholders = Array.from(jobIds, () => '?').join(', ');
+      const jobs = await dbAll(
+        `SELECT * FROM wipe_jobs WHERE organisation_id = ? AND id IN (${placeholders})`,
+        [req.user.organisationId, ...jobIds]
+      );
+      jobs.forEach((job) => send(describeWipeJobEvent('status', job)));
+    } catch (error) {
+      console.error('Failed to load wipe job snapshot:', error);
+    }
+  }
+});
+
+// Get wipe job progress (organisation-wide)
+app.get('/api/wipe/:id', requirePermission('wipes:read'), (req, res) => {
+  const jobId = req.params.id;
+  
+  db.get('SELECT * FROM wipe_jobs WHERE id = ? AND organisation_id = ?', [jobId, req.user.organisationId], (err, row) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    if (!row) {
+      res.status(404).json({ error: 'Job not found or access denied' });
+      return;
+    }
+    Promise.all([
+      dbAll(
+        `SELECT id, item_index, relative_path, size_bytes, status, passes_completed, error, destroyed_at
+         FROM wipe_job_items WHERE job_id = ? ORDER BY item_index ASC`,
+        [jobId]
+      ),
+      dbAll('SELECT * FROM wipe_passes WHERE job_id = ? ORDER BY started_at ASC, pass_number ASC', [jobId]),
+      dbAll('SELECT * FROM wipe_verifications WHERE job_id = ? ORDER BY created_at ASC', [jobId])
+    ]).then(([items, passes, verifications]) => {
+      res.json({ ...row, items, passes, verifications });
+    }).catch((error) => {
+      res.status(500).json({ error: error.message });
+    });
+  });
+});
+
+// Operator controls. Queued and paused jobs change state immediately; a running job
+// stops at the next chunk boundary, and a paused job resumes from its last completed pass.
+const WIPE_TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+function loadOwnedWipeJob(req) {
+  return dbGet('SELECT * FROM wipe_jobs WHERE id = ? AND organisation_id = ?', [req.params.id, req.user.organisationId]);
+}
+
+app.post('/api/wipe/:id/cancel', requirePermission('wipes:run'), async (req, res) => {
+  try {
+    const job = await loadOwnedWipeJob(req);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found or access denied' });
+    }
+    if (WIPE_TERMINAL_STATUSES.includes(job.status)) {
+      return res.status(409).json({ error: `Job is already ${job.status}` });
+    }
+
+    const stopped = await dbRun(
+      `UPDATE wipe_jobs SET status = 'cancelled', eta_seconds = NULL, finished_at = ?
+       WHERE id = ? AND status IN ('pending', 'paused')`,
+      [new Date().toISOString(), job.id]
+    );
+    if (stopped.changes === 1) {
+      await finishCancelledWipeJob(job);
+      return res.json({ jobId: job.id, status: 'cancelled', message: 'Wipe job cancelled' });
+    }
+
+    // The runner claimed the job in the meantime; ask it to stop
+    const current = await dbGet('SELECT status FROM wipe_jobs WHERE id = ?', [job.id]);
+    if (current.status !== 'in_progress') {
+      return res.status(409).json({ error: `Job is already ${current.status}` });
+    }
+    if (finishingWipeJobs.has(job.id)) {
+      return res.status(409).json({ error: 'Job has finished its passes and is deleting its files; it can no longer be cancelled' });
+    }
+    wipeJobInterruptions.set(job.id, 'cancel');
+    res.status(202).json({ jobId: job.id, status: 'cancelling', message: 'Wipe job will stop after the current write' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/wipe/:id/pause', requirePermission('wipes:run'), async (req, res) => {
+  try {
+    const job = await loadOwnedWipeJob(req);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found or access denied' });
+    }
+    if (WIPE_TERMINAL_STATUSES.includes(job.status) || job.status === 'paused') {
+      return res.status(409).json({ error: `Job is already ${job.status}` });
+    }
+
+    const paused = await dbRun(
+      "UPDATE wipe_jobs SET status = 'paused' WHERE id = ? AND status = 'pending'",
+      [job.id]
+    );
+    if (paused.changes === 1) {
+      publishWipeEvent(job, 'status', { status: 'paused', currentPass: job.current_pass || 0 });
+      return res.json({ jobId: job.id, status: 'paused', message: 'Wipe job paused' });
+    }
+
+    const current = await dbGet('SELECT status FROM wipe_jobs WHERE id = ?', [job.id]);
+    if (current.status !== 'in_progress') {
+      return res.status(409).json({ error: `Job is already ${current.status}` });
+    }
+    if (wipeJobInterruptions.get(job.id) === 'cancel') {
+      return res.status(409).json({ error: 'Job is being cancelled' });
+    }
+    if (finishingWipeJobs.has(job.id)) {
+      return res.status(409).json({ error: 'Job has finished its passes and is deleting its files; it can no longer be paused' });
+    }
+    wipeJobInterruptions.set(job.id, 'pause');
+    res.status(202).json({ jobId: job.id, status: 'pausing', message: 'Wipe job will pause after the current write' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/wipe/:id/resume', requirePermission('wipes:run'), async (req, res) => {
+  try {
+    const job = await loadOwnedWipeJob(req);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found or access denied' });
+    }
+
+    // A pause that the runner hasn't acted on yet is simply withdrawn
+    if (job.status === 'in_progress' && wipeJobInterruptions.get(job.id) === 'pause') {
+      wipeJobInterruptions.delete(job.id);
+      return res.json({ jobId: job.id, status: 'in_progress', message: 'Pause request withdrawn' });
+    }
+
+    const resumed = await dbRun(
+      "UPDATE wipe_jobs SET status = 'pending', next_attempt_at = NULL, last_error = NULL WHERE id = ? AND status = 'paused'",
+      [job.id]
+    );
+    if (resumed.changes !== 1) {
+      return res.status(409).json({ error: `Only paused jobs can be resumed (job is ${job.status})` });
+    }
+
+    publishWipeEvent(job, 'status', { status: 'pending', currentPass: job.current_pass || 0 });
+    scheduleWipeQueue();
+    res.json({ jobId: job.id, status: 'pending', message: `Wipe job resumes at pass ${(job.current_pass || 0) + 1}` });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Simulate backup
+app.post('/api/backup', requirePermission('devices:manage'), (req, res) => {
+  const { email, deviceId } = req.body;
+  
+  // Simulate backup process
+  setTimeout(() => {
+    const backupId = uuidv4();
+    res.json({ 
+      backupId, 
+      status: 'completed',
+      message: `Backup completed and sent to ${email}`,
+      size: '15.7 GB'
+    });
+  }, 2000);
+});
+
+// Simulate file transfer
+app.post('/api/transfer', requirePermission('devices:manage'), (req, res) => {
+  const { sourceDevice, targetDevice, files } = req.body;
+  
+  const transferId = uuidv4();
+  
+  // Simulate transfer process
+  setTimeout(() => {
+    res.json({
+      transferId,
+      status: 'completed',
+      message: `Transferred ${files.length} files from ${sourceDevice} to ${targetDevice}`,
+      filesTransferred: files.length
+    });
+  }, 3000);
+});
+
+// Residue analysis
+//
+// Reads the bytes a wipe actually left behind and tests them in fixed-size blocks:
+// Shannon entropy (bits per byte) and a chi-square goodness-of-fit test against
+// uniformly distributed bytes. A block is clean when it is indistinguishable from
+// random data or is a single repeating pattern of up to 3 bytes (which covers every
+// fixed pass in WIPE_METHODS); anything else counts as residue. The same pass
+// carves for known file signatures (see RESIDUE_FILE_SIGNATURES), and each
+// candidate artefact counts as a recoverable file. File wipes are analysed once the
+// method's last pass is on disk, before the extra random overwrite that precedes
+// the unlink, so the result describes what the chosen method left.
+const RESIDUE_ANALYZER = 'wipesure-residue-v2';
+const RESIDUE_BLOCK_SIZE = 4096;
+// Below five expected occurrences per byte value the chi-square approximation breaks down
+const RESIDUE_MIN_TEST_BYTES = 256 * 5;
+// Two-sided acceptance region at p = 1e-6, so a truly random block is flagged about once per million blocks
+const RESIDUE_CHI_SQUARE_BOUNDS = chiSquareBounds(255, 4.89);
+const RESIDUE_MAX_REPORTED_BLOCKS = 100;
+const RESIDUE_MAX_REPORTED_ARTEFACTS = 100;
+
+// Raw disk images (.img/.raw/.dd) are read from the organisation's own folder
+// under RESIDUE_IMAGE_DIR (named by its id): copies mounted there directly, or
+// uploads, which are kept under its uploads/ folder so their heatmaps can be
+// drilled into later. Image scans also produce a heatmap: the mean entropy of
+// 512-byte sectors and the share of them in residue blocks, in up to one cell per
+// degree of the radar view. Drilling into a cell re-reads just its byte range, at
+// most RESIDUE_DRILL_MAX_BYTES of it, at a finer resolution down to single sectors.
+const RESIDUE_IMAGE_DIR = process.env.RESIDUE_IMAGE_DIR || 'images';
+const RESIDUE_IMAGE_EXTENSIONS = ['.img', '.raw', '.dd'];
+const RESIDUE_SECTOR_SIZE = 512;
+const RESIDUE_HEATMAP_CELLS = 360;
+const RESIDUE_DRILL_MAX_BYTES = parseInt(process.env.RESIDUE_DRILL_MAX_BYTES || String(64 * 1024 * 1024), 10);
+const residueImageUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      const destination = path.join(residueImageRoot(req.user.organisationId), 'uploads');
+      fs.ensureDir(destination).then(() => cb(null, destination), cb);
+    },
+    filename: (req, file, cb) => {
+      cb(null, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}-${path.basename(file.originalname)}`);
+    }
+  }),
+  fileFilter: (req, file, cb) => {
+    if (!RESIDUE_IMAGE_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+      cb(new Error(`Disk images must be ${RESIDUE_IMAGE_EXTENSIONS.join(', ')} files`));
+      return;
+    }
+    cb(null, true);
+  }
+});
+
+// Wilson-Hilferty approximation of the chi-square quantiles at +/- z standard deviations
+function chiSquareBounds(degreesOfFreedom, z) {
+  const spread = Math.sqrt(2 / (9 * degreesOfFreedom));
+  const quantile = (sign) => degreesOfFreedom * Math.pow(1 - 2 / (9 * degreesOfFreedom) + sign * z * spread, 3);
+  return { lower: quantile(-1), upper: quantile(1) };
+}
+
+// File signatures the carver looks for. The magic bytes only nominate a candidate;
+// match() then checks the structure that follows them, so that random data (what
+// a good wipe leaves) almost never produces a false hit. A ZIP counts once, from
+// its first local file header up to its end-of-central-directory record, and is
+// reported as 'office' when its first entry belongs to an OOXML or ODF document.
+const ZIP_END_OF_CENTRAL_DIRECTORY = Buffer.from('PK\x05\x06', 'latin1');
+const OFFICE_ZIP_ENTRIES = ['[Content_Types].xml', 'word/', 'xl/', 'ppt/', 'mimetype'];
+const RESIDUE_FILE_SIGNATURES = [
+  {
+    type: 'jpeg',
+    magic: Buffer.from([0xFF, 0xD8, 0xFF]),
+    match: (data, i) => {
+      const marker = data[i + 3];
+      if (marker === 0xE0) {
+        return bytesAt(data, i + 6, 'JFIF');
+      }
+      if (marker === 0xE1) {
+        return bytesAt(data, i + 6, 'Exif');
+      }
+      return marker === 0xDB || marker === 0xEE || marker === 0xFE;
+    }
+  },
+  {
+    type: 'png',
+    magic: Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+    match: (data, i) => bytesAt(data, i + 12, 'IHDR')
+  },
+  {
+    type: 'gif',
+    magic: Buffer.from('GIF8'),
+    match: (data, i) => (data[i + 4] === 0x37 || data[i + 4] === 0x39) && data[i + 5] === 0x61
+  },
+  {
+    type: 'pdf',
+    magic: Buffer.from('%PDF-'),
+    match: (data, i) => (data[i + 5] === 0x31 || data[i + 5] === 0x32) && data[i + 6] === 0x2E
+  },
+  {
+    type: 'zip',
+    magic: Buffer.from('PK\x03\x04', 'latin1'),
+    match: (data, i, carver) => {
+      const nameLength = data.readUInt16LE(i + 26);
+      if (carver.zipOpen || data[i + 5] !== 0 || data[i + 4] > 63 || nameLength === 0 || nameLength > 1024) {
+        return false;
+      }
+      carver.zipOpen = true;
+      const firstEntry = data.toString('latin1', i + 30, Math.min(i + 30 + nameLength, data.length));
+      return OFFICE_ZIP_ENTRIES.some((entry) => firstEntry.startsWith(entry)) ? 'office' : 'zip';
+    }
+  },
+  {
+    type: 'ole',
+    magic: Buffer.from([0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1]),
+    match: (data, i) => data.readUInt16LE(i + 28) === 0xFFFE
+  },
+  {
+    type: 'sqlite',
+    magic: Buffer.from('SQLite format 3\0', 'latin1'),
+    match: (data, i) => {
+      const pageSize = data.readUInt16BE(i + 16);
+      return pageSize === 1 || (pageSize >= 512 && (pageSize & (pageSize - 1)) === 0);
+    }
+  }
+];
+// Bytes past a candidate offset that match() may read
+const RESIDUE_CARVE_LOOKAHEAD = 64;
+const RESIDUE_SIGNATURES_BY_FIRST_BYTE = new Map();
+RESIDUE_FILE_SIGNATURES.forEach((signature) => {
+  const first = signature.magic[0];
+  RESIDUE_SIGNATURES_BY_FIRST_BYTE.set(first, [...(RESIDUE_SIGNATURES_BY_FIRST_BYTE.get(first) || []), signature]);
+});
+
+function bytesAt(data, offset, expected) {
+  const bytes = Buffer.isBuffer(expected) ? expected : Buffer.from(expected, 'latin1');
+  return offset + bytes.length <= data.length && data.compare(bytes, 0, bytes.length, offset, offset + bytes.length) === 0;
+}
+
+// heatmap, from createResidueHeatmap(), is only kept for image scans
+function createResidueAnalysis({ heatmap = null } = {}) {
+  return {
+    heatmap,
+    histogram: new Float64Array(256),
+    bytes: 0,
+    blocks: 0,
+    randomBlocks: 0,
+    uniformBlocks: 0,
+    residueBlocks: 0,
+    untestedBlocks: 0,
+    lowestBlockEntropy: null,
+    residue: [],
+    artefactCounts: {},
+    artefactTotal: 0,
+    artefacts: []
+  };
+}
+
+function createResidueHeatmap(start, end) {
+  const sectors = Math.ceil((end - start) / RESIDUE_SECTOR_SIZE);
+  const bytesPerCell = Math.max(1, Math.ceil(sectors / RESIDUE_HEATMAP_CELLS)) * RESIDUE_SECTOR_SIZE;
+  const cells = Math.max(1, Math.ceil((end - start) / bytesPerCell));
+  return {
+    start,
+    end,
+    bytesPerCell,
+    cells,
+    entropySums: new Float64Array(cells),
+    sectors: new Uint32Array(cells),
+    residueSectors: new Uint32Array(cells)
+  };
+}
+
+// Feeds a file or raw image (or the byte range start-end of one) through the
+// analysis; target names it in reported residue. onProgress gets the bytes read so far.
+async function analyzeResidueFile(analysis, filePath, target, { start = 0, end = Infinity, onProgress = null } = {}) {
+  const handle = await fs.promises.open(filePath, 'r');
+  const buffer = Buffer.alloc(RESIDUE_BLOCK_SIZE * 64);
+  // Carving runs over a window that keeps the tail of the previous read, so a
+  // signature split across two reads is still seen exactly once
+  const carver = { zipOpen: false, pending: Buffer.alloc(0), pendingOffset: start };
+
+  try {
+    let offset = start;
+    for (;;) {
+      const length = Math.min(buffer.length, end - offset);
+      const { bytesRead } = length > 0 ? await handle.read(buffer, 0, length, offset) : { bytesRead: 0 };
+      if (bytesRead === 0) {
+        // Zero padding stands in for the lookahead past the end of the file; no match() accepts zeros there
+        const tail = Buffer.concat([carver.pending, Buffer.alloc(RESIDUE_CARVE_LOOKAHEAD)]);
+        carveResidueSignatures(analysis, carver, tail, carver.pending.length, target);
+        break;
+      }
+      for (let start = 0; start < bytesRead; start += RESIDUE_BLOCK_SIZE) {
+        const block = buffer.subarray(start, Math.min(start + RESIDUE_BLOCK_SIZE, bytesRead));
+        analyzeResidueBlock(analysis, block, target, offset + start);
+      }
+
+      const window = Buffer.concat([carver.pending, buffer.subarray(0, bytesRead)]);
+      const scanEnd = Math.max(0, window.length - RESIDUE_CARVE_LOOKAHEAD);
+      carveResidueSignatures(analysis, carver, window, scanEnd, target);
+      carver.pending = Buffer.from(window.subarray(scanEnd));
+      carver.pendingOffset += scanEnd;
+      offset += bytesRead;
+      if (onProgress) {
+        await onProgress(offset - start);
+      }
+    }
+  } finally {
+    await handle.close();
+  }
+}
+
+// Records every candidate artefact starting before scanEnd; the window always holds
+// RESIDUE_CARVE_LOOKAHEAD bytes beyond it
+function carveResidueSignatures(analysis, carver, window, scanEnd, target) {
+  for (let i = 0; i < scanEnd; i++) {
+    const candidates = RESIDUE_SIGNATURES_BY_FIRST_BYTE.get(window[i]);
+    if (!candidates) {
+      continue;
+    }
+    if (carver.zipOpen && bytesAt(window, i, ZIP_END_OF_CENTRAL_DIRECTORY)) {
+      carver.zipOpen = false;
+      continue;
+    }
+    for (const signature of candidates) {
+      if (!bytesAt(window, i, signature.magic)) {
+        continue;
+      }
+      const matched = signature.match(window, i, carver);
+      if (!matched) {
+        continue;
+      }
+      const type = typeof matched === 'string' ? matched : signature.type;
+      analysis.artefactCounts[type] = (analysis.artefactCounts[type] || 0) + 1;
+      analysis.artefactTotal++;
+      if (analysis.artefacts.length < RESIDUE_MAX_REPORTED_ARTEFACTS) {
+        analysis.artefacts.push({ target, type, offset: carver.pendingOffset + i });
+      }
+    }
+  }
+}
+
+function analyzeResidueBlock(analysis, block, target, offset) {
+  const counts = new Uint32Array(256);
+  if (analysis.heatmap) {
+    addSectorsToHeatmap(analysis.heatmap, block, offset, counts);
+  } else {
+    for (let i = 0; i < block.length; i++) {
+      counts[block[i]]++;
+    }
+  }
+
+  const expected = block.length / 256;
+  let entropy = 0;
+  let chiSquare = 0;
+  for (let value = 0; value < 256; value++) {
+    const count = counts[value];
+    analysis.histogram[value] += count;
+    if (count > 0) {
+      const probability = count / block.length;
+      entropy -= probability * Math.log2(probability);
+    }
+    chiSquare += ((count - expected) ** 2) / expected;
+  }
+
+  analysis.bytes += block.length;
+  analysis.blocks++;
+  if (analysis.lowestBlockEntropy === null || entropy < analysis.lowestBlockEntropy) {
+    analysis.lowestBlockEntropy = entropy;
+  }
+
+  if (block.length < RESIDUE_MIN_TEST_BYTES) {
+    analysis.untestedBlocks++;
+  } else if (chiSquare >= RESIDUE_CHI_SQUARE_BOUNDS.lower && chiSquare <= RESIDUE_CHI_SQUARE_BOUNDS.upper) {
+    analysis.randomBlocks++;
+  } else if (isRepeatingPattern(block)) {
+    analysis.uniformBlocks++;
+  } else {
+    analysis.residueBlocks++;
+    if (analysis.heatmap) {
+      for (let start = 0; start < block.length; start += RESIDUE_SECTOR_SIZE) {
+        analysis.heatmap.residueSectors[heatmapCell(analysis.heatmap, offset + start)]++;
+      }
+    }
+    if (analysis.residue.length < RESIDUE_MAX_REPORTED_BLOCKS) {
+      analysis.residue.push({
+        target,
+        offset,
+        entropy: Math.round(entropy * 1000) / 1000,
+        chiSquare: Math.round(chiSquare * 10) / 10
+      });
+    }
+  }
+}
+
+function heatmapCell(heatmap, offset) {
+  return Math.floor((offset - heatmap.start) / heatmap.bytesPerCell);
+}
+
+// Counts the block's bytes sector by sector, adding each sector's entropy to its heatmap cell
+function addSectorsToHeatmap(heatmap, block, offset, counts) {
+  const sectorCounts = new Uint32Array(256);
+  for (let start = 0; start < block.length; start += RESIDUE_SECTOR_SIZE) {
+    const end = Math.min(start + RESIDUE_SECTOR_SIZE, block.length);
+    sectorCounts.fill(0);
+    for (let i = start; i < end; i++) {
+      sectorCounts[block[i]]++;
+    }
+
+    let entropy = 0;
+    for (let value = 0; value < 256; value++) {
+      const count = sectorCounts[value];
+      if (count > 0) {
+        counts[value] += count;
+        const probability = count / (end - start);
+        entropy -= probability * Math.log2(probability);
+      }
+    }
+    const cell = heatmapCell(heatmap, offset + start);
+    heatmap.entropySums[cell] += entropy;
+    heatmap.sectors[cell]++;
+  }
+}
+
+// Per cell: mean sector entropy as a percentage of 8 bits (null for a cell past the
+// end of the data) and the percentage of its sectors that lie in residue blocks
+function describeResidueHeatmap(heatmap) {
+  return {
+    start: heatmap.start,
+    end: heatmap.end,
+    sectorSize: RESIDUE_SECTOR_SIZE,
+    bytesPerCell: heatmap.bytesPerCell,
+    cells: heatmap.cells,
+    entropy: Array.from(heatmap.entropySums, (sum, cell) =>
+      (heatmap.sectors[cell] ? Math.round((sum / heatmap.sectors[cell] / 8) * 100) : null)),
+    residue: Array.from(heatmap.residueSectors, (count, cell) =>
+      (heatmap.sectors[cell] ? Math.round((count / heatmap.sectors[cell]) * 100) : 0))
+  };
+}
+
+function isRepeatingPattern(block) {
+  for (let period = 1; period <= 3; period++) {
+    let repeats = true;
+    for (let i = period; i < block.length && repeats; i++) {
+      repeats = block[i] === block[i - period];
+    }
+    if (repeats) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// Entropy of every analysed byte taken together, as a percentage of the 8-bit maximum.
+// The status comes from the residue policy: the share of tested blocks that hold
+// residue, the entropy score and the number of carved artefacts.
+function summarizeResidueAnalysis(analysis, policy = DEFAULT_RESIDUE_POLICY) {
+  let entropy = 0;
+  analysis.histogram.forEach((count) => {
+    if (count > 0) {
+      const probability = count / analysis.bytes;
+      entropy -= probability * Math.log2(probability);
+    }
+  });
+
+  const entropyScore = Math.floor((entropy / 8) * 10000) / 100;
+  const testedBlocks = analysis.blocks - analysis.untestedBlocks;
+  const residueStatus = classifyResidue({
+    residueShare: testedBlocks > 0 ? analysis.residueBlocks / testedBlocks : null,
+    entropyScore,
+    recoverableFiles: analysis.artefactTotal
+  }, policy);
+
+  return {
+    entropyScore,
+    residueStatus,
+    residueLabel: policy.labels[residueStatus],
+    details: {
+      meanEntropyBits: Math.round(entropy * 10000) / 10000,
+      lowestBlockEntropyBits: analysis.lowestBlockEntropy === null
+        ? null
+        : Math.round(analysis.lowestBlockEntropy * 10000) / 10000,
+      untestedBlocks: analysis.untestedBlocks,
+      chiSquareBounds: {
+        lower: Math.round(RESIDUE_CHI_SQUARE_BOUNDS.lower * 10) / 10,
+        upper: Math.round(RESIDUE_CHI_SQUARE_BOUNDS.upper * 10) / 10
+      },
+      residue: analysis.residue,
+      artefactTypes: analysis.artefactCounts,
+      artefacts: analysis.artefacts,
+      heatmap: analysis.heatmap ? describeResidueHeatmap(analysis.heatmap) : null,
+      policy: { version: policy.version, label: policy.labels[residueStatus] }
+    }
+  };
+}
+
+// Stores a finished analysis; every carved artefact counts as a recoverable file. The status is classified
+// under the organisation's current residue policy
+async function recordResidueAnalysis(
+  { userId, organisationId, jobId = null, deviceId = null, source, target = null },
+  analysis
+) {
+  const policy = await loadResiduePolicy(organisationId);
+  const summary = summarizeResidueAnalysis(analysis, policy);
+  const id = uuidv4();
+  await dbRun(
+    `INSERT INTO ai_results (id, job_id, device_id, user_id, organisation_id, entropy_score, recoverable_files,
+       residue_status, analyzer, source, target, bytes_analyzed, block_size, blocks_analyzed, random_blocks,
+       uniform_blocks, residue_blocks, details, policy_version)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [id, jobId, deviceId, userId, organisationId, summary.entropyScore, analysis.artefactTotal, summary.residueStatus, RESIDUE_ANALYZER,
+      source, target, analysis.bytes, RESIDUE_BLOCK_SIZE, analysis.blocks, analysis.randomBlocks,
+      analysis.uniformBlocks, analysis.residueBlocks, JSON.stringify(summary.details), policy.version]
+  );
+  return dbGet('SELECT * FROM ai_results WHERE id = ?', [id]);
+}
+
+function describeResidueResult(row) {
+  const details = row.details ? JSON.parse(row.details) : null;
+  return {
+    id: row.id,
+    jobId: row.job_id,
+    deviceId: row.device_id,
+    analyzer: row.analyzer,
+    source: row.source,
+    target: row.target,
+    entropyScore: row.entropy_score,
+    recoverableFiles: row.recoverable_files,
+    residueStatus: row.residue_status,
+    residueLabel: details && details.policy ? details.policy.label : row.residue_status,
+    policyVersion: row.policy_version,
+    bytesAnalyzed: row.bytes_analyzed,
+    blockSize: row.block_size,
+    blocks: {
+      analyzed: row.blocks_analyzed,
+      random: row.random_blocks,
+      uniform: row.uniform_blocks,
+      residue: row.residue_blocks
+    },
+    details,
+    createdAt: row.created_at
+  };
+}
+
+function residueImageRoot(organisationId) {
+  return path.join(RESIDUE_IMAGE_DIR, String(organisationId));
+}
+
+// Raw images are read from the organisation's folder under RESIDUE_IMAGE_DIR only;
+// resolves { file, size }, or null for anything else
+async function resolveResidueImagePath(organisationId, imagePath) {
+  const root = path.resolve(residueImageRoot(organisationId));
+  const resolved = path.resolve(root, String(imagePath));
+  if (!resolved.startsWith(root + path.sep)) {
+    return null;
+  }
+  const stats = await fs.promises.stat(resolved).catch(() => null);
+  return stats && stats.isFile() ? { file: resolved, size: stats.size } : null;
+}
+
+// Runs the disk image upload, turning multer rejections into 400s
+function residueImageUploadSingle(req, res, next) {
+  residueImageUpload.single('image')(req, res, (err) => {
+    if (err) {
+      res.status(400).json({ error: err.message });
+      return;
+    }
+    next();
+  });
+}
+
+// Residue scan. File wipes are analysed as their files are destroyed, so a job or
+// device scan returns the latest of those results. An uploaded `image`, or
+// imagePath naming one in the organisation's image folder, is queued as a scan job instead
+// (202; see Residue scan jobs below). A target with no bytes on record gets an
+// error, never an assumed result. Looking up needs scans:read; queueing a scan, scans:run.
+// An image upload is multipart, so the permission is settled before the upload is stored
+function requireResidueScanPermission(req, res, next) {
+  const queuesScan = req.is('multipart/form-data') || Boolean(req.body && req.body.imagePath);
+  return requirePermission(queuesScan ? 'scans:run' : 'scans:read')(req, res, next);
+}
+
+app.post('/api/ai/scan', requireResidueScanPermission, residueImageUploadSingle, async (req, res) => {
+  const { jobId, deviceId } = req.body;
+  const organisationId = req.user.organisationId;
+  // Uploads are named relative to the image directory, like mounted images
+  const imagePath = req.file ? path.relative(residueImageRoot(organisationId), req.file.path) : req.body.imagePath;
+  const rejectUpload = () => (req.file ? fs.promises.unlink(req.file.path).catch(() => {}) : null);
+
+  try {
+    const job = jobId
+      ? await dbGet('SELECT id, device_id FROM wipe_jobs WHERE id = ? AND organisation_id = ?', [jobId, organisationId])
+      : null;
+    if (jobId && !job) {
+      await rejectUpload();
+      return res.status(404).json({ error: 'Wipe job not found' });
+    }
+    if (deviceId && !(await dbGet('SELECT id FROM devices WHERE id = ? AND organisation_id = ?',
+      [deviceId, organisationId]))) {
+      await rejectUpload();
+      return res.status(404).json({ error: 'Device not found' });
+    }
+
+    if (imagePath) {
+      const image = await resolveResidueImagePath(organisationId, imagePath);
+      if (!image) {
+        await rejectUpload();
+        return res.status(400).json({
+          error: `imagePath must name a file inside ${residueImageRoot(organisationId)}${path.sep}`
+        });
+      }
+      if (image.size === 0) {
+        await rejectUpload();
+        return res.status(422).json({ error: 'The image is empty; there is nothing to analyse' });
+      }
+      const scanId = uuidv4();
+      await dbRun(
+        `INSERT INTO residue_scans (id, user_id, organisation_id, job_id, device_id, target, bytes_total)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [scanId, req.user.id, organisationId, job ? job.id : null, deviceId || (job && job.device_id) || null, String(imagePath), image.size]
+      );
+      scheduleResidueScanQueue();
+      return res.status(202).location(`/api/ai/scans/${scanId}`).json({
+        scanId,
+        status: 'pending',
+        statusUrl: `/api/ai/scans/${scanId}`,
+        eventsUrl: `/api/ai/scans/events?scanId=${scanId}`
+      });
+    }
+
+    if (!job && !deviceId) {
+      return res.status(400).json({ error: 'Provide a jobId, a deviceId or an imagePath' });
+    }
+    const row = job
+      ? await dbGet(
+        `SELECT * FROM ai_results WHERE job_id = ? AND analyzer IS NOT NULL
+         ORDER BY created_at DESC, rowid DESC LIMIT 1`,
+        [job.id]
+      )
+      : await dbGet(
+        `SELECT * FROM ai_results WHERE device_id = ? AND analyzer IS NOT NULL
+         ORDER BY created_at DESC, rowid DESC LIMIT 1`,
+        [deviceId]
+      );
+    if (!row) {
+      return res.status(404).json({
+        error: 'No residue analysis has been recorded. File wipes are analysed when they complete; ' +
+          'full-device wipes are simulated, so upload or name a raw image of the device instead.'
+      });
+    }
+    res.json(describeResidueResult(row));
+  } catch (error) {
+    await rejectUpload();
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// The heatmap of a scanned image. Without a range it is the one the scan job stored;
+// with start and end, that byte range is re-read and analysed again. Ranges are
+// widened to whole blocks and cut short after RESIDUE_DRILL_MAX_BYTES, so the
+// response's start and end give the range actually analysed.
+app.get('/api/ai/results/:id/heatmap', requirePermission('scans:read'), async (req, res) => {
+  try {
+    const row = await dbGet(
+      "SELECT * FROM ai_results WHERE id = ? AND organisation_id = ? AND source = 'image'",
+      [req.params.id, req.user.organisationId]
+    );
+    if (!row) {
+      return res.status(404).json({ error: 'Image scan not found' });
+    }
+
+    if (req.query.start === undefined && req.query.end === undefined) {
+      const result = describeResidueResult(row);
+      const details = result.details || {};
+      if (!details.heatmap) {
+        return res.status(404).json({ error: 'This scan has no stored heatmap' });
+      }
+      return res.json({
+        resultId: row.id,
+        target: row.target,
+        start: details.heatmap.start,
+        end: details.heatmap.end,
+        entropyScore: result.entropyScore,
+        recoverableFiles: result.recoverableFiles,
+        residueStatus: result.residueStatus,
+        residueLabel: result.residueLabel,
+        policyVersion: result.policyVersion,
+        heatmap: details.heatmap,
+        residue: details.residue || [],
+        artefacts: details.artefacts || []
+      });
+    }
+
+    const image = await resolveResidueImagePath(row.organisation_id, row.target);
+    if (!image) {
+      return res.status(410).json({ error: `The image ${row.target} is no longer available` });
+    }
+
+    const start = req.query.start === undefined ? 0 : Number(req.query.start);
+    const end = req.query.end === undefined ? image.size : Number(req.query.end);
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end <= start || end > image.size) {
+      return res.status(400).json({ error: `start and end must be byte offsets with 0 <= start < end <= ${image.size}` });
+    }
+    const rangeStart = Math.floor(start / RESIDUE_BLOCK_SIZE) * RESIDUE_BLOCK_SIZE;
+    const rangeEnd = Math.min(image.size, Math.ceil(end / RESIDUE_BLOCK_SIZE) * RESIDUE_BLOCK_SIZE,
+      rangeStart + Math.ceil(RESIDUE_DRILL_MAX_BYTES / RESIDUE_BLOCK_SIZE) * RESIDUE_BLOCK_SIZE);
+
+    const analysis = createResidueAnalysis({ heatmap: createResidueHeatmap(rangeStart, rangeEnd) });
+    await analyzeResidueFile(analysis, image.file, row.target, { start: rangeStart, end: rangeEnd });
+    const policy = await loadResiduePolicy(row.organisation_id, row.policy_version || 0);
+    const summary = summarizeResidueAnalysis(analysis, policy || DEFAULT_RESIDUE_POLICY);
+    res.json({
+      resultId: row.id,
+      target: row.target,
+      start: rangeStart,
+      end: rangeEnd,
+      entropyScore: summary.entropyScore,
+      recoverableFiles: analysis.artefactTotal,
+      residueStatus: summary.residueStatus,
+      residueLabel: summary.residueLabel,
+      policyVersion: summary.details.policy.version,
+      heatmap: summary.details.heatmap,
+      residue: summary.details.residue,
+      artefacts: summary.details.artefacts
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Residue scan jobs
+//
+// Image scans can take minutes, so POST /api/ai/scan only queues them in
+// residue_scans. The runner works through pending scans, up to
+// RESIDUE_SCAN_CONCURRENCY at a time, and publishes their progress to
+// /api/ai/scans/events; GET /api/ai/scans/:id can be polled instead. Scans only
+// read their image, so one interrupted by a restart is simply queued again.
+const RESIDUE_SCAN_CONCURRENCY = Math.max(1, parseInt(process.env.RESIDUE_SCAN_CONCURRENCY || '1', 10));
+const RESIDUE_SCAN_LIST_LIMIT = 50;
+const RESIDUE_HISTORY_MAX_RESULTS = 500;
+const residueScanEvents = new EventEmitter();
+residueScanEvents.setMaxListeners(0);
+const runningResidueScans = new Set();
+let residueScanQueueBusy = false;
+let residueScanQueueDirty = false;
+
+function publishResidueScanEvent(scan, type, data = {}) {
+  residueScanEvents.emit('scan', {
+    type,
+    scanId: scan.id,
+    organisationId: scan.organisation_id,
+    at: new Date().toISOString(),
+    ...data
+  });
+}
+
+function describeResidueScan(scan) {
+  return {
+    scanId: scan.id,
+    jobId: scan.job_id,
+    deviceId: scan.device_id,
+    target: scan.target,
+    status: scan.status,
+    progress: scan.progress,
+    bytesTotal: scan.bytes_total,
+    bytesScanned: scan.bytes_scanned,
+    resultId: scan.result_id,
+    error: scan.error,
+    createdAt: scan.created_at,
+    startedAt: scan.started_at,
+    finishedAt: scan.finished_at
+  };
+}
+
+function scheduleResidueScanQueue() {
+  pumpResidueScanQueue().catch((error) => console.error('Residue scan queue error:', error));
+}
+
+async function pumpResidueScanQueue() {
+  if (residueScanQueueBusy) {
+    residueScanQueueDirty = true;
+    return;
+  }
+  residueScanQueueBusy = true;
+
+  try {
+    do {
+      residueScanQueueDirty = false;
+      while (runningResidueScans.size < RESIDUE_SCAN_CONCURRENCY) {
+        const scan = await claimNextResidueScan();
+        if (!scan) {
+          break;
+        }
+        runningResidueScans.add(scan.id);
+        runResidueScan(scan)
+          .catch((error) => console.error(`Residue scan ${scan.id} crashed:`, error))
+          .finally(() => {
+            runningResidueScans.delete(scan.id);
+            scheduleResidueScanQueue();
+          });
+      }
+    } while (residueScanQueueDirty);
+  } finally {
+    residueScanQueueBusy = false;
+  }
+}
+
+async function claimNextResidueScan() {
+  const candidates = await dbAll(
+    "SELECT id FROM residue_scans WHERE status = 'pending' ORDER BY created_at ASC, rowid ASC LIMIT ?",
+    [RESIDUE_SCAN_CONCURRENCY + runningResidueScans.size]
+  );
+
+  for (const candidate of candidates) {
+    if (runningResidueScans.has(candidate.id)) {
+      continue;
+    }
+    const claim = await dbRun(
+      "UPDATE residue_scans SET status = 'in_progress', started_at = ? WHERE id = ? AND status = 'pending'",
+      [new Date().toISOString(), candidate.id]
+    );
+    if (claim.changes === 1) {
+      return dbGet('SELECT * FROM residue_scans WHERE id = ?', [candidate.id]);
+    }
+  }
+  return null;
+}
+
+async function runResidueScan(scan) {
+  publishResidueScanEvent(scan, 'status', { status: 'in_progress', progress: 0, bytesTotal: scan.bytes_total });
+
+  try {
+    const image = await resolveResidueImagePath(scan.organisation_id, scan.target);
+    if (!image) {
+      throw new Error(`The image ${scan.target} is no longer available`);
+    }
+
+    const analysis = createResidueAnalysis({ heatmap: createResidueHeatmap(0, image.size) });
+    let lastReport = 0;
+    await analyzeResidueFile(analysis, image.file, scan.target, {
+      onProgress: async (bytesScanned) => {
+        const now = Date.now();
+        if (now - lastReport < PROGRESS_UPDATE_INTERVAL_MS) {
+          return;
+        }
+        lastReport = now;
+        const progress = Math.min(99, Math.floor((bytesScanned / image.size) * 100));
+        await dbRun('UPDATE residue_scans SET bytes_scanned = ?, progress = ? WHERE id = ?', [bytesScanned, progress, scan.id]);
+        publishResidueScanEvent(scan, 'progress', { progress, bytesScanned, bytesTotal: image.size });
+      }
+    });
+
+    const result = await recordResidueAnalysis({
+      userId: scan.user_id,
+      organisationId: scan.organisation_id,
+      jobId: scan.job_id,
+      deviceId: scan.device_id,
+      source: 'image',
+      target: scan.target
+    }, analysis);
+    await dbRun(
+      `UPDATE residue_scans SET status = 'completed', progress = 100, bytes_total = ?, bytes_scanned = ?, result_id = ?,
+         error = NULL, finished_at = ?
+       WHERE id = ?`,
+      [image.size, analysis.bytes, result.id, new Date().toISOString(), scan.id]
+    );
+    publishResidueScanEvent(scan, 'completed', {
+      status: 'completed',
+      progress: 100,
+      resultId: result.id,
+      entropyScore: result.entropy_score,
+      recoverableFiles: result.recoverable_files,
+      residueStatus: result.residue_status,
+      residueLabel: describeResidueResult(result).residueLabel
+    });
+  } catch (error) {
+    await dbRun(
+      "UPDATE residue_scans SET status = 'failed', error = ?, finished_at = ? WHERE id = ?",
+      [error.message, new Date().toISOString(), scan.id]
+    );
+    publishResidueScanEvent(scan, 'failed', { status: 'failed', error: error.message });
+  }
+}
+
+function requeueInterruptedResidueScans() {
+  return dbRun("UPDATE residue_scans SET status = 'pending', progress = 0, bytes_scanned = 0 WHERE status = 'in_progress'");
+}
+
+// Server-Sent Events stream of residue scan updates for the signed-in user's organisation.
+// Optional ?scanId=a,b,c limits the stream to those scans and starts with their current state.
+app.get('/api/ai/scans/events', requirePermission('scans:read'), async (req, res) => {
+  const scanIds = parseIdList(req.query.scanId);
+  const send = openOrganisationEventStream(req, res, residueScanEvents, 'scan', { ids: scanIds, idKey: 'scanId' });
+
+  if (scanIds) {
+    try {
+      const placeholders = Array.from(scanIds, () => '?').join(', ');
+      const scans = await dbAll(
+        `SELECT * FROM residue_scans WHERE organisation_id = ? AND id IN (${placeholders})`,
+        [req.user.organisationId, ...scanIds]
+      );
+      scans.forEach((scan) => send({
+        type: 'status',
+        organisationId: scan.organisation_id,
+        at: new Date().toISOString(),
+        ...describeResidueScan(scan)
+      }));
+    } catch (error) {
+      console.error('Failed to load residue scan snapshot:', error);
+    }
+  }
+});
+
+app.get('/api/ai/scans', requirePermission('scans:read'), async (req, res) => {
+  try {
+    const scans = await dbAll(
+      'SELECT * FROM residue_scans WHERE organisation_id = ? ORDER BY created_at DESC, rowid DESC LIMIT ?',
+      [req.user.organisationId, RESIDUE_SCAN_LIST_LIMIT]
+    );
+    res.json(scans.map(describeResidueScan));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// A scan's status; once completed it includes the full result
+app.get('/api/ai/scans/:id', requirePermission('scans:read'), async (req, res) => {
+  try {
+    const scan = await dbGet('SELECT * FROM residue_scans WHERE id = ? AND organisation_id = ?',
+      [req.params.id, req.user.organisationId]);
+    if (!scan) {
+      return res.status(404).json({ error: 'Residue scan not found' });
+    }
+    const result = scan.result_id ? await dbGet('SELECT * FROM ai_results WHERE id = ?', [scan.result_id]) : null;
+    res.json({ ...describeResidueScan(scan), result: result ? describeResidueResult(result) : null });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Residue history: the newest `limit` measured results for a device or job, returned
+// oldest first so the figures of repeated wipes can be compared. Details such as
+// heatmaps are left out; GET /api/ai/results/:id has them.
+app.get('/api/ai/results', requirePermission('scans:read'), async (req, res) => {
+  const { deviceId, jobId } = req.query;
+  const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > RESIDUE_HISTORY_MAX_RESULTS) {
+    return res.status(400).json({ error: `limit must be a whole number from 1 to ${RESIDUE_HISTORY_MAX_RESULTS}` });
+  }
+
+  const conditions = ['ar.analyzer IS NOT NULL', 'ar.organisation_id = ?'];
+  const params = [req.user.organisationId];
+  if (deviceId) {
+    conditions.push('(ar.device_id = ? OR wj.device_id = ?)');
+    params.push(deviceId, deviceId);
+  }
+  if (jobId) {
+    conditions.push('ar.job_id = ?');
+    params.push(jobId);
+  }
+
+  try {
+    const rows = await dbAll(
+      `SELECT * FROM (
+         SELECT ar.*, ar.rowid AS seq, wj.method AS job_method, wj.passes AS job_passes,
+                wj.finished_at AS job_finished_at
+         FROM ai_results ar
+         LEFT JOIN wipe_jobs wj ON wj.id = ar.job_id
+         WHERE ${conditions.join(' AND ')}
+         ORDER BY ar.created_at DESC, ar.rowid DESC
+         LIMIT ?
+       ) ORDER BY created_at ASC, seq ASC`,
+      [...params, limit]
+    );
+    res.json({
+      deviceId: deviceId || null,
+      jobId: jobId || null,
+      results: rows.map((row) => {
+        const { details, ...result } = describeResidueResult(row);
+        return {
+          ...result,
+          job: row.job_id && row.job_method
+            ? { method: row.job_method, passes: row.job_passes, finishedAt: row.job_finished_at }
+            : null
+        };
+      })
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/ai/results/:id', requirePermission('scans:read'), async (req, res) => {
+  try {
+    const row = await dbGet(
+      'SELECT * FROM ai_results WHERE id = ? AND analyzer IS NOT NULL AND organisation_id = ?',
+      [req.params.id, req.user.organisationId]
+    );
+    if (!row) {
+      return res.status(404).json({ error: 'Residue result not found' });
+    }
+    res.json(describeResidueResult(row));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Residue classification policy
+//
+// Customers contract for different pass criteria, so the cut-offs between
+// residue statuses are set per organisation. A result takes the first status in
+// RESIDUE_GRADED_STATUSES whose thresholds it meets, otherwise HIGH_RESIDUE; a
+// scan with no testable block is INCONCLUSIVE. Policies are never edited in
+// place: saving one adds a version, and each result records the version it was
+// classified under. Version 0 is the built-in policy, which reports the status
+// codes as labels. Its CLEAN status also needs an entropy score of 95%, so a
+// file left as a fixed pattern (zeros, say) is at best MOSTLY_CLEAN.
+const RESIDUE_GRADED_STATUSES = ['CLEAN', 'MOSTLY_CLEAN', 'SOME_RESIDUE'];
+const RESIDUE_STATUSES = [...RESIDUE_GRADED_STATUSES, 'HIGH_RESIDUE', 'INCONCLUSIVE'];
+const RESIDUE_LABEL_MAX_LENGTH = 40;
+
+const DEFAULT_RESIDUE_POLICY = {
+  version: 0,
+  thresholds: {
+    CLEAN: { maxResiduePercent: 0, maxRecoverableFiles: 0, minEntropyScore: 95 },
+    MOSTLY_CLEAN: { maxResiduePercent: 1, maxRecoverableFiles: null, minEntropyScore: 0 },
+    SOME_RESIDUE: { maxResiduePercent: 10, maxRecoverableFiles: null, minEntropyScore: 0 }
+  },
+  labels: Object.fromEntries(RESIDUE_STATUSES.map((status) => [status, status])),
+  createdAt: null
+};
+
+// maxRecoverableFiles null means any number of carved artefacts is allowed
+function classifyResidue({ residueShare, entropyScore, recoverableFiles }, policy) {
+  if (residueShare === null) {
+    return 'INCONCLUSIVE';
+  }
+  const status = RESIDUE_GRADED_STATUSES.find((candidate) => {
+    const threshold = policy.thresholds[candidate];
+    return residueShare * 100 <= threshold.maxResiduePercent
+      && (threshold.maxRecoverableFiles === null || recoverableFiles <= threshold.maxRecoverableFiles)
+      && entropyScore >= threshold.minEntropyScore;
+  });
+  return status || 'HIGH_RESIDUE';
+}
+
+function describeResiduePolicy(row) {
+  return {
+    version: row.version,
+    thresholds: JSON.parse(row.thresholds),
+    labels: JSON.parse(row.labels),
+    createdAt: row.created_at
+  };
+}
+
+// The organisation's current policy, or one version of it; resolves null for a version that does not exist
+async function loadResiduePolicy(organisationId, version = null) {
+  if (version === 0) {
+    return DEFAULT_RESIDUE_POLICY;
+  }
+  const row = version === null
+    ? await dbGet('SELECT * FROM residue_policies WHERE organisation_id = ? ORDER BY version DESC LIMIT 1',
+      [organisationId])
+    : await dbGet('SELECT * FROM residue_policies WHERE organisation_id = ? AND version = ?', [organisationId, version]);
+  if (!row) {
+    return version === null ? DEFAULT_RESIDUE_POLICY : null;
+  }
+  return describeResiduePolicy(row);
+}
+
+// Resolves { thresholds, labels } from a request body, or { error }. Each status must be at
+// least as lenient as the one before it, and labels default to the status codes.
+function parseResiduePolicy(body) {
+  const thresholds = {};
+  for (const status of RESIDUE_GRADED_STATUSES) {
+    const input = body.thresholds && body.thresholds[status];
+    if (!input || typeof input !== 'object') {
+      return { error: `thresholds.${status} is required` };
+    }
+    const maxResiduePercent = input.maxResiduePercent === null || input.maxResiduePercent === ''
+      ? NaN
+      : Number(input.maxResiduePercent);
+    const minEntropyScore = input.minEntropyScore === null || input.minEntropyScore === ''
+      ? NaN
+      : Number(input.minEntropyScore);
+    const maxRecoverableFiles = input.maxRecoverableFiles === null || input.maxRecoverableFiles === ''
+      ? null
+      : Number(input.maxRecoverableFiles);
+    if (!Number.isFinite(maxResiduePercent) || maxResiduePercent < 0 || maxResiduePercent > 100) {
+      return { error: `thresholds.${status}.maxResiduePercent must be a number from 0 to 100` };
+    }
+    if (!Number.isFinite(minEntropyScore) || minEntropyScore < 0 || minEntropyScore > 100) {
+      return { error: `thresholds.${status}.minEntropyScore must be a number from 0 to 100` };
+    }
+    if (maxRecoverableFiles !== null && (!Number.isInteger(maxRecoverableFiles) || maxRecoverableFiles < 0)) {
+      return { error: `thresholds.${status}.maxRecoverableFiles must be a whole number of files, or null for no limit` };
+    }
+    thresholds[status] = { maxResiduePercent, maxRecoverableFiles, minEntropyScore };
+  }
+
+  for (let index = 1; index < RESIDUE_GRADED_STATUSES.length; index++) {
+    const stricter = thresholds[RESIDUE_GRADED_STATUSES[index - 1]];
+    const looser = thresholds[RESIDUE_GRADED_STATUSES[index]];
+    const fileLimit = (threshold) => (threshold.maxRecoverableFiles === null ? Infinity : threshold.maxRecoverableFiles);
+    if (looser.maxResiduePercent < stricter.maxResiduePercent
+      || fileLimit(looser) < fileLimit(stricter)
+      || looser.minEntropyScore > stricter.minEntropyScore) {
+      return {
+        error: `${RESIDUE_GRADED_STATUSES[index]} thresholds must be at least as lenient as ${RESIDUE_GRADED_STATUSES[index - 1]}`
+      };
+    }
+  }
+
+  const labels = {};
+  for (const status of RESIDUE_STATUSES) {
+    const label = body.labels && body.labels[status] !== undefined && body.labels[status] !== null
+      ? String(body.labels[status]).trim()
+      : status;
+    if (!label || label.length > RESIDUE_LABEL_MAX_LENGTH) {
+      return { error: `labels.${status} must be 1 to ${RESIDUE_LABEL_MAX_LENGTH} characters` };
+    }
+    labels[status] = label;
+  }
+  if (new Set(Object.values(labels)).size !== RESIDUE_STATUSES.length) {
+    return { error: 'Each residue status needs its own label' };
+  }
+
+  return { thresholds, labels };
+}
+
+app.get('/api/residue-policy', requirePermission('settings:read'), async (req, res) => {
+  try {
+    res.json({ ...(await loadResiduePolicy(req.user.organisationId)), defaults: DEFAULT_RESIDUE_POLICY });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Saves a new version unless nothing changed
+app.put('/api/residue-policy', requirePermission('settings:manage'), async (req, res) => {
+  const parsed = parseResiduePolicy(req.body || {});
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+
+  try {
+    const current = await loadResiduePolicy(req.user.organisationId);
+    if (JSON.stringify(current.thresholds) === JSON.stringify(parsed.thresholds)
+      && JSON.stringify(current.labels) === JSON.stringify(parsed.labels)) {
+      return res.json(current);
+    }
+    // The version is taken in the INSERT itself so two saves cannot claim the same number
+    await dbRun(
+      `INSERT INTO residue_policies (id, organisation_id, user_id, version, thresholds, labels)
+       SELECT ?, ?, ?, COALESCE(MAX(version), 0) + 1, ?, ? FROM residue_policies WHERE organisation_id = ?`,
+      [uuidv4(), req.user.organisationId, req.user.id, JSON.stringify(parsed.thresholds), JSON.stringify(parsed.labels),
+        req.user.organisationId]
+    );
+    res.json(await loadResiduePolicy(req.user.organisationId));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/residue-policy/versions', requirePermission('settings:read'), async (req, res) => {
+  try {
+    const rows = await dbAll('SELECT * FROM residue_policies WHERE organisation_id = ? ORDER BY version DESC',
+      [req.user.organisationId]);
+    res.json([...rows.map(describeResiduePolicy), DEFAULT_RESIDUE_POLICY]);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/residue-policy/versions/:version', requirePermission('settings:read'), async (req, res) => {
+  const version = Number(req.params.version);
+  if (!Number.isInteger(version) || version < 0) {
+    return res.status(400).json({ error: 'version must be a whole number' });
+  }
+  try {
+    const policy = await loadResiduePolicy(req.user.organisationId, version);
+    if (!policy) {
+      return res.status(404).json({ error: `Residue policy version ${version} not found` });
+    }
+    res.json(policy);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Certificate issuance policy
+//
+// A certificate may only state what was measured: the job must have completed,
+// its read-back verification must have passed and (unless the organisation
+// relaxes it) a residue scan must show what the method's final pass leaves.
+// minEntropyScore is the floor for a method ending in random data; a method
+// ending in a fixed pattern (NIST's zeros, say) must come as close to that
+// pattern's own entropy instead, so zero fills are not failed for being zeros.
+// Defaults come from the environment; each organisation can tighten or relax them.
+//
+// Full-device wipes are simulated: nothing is written to or read back from the
+// device, so there is nothing for the verification and residue rules to measure.
+// Such jobs are certified as simulated (their certificate says so and reports
+// neither) unless CERTIFICATE_ALLOW_SIMULATED is 'false', which refuses them.
+const DEFAULT_ISSUANCE_POLICY = {
+  requireVerification: process.env.CERTIFICATE_REQUIRE_VERIFICATION !== 'false',
+  requireResidueScan: process.env.CERTIFICATE_REQUIRE_RESIDUE_SCAN !== 'false',
+  minEntropyScore: parseFloat(process.env.CERTIFICATE_MIN_ENTROPY_SCORE || '95')
+};
+const CERTIFY_SIMULATED_WIPES = process.env.CERTIFICATE_ALLOW_SIMULATED !== 'false';
+
+function isSimulatedWipeJob(job) {
+  return !isFileWipeJob(job);
+}
+
+// Entropy score (as summarizeResidueAnalysis reports it) of data left by the job's final pass
+function expectedFinalEntropyScore(job) {
+  const plan = getJobWipePlan(job);
+  const finalPass = plan[plan.length - 1];
+  if (!finalPass || finalPass.type !== 'fill') {
+    return 100;
+  }
+  const counts = new Map();
+  finalPass.bytes.forEach((byte) => counts.set(byte, (counts.get(byte) || 0) + 1));
+  let entropy = 0;
+  counts.forEach((count) => {
+    const probability = count / finalPass.bytes.length;
+    entropy -= probability * Math.log2(probability);
+  });
+  return Math.floor((entropy / 8) * 10000) / 100;
+}
+
+async function loadIssuancePolicy(organisationId) {
+  const row = await dbGet('SELECT * FROM organisations WHERE id = ?', [organisationId]);
+  if (!row || row.require_verification === null) {
+    return { ...DEFAULT_ISSUANCE_POLICY };
+  }
+  return {
+    requireVerification: Boolean(row.require_verification),
+    requireResidueScan: Boolean(row.require_residue_scan),
+    minEntropyScore: row.min_entropy_score
+  };
+}
+
+// Returns one { rule, message } per rule the job breaks; empty when a certificate may be issued
+function evaluateIssuancePolicy(job, policy) {
+  const violations = [];
+  const violate = (rule, message) => violations.push({ rule, message });
+
+  if (job.status !== 'completed') {
+    violate('job_completed', `Job is ${job.status.replace('_', ' ')}; only completed wipes can be certified`);
+  }
+
+  if (isSimulatedWipeJob(job)) {
+    if (!CERTIFY_SIMULATED_WIPES) {
+      violate('simulated_wipe', 'Full-device wipes are simulated and this server does not certify them');
+    }
+    return violations;
+  }
+
+  const failedPasses = job.verifications.filter((verification) => verification.status !== 'passed');
+  if (failedPasses.length > 0) {
+    violate('verification_passed',
+      `Read-back verification failed on pass ${failedPasses.map((verification) => verification.pass_number).join(', ')}`);
+  }
+
+  if (policy.requireVerification) {
+    const totalPasses = job.passes;
+    const requiredPasses = Array.from({ length: totalPasses }, (_, index) => index + 1)
+      .filter((passNumber) => shouldVerifyPass(job, passNumber, totalPasses));
+    const verifiedPasses = new Map(job.verifications.map((verification) => [verification.pass_number, verification]));
+    const itemCount = Math.max(job.items.length, 1);
+
+    if (requiredPasses.length === 0) {
+      violate('verification_performed',
+        `${job.method} does not read back any pass; start the wipe with read-back verification enabled`);
+    } else {
+      const missing = requiredPasses.filter((passNumber) => !verifiedPasses.has(passNumber));
+      const partial = requiredPasses.filter((passNumber) =>
+        verifiedPasses.has(passNumber) && verifiedPasses.get(passNumber).items_checked < itemCount);
+      if (missing.length > 0) {
+        violate('verification_performed', `Pass ${missing.join(', ')} was not read back`);
+      }
+      if (partial.length > 0) {
+        violate('verification_performed', `Pass ${partial.join(', ')} was read back for only some of the job's files`);
+      }
+    }
+  }
+
+  if (policy.requireResidueScan) {
+    const expectedScore = expectedFinalEntropyScore(job);
+    const tolerance = 100 - policy.minEntropyScore;
+    if (!job.scan_id) {
+      violate('residue_scan', 'No residue scan has been recorded for this job');
+    } else if (expectedScore === 100 && !(job.entropy_score >= policy.minEntropyScore)) {
+      violate('residue_scan',
+        `Residue scan entropy ${job.entropy_score}% is below the required ${policy.minEntropyScore}%`);
+    } else if (expectedScore < 100 && !(Math.abs(job.entropy_score - expectedScore) <= tolerance)) {
+      violate('residue_scan',
+        `Residue scan entropy ${job.entropy_score}% is more than ${tolerance} points from the ${expectedScore}% ` +
+        `that ${job.method}'s final pattern leaves`);
+    }
+  }
+
+  return violations;
+}
+
+app.get('/api/certificate-policy', requirePermission('settings:read'), async (req, res) => {
+  try {
+    res.json({ ...(await loadIssuancePolicy(req.user.organisationId)), defaults: DEFAULT_ISSUANCE_POLICY });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/certificate-policy', requirePermission('settings:manage'), async (req, res) => {
+  const { requireVerification, requireResidueScan } = req.body;
+  const minEntropyScore = Number(req.body.minEntropyScore);
+  if (typeof requireVerification !== 'boolean' || typeof requireResidueScan !== 'boolean') {
+    return res.status(400).json({ error: 'requireVerification and requireResidueScan must be true or false' });
+  }
+  if (!Number.isFinite(minEntropyScore) || minEntropyScore < 0 || minEntropyScore > 100) {
+    return res.status(400).json({ error: 'minEntropyScore must be a number from 0 to 100' });
+  }
+
+  try {
+    await dbRun(
+      `UPDATE organisations
+       SET require_verification = ?, require_residue_scan = ?, min_entropy_score = ?, policy_updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [requireVerification ? 1 : 0, requireResidueScan ? 1 : 0, minEntropyScore, req.user.organisationId]
+    );
+    res.json(await loadIssuancePolicy(req.user.organisationId));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Loads a job with everything its certificate states: the device, the most recent
+// measured residue analysis, per-pass verification and the wiped items. Resolves null for an unknown job.
+async function loadCertifiableJob(jobId) {
+  const job = await dbGet(`
+    SELECT wj.*, d.name as device_name, d.model, d.storage, d.health,
+           ar.id as scan_id, ar.entropy_score, ar.recoverable_files, ar.residue_status,
+           json_extract(ar.details, '$.policy.label') as residue_label, ar.policy_version as residue_policy_version
+    FROM wipe_jobs wj
+    LEFT JOIN devices d ON wj.device_id = d.id
+    LEFT JOIN ai_results ar ON ar.id = (
+      SELECT id FROM ai_results WHERE job_id = wj.id AND analyzer IS NOT NULL ORDER BY created_at DESC, rowid DESC LIMIT 1
+    )
+    WHERE wj.id = ?
+  `, [jobId]);
+  if (!job) {
+    return null;
+  }
+
+  const [verifications, items] = await Promise.all([
+    dbAll('SELECT * FROM wipe_verifications WHERE job_id = ? ORDER BY created_at ASC', [jobId]),
+    dbAll('SELECT * FROM wipe_job_items WHERE job_id = ? ORDER BY item_index ASC', [jobId])
+  ]);
+  job.verifications = summarizeVerificationsByPass(verifications);
+  job.items = items;
+  return job;
+}
+
+// Generate certificate
+app.post('/api/certificate/:jobId', requirePermission('certificates:issue'), async (req, res) => {
+  try {
+    const job = await loadCertifiableJob(req.params.jobId);
+    if (!job || job.organisation_id !== req.user.organisationId) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (job.status === 'cancelled') {
+      return res.status(409).json({ error: 'Cancelled wipe jobs cannot be certified' });
+    }
+    if (!getPublicBaseUrl()) {
+      return res.status(503).json({ error: PUBLIC_BASE_URL_MISSING });
+    }
+    const existing = await findJobCertificate(job.id);
+    if (existing) {
+      return res.status(409).json({
+        error: existing.revocation_id
+          ? 'This job\'s certificate has been revoked; a revoked job cannot be certified again'
+          : 'This job already has a certificate',
+        certificateId: existing.id
+      });
+    }
+
+    const [template, policy] = await Promise.all([
+      resolveCertificateTemplate(job.organisation_id, req.body && req.body.templateId),
+      loadIssuancePolicy(job.organisation_id)
+    ]);
+    if (!template) {
+      return res.status(404).json({ error: 'Certificate template not found' });
+    }
+
+    const violations = evaluateIssuancePolicy(job, policy);
+    if (violations.length > 0) {
+      return res.status(422).json({
+        error: `Certificate cannot be issued: ${violations.map((violation) => violation.message).join('; ')}`,
+        violations,
+        policy
+      });
+    }
+    issueCertificate(job, template, req, res);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// A job is certified at most once, so a revoked certificate cannot be replaced by a
+// fresh one. Resolves the job's certificate with its revocation_id (null unless revoked)
+function findJobCertificate(jobId) {
+  return dbGet(
+    `SELECT c.id, r.id AS revocation_id
+     FROM certificates c
+     LEFT JOIN certificate_revocations r ON r.certificate_id = c.id
+     WHERE c.job_id = ?
+     ORDER BY c.created_at ASC, c.rowid ASC LIMIT 1`,
+    [jobId]
+  );
+}
+
+// The template a certificate is rendered with: the one asked for, else the
+// organisation's default, else the built-in WipeSure branding. Resolves null when
+// a requested template does not exist or belongs to another organisation.
+async function resolveCertificateTemplate(organisationId, templateId) {
+  if (templateId) {
+    return (await dbGet('SELECT * FROM certificate_templates WHERE id = ? AND organisation_id = ?',
+      [templateId, organisationId])) || null;
+  }
+  const defaultTemplate = await dbGet(
+    'SELECT * FROM certificate_templates WHERE organisation_id = ? AND is_default = 1',
+    [organisationId]
+  );
+  return defaultTemplate || DEFAULT_CERTIFICATE_TEMPLATE;
+}
+
+// Generates, stores, signs and ledgers a certificate for a loaded job
+function issueCertificate(job, template, req, res) {
+  generatePDFCertificate(job, template, getPublicBaseUrl(), (err, certificate) => {
+    if (err) {
+      res.status(500).json({ error: `Certificate generation failed: ${err.message}` });
+      return;
+    }
+
+    const { filePath: certificatePath, hash, certId, signature, verifyUrl } = certificate;
+    const pdfPath = `/certificates/${path.basename(certificatePath)}`;
+    const downloadUrl = `/api/certificate/${certId}?format=pdf`;
+
+    recordCertificate(certificate, job, template, pdfPath)
+      .then((ledgerEntry) => {
+        res.json({
+          certificateId: certId,
+          hash,
+          ledgerSeq: ledgerEntry.seq,
+          ledgerEntryHash: ledgerEntry.entry_hash,
+          signature: signature.value,
+          keyFingerprint: signature.keyFingerprint,
+          verifyUrl,
+          downloadUrl,
+          message: 'Certificate generated successfully'
+        });
+      })
+      .catch((error) => {
+        fs.remove(certificatePath).catch(() => {});
+        if (error.code === 'SQLITE_CONSTRAINT') {
+          // Another request certified the job first
+          res.status(409).json({ error: 'This job already has a certificate' });
+          return;
+        }
+        res.status(500).json({ error: error.message });
+      });
+  });
+}
+
+// Public certificate verification
+//
+// Recomputes the SHA-256 over the stored canonical payload and checks it against
+// both the certificate record and its ledger entry. No account is needed, so
+// buyers of refurbished devices can check a certificate from its QR code.
+async function verifyCertificate(cert) {
+  const ledgerEntry = await dbGet(
+    "SELECT seq, hash, entry_hash, created_at FROM blockchain_logs WHERE ref_type = 'certificate' AND ref_id = ?",
+    [cert.id]
+  );
+
+  if (!cert.payload) {
+    return {
+      valid: false,
+      certificateId: cert.id,
+      hash: cert.hash,
+      reason: 'Certificate was issued before payloads were stored and cannot be recomputed'
+    };
+  }
+
+  const payload = JSON.parse(cert.payload);
+  const recomputedHash = hashCertificatePayload(payload);
+  const hashMatches = recomputedHash === cert.hash;
+  const ledgerMatches = Boolean(ledgerEntry) && ledgerEntry.hash === cert.hash;
+  const signature = cert.signature ? await verifyCertificateSignature(cert) : null;
+  const revocation = await loadCertificateRevocation(cert.id);
+  const intact = hashMatches && ledgerMatches && (!signature || signature.valid);
+
+  return {
+    valid: intact && !revocation,
+    revoked: Boolean(revocation),
+    reason: revocation ? `Certificate was revoked on ${revocation.revokedAt}: ${revocation.reason}` : undefined,
+    certificateId: cert.id,
+    hash: cert.hash,
+    recomputedHash,
+    hashMatches,
+    signature: signature ? { ...signature, value: cert.signature } : null,
+    ledger: ledgerEntry
+      ? { seq: ledgerEntry.seq, entryHash: ledgerEntry.entry_hash, recordedAt: ledgerEntry.created_at, matches: ledgerMatches }
+      : null,
+    issuedAt: cert.created_at,
+    certificate: payload,
+    revocation
+  };
+}
+
+function sendCertificateVerification(res, cert) {
+  if (!cert) {
+    res.status(404).json({ valid: false, error: 'Certificate not found' });
+    return;
+  }
+  verifyCertificate(cert)
+    .then((result) => res.json(result))
+    .catch((error) => res.status(500).json({ valid: false, error: error.message }));
+}
+
+app.get('/api/certificate/verify/hash/:hash', (req, res) => {
+  db.get('SELECT * FROM certificates WHERE hash = ?', [req.params.hash.toLowerCase()], (err, cert) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    sendCertificateVerification(res, cert);
+  });
+});
+
+app.get('/api/certificate/verify/:id', (req, res) => {
+  db.get('SELECT * FROM certificates WHERE id = ?', [req.params.id], (err, cert) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    sendCertificateVerification(res, cert);
+  });
+});
+
+// Certificate revocation
+//
+// A certificate can be withdrawn after issue, e.g. when a later residue scan finds
+// data. The revocation is its own signed record (reason, time, certificate hash),
+// anchored in the ledger as a 'certificate_revocation' entry; the certificate row
+// itself is left untouched so its original hash and ledger entry still verify.
+const REVOCATION_REASON_MAX_LENGTH = 500;
+
+app.post('/api/certificate/:id/revoke', requirePermission('certificates:revoke'), async (req, res) => {
+  const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+  if (!reason) {
+    return res.status(400).json({ error: 'A reason is required to revoke a certificate' });
+  }
+  if (reason.length > REVOCATION_REASON_MAX_LENGTH) {
+    return res.status(400).json({ error: `Reason must be at most ${REVOCATION_REASON_MAX_LENGTH} characters` });
+  }
+
+  try {
+    const cert = await dbGet(
+      `SELECT c.* FROM certificates c
+       JOIN wipe_jobs wj ON c.job_id = wj.id
+       WHERE c.id = ? AND wj.organisation_id = ?`,
+      [req.params.id, req.user.organisationId]
+    );
+    if (!cert) {
+      return res.status(404).json({ error: 'Certificate not found' });
+    }
+    if (await loadCertificateRevocation(cert.id)) {
+      return res.status(409).json({ error: 'Certificate has already been revoked' });
+    }
+
+    const payload = {
+      revocationId: uuidv4(),
+      certificateId: cert.id,
+      certificateHash: cert.hash,
+      reason,
+      revokedAt: new Date().toISOString()
+    };
+    const hash = hashCertificatePayload(payload);
+    const signature = await signCertificatePayload(payload);
+
+    try {
+      await dbRun(
+        `INSERT INTO certificate_revocations
+           (id, certificate_id, reason, revoked_by, hash, payload, signature, signature_algorithm, key_fingerprint, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          payload.revocationId, cert.id, reason, req.user.id, hash, canonicalJSON(payload),
+          signature.value, signature.algorithm, signature.keyFingerprint, payload.revokedAt
+        ]
+      );
+    } catch (error) {
+      // certificate_id is UNIQUE, so a concurrent revoke of the same certificate lands here
+      if (error.code === 'SQLITE_CONSTRAINT') {
+        return res.status(409).json({ error: 'Certificate has already been revoked' });
+      }
+      throw error;
+    }
+
+    const ledgerEntry = await createBlockchainLog(payload.revocationId, 'certificate_revocation', hash);
+    console.log(`Certificate ${cert.id} revoked: ${reason}`);
+    res.json({
+      certificateId: cert.id,
+      revocationId: payload.revocationId,
+      reason,
+      revokedAt: payload.revokedAt,
+      hash,
+      signature: signature.value,
+      keyFingerprint: signature.keyFingerprint,
+      ledgerSeq: ledgerEntry.seq,
+      ledgerEntryHash: ledgerEntry.entry_hash,
+      message: 'Certificate revoked'
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Public revocation list, newest first; each entry can be checked offline like a certificate
+// The organisation's own revocation list. Reasons (and the signed payload that
+// carries them) are left out; anyone else checks one certificate at a time
+// through the public verify endpoints.
+app.get('/api/certificates/revoked', requirePermission('certificates:read'), async (req, res) => {
+  try {
+    const rows = await dbAll(
+      `SELECT cr.*, bl.seq AS ledger_seq, bl.entry_hash AS ledger_entry_hash, bl.created_at AS ledger_recorded_at
+       FROM certificate_revocations cr
+       JOIN certificates c ON c.id = cr.certificate_id
+       JOIN wipe_jobs wj ON wj.id = c.job_id
+       LEFT JOIN blockchain_logs bl ON bl.ref_type = 'certificate_revocation' AND bl.ref_id = cr.id
+       WHERE wj.organisation_id = ?
+       ORDER BY cr.created_at DESC`,
+      [req.user.organisationId]
+    );
+    res.json({
+      generatedAt: new Date().toISOString(),
+      count: rows.length,
+      revocations: rows.map((row) => {
+        const { reason, canonicalPayload, ...revocation } = describeCertificateRevocation(row);
+        return revocation;
+      })
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Resolves with the certificate's revocation, or null while it is still in force
+async function loadCertificateRevocation(certificateId) {
+  const row = await dbGet(
+    `SELECT cr.*, bl.seq AS ledger_seq, bl.entry_hash AS ledger_entry_hash, bl.created_at AS ledger_recorded_at
+     FROM certificate_revocations cr
+     LEFT JOIN blockchain_logs bl ON bl.ref_type = 'certificate_revocation' AND bl.ref_id = cr.id
+     WHERE cr.certificate_id = ?`,
+    [certificateId]
+  );
+  return row ? describeCertificateRevocation(row) : null;
+}
+
+function describeCertificateRevocation(row) {
+  const payload = JSON.parse(row.payload);
+  return {
+    revocationId: row.id,
+    certificateId: row.certificate_id,
+    certificateHash: payload.certificateHash,
+    reason: row.reason,
+    revokedAt: payload.revokedAt,
+    canonicalPayload: row.payload,
+    hash: row.hash,
+    signature: row.signature
+      ? { algorithm: row.signature_algorithm, keyFingerprint: row.key_fingerprint, value: row.signature }
+      : null,
+    ledger: row.ledger_seq
+      ? { seq: row.ledger_seq, entryHash: row.ledger_entry_hash, recordedAt: row.ledger_recorded_at }
+      : null
+  };
+}
+
+// Machine-readable certificates
+//
+// The same certificate as the PDF, for ERP and asset-disposition systems: signed JSON
+// (described by schemas/certificate.schema.json) or XML. Both carry the canonical
+// payload, its hash, the signature and the ledger entry, so either can be verified
+// offline against the published key.
+const CERTIFICATE_SCHEMA_PATH = path.join(__dirname, 'schemas', 'certificate.schema.json');
+const CERTIFICATE_FORMATS = ['json', 'xml', 'pdf'];
+
+app.get('/api/certificate/schema', (req, res) => {
+  res.type('application/schema+json').sendFile(CERTIFICATE_SCHEMA_PATH);
+});
+
+app.get('/api/certificate/:id', requirePermission('certificates:read'), async (req, res) => {
+  // An explicit ?format= wins; otherwise follow the Accept header, defaulting to JSON
+  const format = String(req.query.format || req.accepts(CERTIFICATE_FORMATS) || 'json').toLowerCase();
+  if (!CERTIFICATE_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `Unsupported format: ${format}. Use json, xml or pdf` });
+  }
+
+  try {
+    const cert = await dbGet(
+      `SELECT c.* FROM certificates c
+       JOIN wipe_jobs wj ON c.job_id = wj.id
+       WHERE c.id = ? AND wj.organisation_id = ?`,
+      [req.params.id, req.user.organisationId]
+    );
+    if (!cert) {
+      return res.status(404).json({ error: 'Certificate not found' });
+    }
+
+    if (format === 'pdf') {
+      return sendCertificatePDF(res, cert.pdf_path);
+    }
+    if (!cert.payload) {
+      return res.status(409).json({ error: 'Certificate was issued before payloads were stored; only the PDF is available' });
+    }
+
+    const baseUrl = getPublicBaseUrl();
+    if (!baseUrl) {
+      return res.status(503).json({ error: 'Signed certificate documents need PUBLIC_BASE_URL configured on the server' });
+    }
+    const document = await buildCertificateDocument(cert, baseUrl);
+    res.set('Content-Disposition', `inline; filename="certificate-${cert.id}.${format}"`);
+    if (format === 'xml') {
+      res.type('application/xml').send(certificateDocumentToXML(document));
+    } else {
+      res.json(document);
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+async function buildCertificateDocument(cert, baseUrl) {
+  const ledgerEntry = await dbGet(
+    "SELECT seq, entry_hash, created_at FROM blockchain_logs WHERE ref_type = 'certificate' AND ref_id = ?",
+    [cert.id]
+  );
+
+  return {
+    schema: `${baseUrl}/api/certificate/schema`,
+    certificate: JSON.parse(cert.payload),
+    canonicalPayload: cert.payload,
+    hash: cert.hash,
+    hashAlgorithm: 'SHA-256',
+    signature: cert.signature
+      ? {
+        algorithm: cert.signature_algorithm,
+        keyFingerprint: cert.key_fingerprint,
+        value: cert.signature,
+        publicKeyUrl: `${baseUrl}/api/keys/${cert.key_fingerprint}`
+      }
+      : null,
+    ledger: ledgerEntry
+      ? { seq: ledgerEntry.seq, entryHash: ledgerEntry.entry_hash, recordedAt: ledgerEntry.created_at }
+      : null,
+    revocation: await loadCertificateRevocation(cert.id),
+    verifyUrl: `${baseUrl}/verify.html?id=${cert.id}`,
+    pdfUrl: `${baseUrl}/api/certificate/${cert.id}?format=pdf`
+  };
+}
+
+// Sends a stored certificate PDF: 409 when none was stored (its render failed, say)
+// and 404 when the file has gone from certificates/
+function sendCertificatePDF(res, pdfPath) {
+  if (!pdfPath) {
+    return res.status(409).json({ error: 'No PDF is stored for this certificate' });
+  }
+  // sendFile types the .pdf itself, leaving the error response free to be JSON
+  res.sendFile(path.resolve(pdfPath.replace(/^\//, '')), (err) => {
+    if (err && !res.headersSent) {
+      res.status(404).json({ error: 'Certificate PDF not found' });
+    }
+  });
+}
+
+// Element names for members of payload arrays
+const XML_ARRAY_ITEM_NAMES = {
+  patterns: 'passPattern',
+  verification: 'passVerification',
+  items: 'item'
+};
+
+function escapeXML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function toXMLElement(name, value, indent) {
+  const pad = '  '.repeat(indent);
+  if (value === null || value === undefined) {
+    return `${pad}<${name} nil="true"/>`;
+  }
+  if (name === 'canonicalPayload') {
+    // The signed bytes, base64-encoded so no XML processing can alter them
+    return `${pad}<${name} encoding="base64">${Buffer.from(value).toString('base64')}</${name}>`;
+  }
+  if (Array.isArray(value)) {
+    const itemName = XML_ARRAY_ITEM_NAMES[name] || 'entry';
+    const children = value.map((item) => toXMLElement(itemName, item, indent + 1));
+    return children.length > 0 ? `${pad}<${name}>\n${children.join('\n')}\n${pad}</${name}>` : `${pad}<${name}/>`;
+  }
+  if (typeof value === 'object') {
+    const children = Object.keys(value).sort().map((key) => toXMLElement(key, value[key], indent + 1));
+    return `${pad}<${name}>\n${children.join('\n')}\n${pad}</${name}>`;
+  }
+  return `${pad}<${name}>${escapeXML(value)}</${name}>`;
+}
+
+function certificateDocumentToXML(document) {
+  const { certificate, canonicalPayload, ...envelope } = document;
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<destructionCertificate xmlns="urn:wipesure:certificate:v1">',
+    toXMLElement('certificate', certificate, 1),
+    toXMLElement('canonicalPayload', canonicalPayload, 1),
+    ...Object.keys(envelope).map((key) => toXMLElement(key, envelope[key], 1)),
+    '</destructionCertificate>'
+  ];
+  return `${lines.join('\n')}\n`;
+}
+
+// Published certificate signing keys, for offline signature verification
+app.get('/api/keys', (req, res) => {
+  db.all('SELECT * FROM signing_keys ORDER BY created_at DESC', (err, rows) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    res.json(rows.map((key) => ({
+      fingerprint: key.fingerprint,
+      algorithm: key.algorithm,
+      status: key.status,
+      createdAt: key.created_at,
+      retiredAt: key.retired_at,
+      publicKey: key.public_key
+    })));
+  });
+});
+
+app.get('/api/keys/:fingerprint', (req, res) => {
+  db.get('SELECT * FROM signing_keys WHERE fingerprint = ?', [req.params.fingerprint], (err, key) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    if (!key) {
+      res.status(404).json({ error: 'Signing key not found' });
+      return;
+    }
+    res.type('application/x-pem-file').send(key.public_key);
+  });
+});
+
+// Rotate the certificate signing key
+app.post('/api/keys/rotate', requirePermission('keys:rotate'), async (req, res) => {
+  let key;
+  try {
+    if (!(await canRotateSigningKey(req.user))) {
+      return res.status(403).json({
+        error: SIGNING_KEY_ADMINS.length > 0
+          ? 'Only server administrators listed in SIGNING_KEY_ADMINS can rotate the signing key'
+          : 'Only admins of the installing organisation can rotate the signing key until SIGNING_KEY_ADMINS is set'
+      });
+    }
+    key = await generateSigningKey();
+  } catch (error) {
+    return res.status(500).json({ error: `Key rotation failed: ${error.message}` });
+  }
+  res.json({ fingerprint: key.fingerprint, algorithm: SIGNING_ALGORITHM, createdAt: key.createdAt });
+});
+
+// Bulk export for auditors: a ZIP of every matching certificate PDF plus a manifest
+// (CSV and JSON) with each certificate's hash, signature key and ledger entry.
+// Filters: from/to (YYYY-MM-DD, inclusive, UTC), deviceId and method.
+const EXPORT_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const EXPORT_MANIFEST_COLUMNS = [
+  'certificateId', 'issuedAt', 'jobId', 'deviceId', 'deviceName', 'method', 'hash',
+  'signatureAlgorithm', 'keyFingerprint', 'ledgerSeq', 'ledgerEntryHash', 'ledgerRecordedAt',
+  'revokedAt', 'revocationReason', 'pdfFile'
+];
+
+app.get('/api/certificates/export', requirePermission('certificates:export'), async (req, res) => {
+  const { from, to, deviceId, method } = req.query;
+  if ((from && !EXPORT_DATE_PATTERN.test(from)) || (to && !EXPORT_DATE_PATTERN.test(to))) {
+    return res.status(400).json({ error: 'from and to must be dates in YYYY-MM-DD format' });
+  }
+
+  const conditions = ['wj.organisation_id = ?'];
+  const params = [req.user.organisationId];
+  if (from) {
+    conditions.push('c.created_at >= ?');
+    params.push(from);
+  }
+  if (to) {
+    conditions.push("c.created_at < date(?, '+1 day')");
+    params.push(to);
+  }
+  if (deviceId) {
+    conditions.push('c.device_id = ?');
+    params.push(deviceId);
+  }
+  if (method) {
+    conditions.push('wj.method = ?');
+    params.push(method);
+  }
+
+  let rows;
+  try {
+    rows = await dbAll(
+      `SELECT c.*, d.name AS device_name, wj.method,
+              bl.seq AS ledger_seq, bl.entry_hash AS ledger_entry_hash, bl.created_at AS ledger_recorded_at,
+              cr.created_at AS revoked_at, cr.reason AS revocation_reason
+       FROM certificates c
+       JOIN wipe_jobs wj ON c.job_id = wj.id
+       LEFT JOIN devices d ON c.device_id = d.id
+       LEFT JOIN blockchain_logs bl ON bl.ref_type = 'certificate' AND bl.ref_id = c.id
+       LEFT JOIN certificate_revocations cr ON cr.certificate_id = c.id
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY c.created_at ASC`,
+      params
+    );
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  if (rows.length === 0) {
+    return res.status(404).json({ error: 'No certificates match these filters' });
+  }
+
+  const manifest = rows.map((row) => {
+    const pdfPath = row.pdf_path ? path.resolve(row.pdf_path.replace(/^\//, '')) : null;
+    return {
+      entry: {
+        certificateId: row.id,
+        issuedAt: row.created_at,
+        jobId: row.job_id,
+        deviceId: row.device_id,
+        deviceName: row.device_name,
+        method: row.method,
+        hash: row.hash,
+        signatureAlgorithm: row.signature_algorithm,
+        keyFingerprint: row.key_fingerprint,
+        ledgerSeq: row.ledger_seq,
+        ledgerEntryHash: row.ledger_entry_hash,
+        ledgerRecordedAt: row.ledger_recorded_at,
+        revokedAt: row.revoked_at,
+        revocationReason: row.revocation_reason,
+        pdfFile: pdfPath && fs.existsSync(pdfPath) ? `certificates/${path.basename(pdfPath)}` : null
+      },
+      pdfPath
+    };
+  });
+
+  const archive = archiver('zip');
+  archive.on('warning', (error) => console.warn('Certificate export warning:', error));
+  archive.on('error', (error) => {
+    console.error('Certificate export failed:', error);
+    res.destroy(error);
+  });
+
+  res.attachment(`wipesure-certificates-${new Date().toISOString().split('T')[0]}.zip`);
+  archive.pipe(res);
+
+  manifest.forEach(({ entry, pdfPath }) => {
+    if (entry.pdfFile) {
+      archive.file(pdfPath, { name: entry.pdfFile });
+    }
+  });
+
+  const entries = manifest.map(({ entry }) => entry);
+  archive.append(JSON.stringify({
+    generatedAt: new Date().toISOString(),
+    filters: { from: from || null, to: to || null, deviceId: deviceId || null, method: method || null },
+    count: entries.length,
+    certificates: entries
+  }, null, 2), { name: 'manifest.json' });
+  archive.append(toCSV(EXPORT_MANIFEST_COLUMNS, entries), { name: 'manifest.csv' });
+
+  archive.finalize();
+});
+
+function toCSV(columns, rows) {
+  const escapeCell = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const lines = [columns.join(',')].concat(rows.map((row) => columns.map((column) => escapeCell(row[column])).join(',')));
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+// Certificate templates
+//
+// Branding (logo, company, address, signatory, footer) and language for issued
+// certificates. Templates belong to the organisation; its default one is used unless
+// POST /api/certificate/:jobId names another.
+const CERTIFICATE_TEMPLATE_FIELDS = {
+  name: { column: 'name', required: true, maxLength: 100 },
+  companyName: { column: 'company_name', required: true, maxLength: 100 },
+  address: { column: 'address', maxLength: 300 },
+  signatoryName: { column: 'signatory_name', maxLength: 100 },
+  signatoryTitle: { column: 'signatory_title', maxLength: 100 },
+  footerText: { column: 'footer_text', maxLength: 200 }
+};
+
+// Runs the logo upload, turning multer rejections into 400s
+function certificateLogoUpload(req, res, next) {
+  logoUpload.single('logo')(req, res, (err) => {
+    if (err) {
+      res.status(400).json({ error: err.code === 'LIMIT_FILE_SIZE' ? 'Logo must be 1 MB or smaller' : err.message });
+      return;
+    }
+    next();
+  });
+}
+
+// Maps a request body onto template columns; partial bodies are allowed for updates
+function parseCertificateTemplate(body, { partial = false } = {}) {
+  const values = {};
+  for (const [field, rule] of Object.entries(CERTIFICATE_TEMPLATE_FIELDS)) {
+    if (body[field] === undefined) {
+      if (rule.required && !partial) {
+        return { error: `${field} is required` };
+      }
+      continue;
+    }
+    const value = String(body[field]).trim();
+    if (rule.required && !value) {
+      return { error: `${field} is required` };
+    }
+    if (value.length > rule.maxLength) {
+      return { error: `${field} must be at most ${rule.maxLength} characters` };
+    }
+    values[rule.column] = value || null;
+  }
+
+  if (body.language !== undefined) {
+    if (!CERTIFICATE_STRINGS[body.language]) {
+      return { error: `Unsupported language: ${body.language}. Use ${Object.keys(CERTIFICATE_STRINGS).join(', ')}` };
+    }
+    values.language = body.language;
+  } else if (!partial) {
+    values.language = 'en';
+  }
+  if (body.isDefault !== undefined) {
+    values.is_default = ['true', '1', 'on', true].includes(body.isDefault) ? 1 : 0;
+  }
+  return { values };
+}
+
+function describeCertificateTemplate(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    companyName: row.company_name,
+    address: row.address,
+    hasLogo: Boolean(row.logo_path),
+    signatoryName: row.signatory_name,
+    signatoryTitle: row.signatory_title,
+    footerText: row.footer_text,
+    language: row.language,
+    isDefault: Boolean(row.is_default),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+// Only one template per organisation can be the default
+async function saveCertificateTemplate(organisationId, id, values) {
+  if (values.is_default) {
+    await dbRun('UPDATE certificate_templates SET is_default = 0 WHERE organisation_id = ? AND id != ?',
+      [organisationId, id]);
+  }
+  const columns = Object.keys(values);
+  const assignments = columns.map((column) => `${column} = ?`).concat('updated_at = CURRENT_TIMESTAMP');
+  await dbRun(
+    `UPDATE certificate_templates SET ${assignments.join(', ')} WHERE id = ? AND organisation_id = ?`,
+    [...columns.map((column) => values[column]), id, organisationId]
+  );
+  return dbGet('SELECT * FROM certificate_templates WHERE id = ?', [id]);
+}
+
+app.get('/api/certificate-templates', requirePermission('settings:read'), async (req, res) => {
+  try {
+    const rows = await dbAll(
+      'SELECT * FROM certificate_templates WHERE organisation_id = ? ORDER BY is_default DESC, name ASC',
+      [req.user.organisationId]
+    );
+    res.json(rows.map(describeCertificateTemplate));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/certificate-templates/:id/logo', requirePermission('settings:read'), async (req, res) => {
+  try {
+    const row = await dbGet(
+      'SELECT logo_path FROM certificate_templates WHERE id = ? AND organisation_id = ?',
+      [req.params.id, req.user.organisationId]
+    );
+    if (!row || !row.logo_path) {
+      return res.status(404).json({ error: 'Logo not found' });
+    }
+    res.sendFile(path.resolve(row.logo_path));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/certificate-templates', requirePermission('settings:manage'), certificateLogoUpload, async (req, res) => {
+  const { values, error } = parseCertificateTemplate(req.body);
+  if (error) {
+    if (req.file) fs.remove(req.file.path).catch(() => {});
+    return res.status(400).json({ error });
+  }
+
+  const id = uuidv4();
+  const organisationId = req.user.organisationId;
+  try {
+    // The first template an organisation creates becomes its default
+    const existing = await dbGet('SELECT COUNT(*) AS count FROM certificate_templates WHERE organisation_id = ?',
+      [organisationId]);
+    if (existing.count === 0) {
+      values.is_default = 1;
+    }
+    await dbRun(
+      'INSERT INTO certificate_templates (id, user_id, organisation_id, name, company_name) VALUES (?, ?, ?, ?, ?)',
+      [id, req.user.id, organisationId, values.name, values.company_name]
+    );
+    if (req.file) {
+      values.logo_path = req.file.path;
+    }
+    const row = await saveCertificateTemplate(organisationId, id, values);
+    res.status(201).json(describeCertificateTemplate(row));
+  } catch (error) {
+    if (req.file) fs.remove(req.file.path).catch(() => {});
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/certificate-templates/:id', requirePermission('settings:manage'), certificateLogoUpload, async (req, res) => {
+  const { values, error } = parseCertificateTemplate(req.body, { partial: true });
+  if (error) {
+    if (req.file) fs.remove(req.file.path).catch(() => {});
+    return res.status(400).json({ error });
+  }
+
+  const organisationId = req.user.organisationId;
+  try {
+    const template = await dbGet(
+      'SELECT * FROM certificate_templates WHERE id = ? AND organisation_id = ?',
+      [req.params.id, organisationId]
+    );
+    if (!template) {
+      if (req.file) fs.remove(req.file.path).catch(() => {});
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    if (req.file) {
+      values.logo_path = req.file.path;
+    } else if (['true', '1', 'on'].includes(req.body.removeLogo)) {
+      values.logo_path = null;
+    }
+    const row = await saveCertificateTemplate(organisationId, template.id, values);
+    if (values.logo_path !== undefined && template.logo_path) {
+      fs.remove(template.logo_path).catch(() => {});
+    }
+    res.json(describeCertificateTemplate(row));
+  } catch (error) {
+    if (req.file) fs.remove(req.file.path).catch(() => {});
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/certificate-templates/:id', requirePermission('settings:manage'), async (req, res) => {
+  try {
+    const template = await dbGet(
+      'SELECT * FROM certificate_templates WHERE id = ? AND organisation_id = ?',
+      [req.params.id, req.user.organisationId]
+    );
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    // Issued certificates keep template_id for the record; the PDFs already carry the branding
+    await dbRun('DELETE FROM certificate_templates WHERE id = ?', [template.id]);
+    if (template.is_default) {
+      await dbRun(
+        `UPDATE certificate_templates SET is_default = 1
+         WHERE id = (SELECT id FROM certificate_templates WHERE organisation_id = ? ORDER BY created_at ASC LIMIT 1)`,
+        [template.organisation_id]
+      );
+    }
+    if (template.logo_path) {
+      fs.remove(template.logo_path).catch(() => {});
+    }
+    res.json({ message: 'Template deleted' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Multi-device batches
+//
+// A batch groups the per-device jobs of one multi-device wipe so the fleet can be
+// tracked as a whole and certified in one document; its status is derived from
+// the jobs on every read. The consolidated certificate issues an ordinary
+// certificate per device, each still verifiable on its own, plus a signed batch
+// record whose root hash is a Merkle tree over those certificates' hashes, so a
+// single ledger entry commits to every device.
+const WIPE_BATCH_MAX_DEVICES = 500;
+const WIPE_BATCH_NAME_MAX_LENGTH = 200;
+const WIPE_ACTIVE_STATUSES = ['pending', 'in_progress', 'paused'];
+
+// Leaves are the certificate hashes in batch order; each interior node is
+// SHA-256(0x01 || left || right) and an unpaired node is carried up unchanged
+const MERKLE_ROOT_ALGORITHM = 'sha256-merkle-v1';
+const MERKLE_NODE_PREFIX = Buffer.from([0x01]);
+
+function computeMerkleRoot(hashes) {
+  if (hashes.length === 0) {
+    return null;
+  }
+  let level = hashes.map((hash) => Buffer.from(hash, 'hex'));
+  while (level.length > 1) {
+    const next = [];
+    for (let index = 0; index < level.length; index += 2) {
+      next.push(index + 1 < level.length
+        ? crypto.createHash('sha256').update(Buffer.concat([MERKLE_NODE_PREFIX, level[index], level[index + 1]])).digest()
+        : level[index]);
+    }
+    level = next;
+  }
+  return level[0].toString('hex');
+}
+
+function summarizeWipeBatch(batch, jobs, certificate) {
+  const counts = {};
+  jobs.forEach((job) => {
+    counts[job.status] = (counts[job.status] || 0) + 1;
+  });
+
+  let status;
+  if (jobs.some((job) => WIPE_ACTIVE_STATUSES.includes(job.status))) {
+    status = counts.pending === jobs.length ? 'pending' : 'in_progress';
+  } else if (counts.completed === jobs.length) {
+    status = 'completed';
+  } else if (counts.cancelled === jobs.length) {
+    status = 'cancelled';
+  } else {
+    status = counts.completed ? 'partially_completed' : 'failed';
+  }
+
+  return {
+    id: batch.id,
+    name: batch.name,
+    method: batch.method,
+    createdAt: batch.created_at,
+    deviceCount: jobs.length,
+    status,
+    progress: jobs.length > 0
+      ? Math.round(jobs.reduce((total, job) => total + (job.progress || 0), 0) / jobs.length)
+      : 0,
+    counts,
+    certificate: certificate
+      ? {
+        id: certificate.id,
+        hash: certificate.hash,
+        rootHash: certificate.root_hash,
+        issuedAt: certificate.created_at,
+        downloadUrl: `/api/wipe-batches/${batch.id}/certificate`
+      }
+      : null
+  };
+}
+
+function loadOwnedWipeBatch(req) {
+  return dbGet('SELECT * FROM wipe_batches WHERE id = ? AND organisation_id = ?', [req.params.id, req.user.organisationId]);
+}
+
+// Starts one device wipe per listed device, grouped into a new batch
+app.post('/api/wipe-batches', requirePermission('wipes:run'), async (req, res) => {
+  const userId = req.user.id;
+  const organisationId = req.user.organisationId;
+  const options = parseWipeOptions(req.body);
+  if (options.error) {
+    return res.status(400).json({ error: options.error });
+  }
+
+  const deviceIds = Array.isArray(req.body.deviceIds) ? [...new Set(req.body.deviceIds.map(String))] : [];
+  if (deviceIds.length === 0) {
+    return res.status(400).json({ error: 'deviceIds must list at least one device' });
+  }
+  if (deviceIds.length > WIPE_BATCH_MAX_DEVICES) {
+    return res.status(400).json({ error: `A batch can wipe at most ${WIPE_BATCH_MAX_DEVICES} devices` });
+  }
+  const name = typeof req.body.name === 'string' && req.body.name.trim() ? req.body.name.trim() : null;
+  if (name && name.length > WIPE_BATCH_NAME_MAX_LENGTH) {
+    return res.status(400).json({ error: `Batch name must be at most ${WIPE_BATCH_NAME_MAX_LENGTH} characters` });
+  }
+
+  try {
+    const placeholders = deviceIds.map(() => '?').join(', ');
+    const devices = await dbAll(
+      `SELECT id FROM devices WHERE organisation_id = ? AND id IN (${placeholders})`,
+      [organisationId, ...deviceIds]
+    );
+    if (devices.length !== deviceIds.length) {
+      return res.status(403).json({ error: 'Device not found or access denied' });
+    }
+
+    const batchId = uuidv4();
+    await dbRun(
+      'INSERT INTO wipe_batches (id, user_id, organisation_id, name, method) VALUES (?, ?, ?, ?, ?)',
+      [batchId, userId, organisationId, name, options.method]
+    );
+    const jobs = [];
+    for (const deviceId of deviceIds) {
+      const jobId = uuidv4();
+      await insertWipeJob({ jobId, userId, organisationId, deviceId, wipeType: 'device', batchId }, options);
+      jobs.push({ jobId, deviceId });
+    }
+
+    // Hand the jobs to the durable runner
+    scheduleWipeQueue();
+
+    res.json({ batchId, status: 'started', jobs, message: `Batch wipe initiated for ${jobs.length} devices` });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/wipe-batches', requirePermission('wipes:read'), async (req, res) => {
+  const organisationId = req.user.organisationId;
+  try {
+    const [batches, jobs, certificates] = await Promise.all([
+      dbAll('SELECT * FROM wipe_batches WHERE organisation_id = ? ORDER BY created_at DESC, rowid DESC', [organisationId]),
+      dbAll('SELECT batch_id, status, progress FROM wipe_jobs WHERE organisation_id = ? AND batch_id IS NOT NULL',
+        [organisationId]),
+      dbAll(
+        `SELECT bc.* FROM batch_certificates bc
+         JOIN wipe_batches wb ON wb.id = bc.batch_id
+         WHERE wb.organisation_id = ?`,
+        [organisationId]
+      )
+    ]);
+    res.json(batches.map((batch) => summarizeWipeBatch(
+      batch,
+      jobs.filter((job) => job.batch_id === batch.id),
+      certificates.find((certificate) => certificate.batch_id === batch.id)
+    )));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/wipe-batches/:id', requirePermission('wipes:read'), async (req, res) => {
+  try {
+    const batch = await loadOwnedWipeBatch(req);
+    if (!batch) {
+      return res.status(404).json({ error: 'Batch not found or access denied' });
+    }
+    const [jobs, certificate] = await Promise.all([
+      dbAll(
+        `SELECT wj.*, d.name AS device_name FROM wipe_jobs wj
+         LEFT JOIN devices d ON wj.device_id = d.id
+         WHERE wj.batch_id = ? ORDER BY wj.rowid ASC`,
+        [batch.id]
+      ),
+      dbGet('SELECT * FROM batch_certificates WHERE batch_id = ?', [batch.id])
+    ]);
+    res.json({
+      ...summarizeWipeBatch(batch, jobs, certificate),
+      jobs: jobs.map((job) => ({
+        id: job.id,
+        deviceId: job.device_id,
+        deviceName: job.device_name,
+        status: job.status,
+        progress: job.progress,
+        lastError: job.last_error
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Downloads the consolidated certificate PDF
+app.get('/api/wipe-batches/:id/certificate', requirePermission('certificates:read'), async (req, res) => {
+  try {
+    const batch = await loadOwnedWipeBatch(req);
+    if (!batch) {
+      return res.status(404).json({ error: 'Batch not found or access denied' });
+    }
+    const certificate = await dbGet('SELECT pdf_path FROM batch_certificates WHERE batch_id = ?', [batch.id]);
+    if (!certificate) {
+      return res.status(404).json({ error: 'This batch has no consolidated certificate yet' });
+    }
+    sendCertificatePDF(res, certificate.pdf_path);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Issues the consolidated certificate. Every device's job must satisfy the
+// organisation's issuance policy; otherwise nothing is issued and each violation is
+// reported against its device.
+app.post('/api/wipe-batches/:id/certificate', requirePermission('certificates:issue'), async (req, res) => {
+  try {
+    const batch = await loadOwnedWipeBatch(req);
+    if (!batch) {
+      return res.status(404).json({ error: 'Batch not found or access denied' });
+    }
+    if (!getPublicBaseUrl()) {
+      return res.status(503).json({ error: PUBLIC_BASE_URL_MISSING });
+    }
+    const existing = await dbGet('SELECT id FROM batch_certificates WHERE batch_id = ?', [batch.id]);
+    if (existing) {
+      return res.status(409).json({ error: 'This batch already has a consolidated certificate', batchCertificateId: existing.id });
+    }
+
+    const certified = await dbAll(
+      'SELECT c.id FROM certificates c JOIN wipe_jobs wj ON wj.id = c.job_id WHERE wj.batch_id = ?',
+      [batch.id]
     );
+    if (certified.length > 0) {
+      return res.status(409).json({
+        error: `${certified.length} of the batch's devices already have a certificate; a job is certified only once`,
+        certificateIds: certified.map((certificate) => certificate.id)
+      });
+    }
+
+    const jobRows = await dbAll('SELECT id FROM wipe_jobs WHERE batch_id = ? ORDER BY rowid ASC', [batch.id]);
+    const [jobs, template, policy] = await Promise.all([
+      Promise.all(jobRows.map((row) => loadCertifiableJob(row.id))),
+      resolveCertificateTemplate(batch.organisation_id, req.body && req.body.templateId),
+      loadIssuancePolicy(batch.organisation_id)
+    ]);
+    if (!template) {
+      return res.status(404).json({ error: 'Certificate template not found' });
+    }
+
+    const violations = [];
+    jobs.forEach((job) => {
+      evaluateIssuancePolicy(job, policy).forEach((violation) => violations.push({
+        jobId: job.id,
+        deviceId: job.device_id,
+        deviceName: job.device_name,
+        ...violation
+      }));
+    });
+    if (violations.length > 0) {
+      const blockedDevices = new Set(violations.map((violation) => violation.jobId)).size;
+      return res.status(422).json({
+        error: `Batch certificate cannot be issued: ${blockedDevices} of ${jobs.length} devices do not meet the issuance policy`,
+        violations,
+        policy
+      });
+    }
+
+    res.json(await issueBatchCertificate(batch, jobs, template, getPublicBaseUrl()));
   } catch (error) {
-    res.status(500).json({ error: 'Device detection failed' });
+    if (error.code === 'SQLITE_CONSTRAINT') {
+      // Another request certified the batch, or one of its jobs, first
+      return res.status(409).json({
+        error: /certificates\.job_id/.test(error.message)
+          ? 'One of the batch\'s devices was certified while this certificate was being issued'
+          : 'This batch already has a consolidated certificate'
+      });
+    }
+    res.status(500).json({ error: error.message });
   }
 });
 
-// API Routes (Protected)
+function buildBatchCertificatePayload(batch, jobs, certificates, template, batchCertId) {
+  return {
+    batchCertificateId: batchCertId,
+    batchId: batch.id,
+    name: batch.name,
+    method: batch.method,
+    deviceCount: jobs.length,
+    certificates: certificates.map((certificate, index) => ({
+      certificateId: certificate.certId,
+      jobId: jobs[index].id,
+      deviceId: jobs[index].device_id,
+      deviceName: jobs[index].device_name,
+      hash: certificate.hash
+    })),
+    rootHash: computeMerkleRoot(certificates.map((certificate) => certificate.hash)),
+    rootHashAlgorithm: MERKLE_ROOT_ALGORITHM,
+    issuer: describeCertificateIssuer(template),
+    language: template.language,
+    issuedAt: new Date().toISOString(),
+    nonce: crypto.randomBytes(16).toString('hex')
+  };
+}
 
-// Get dashboard overview (user-specific)
-app.get('/api/dashboard', requireAuth, (req, res) => {
-  const userId = req.session.userId;
-  db.all(`
-    SELECT 
-      (SELECT COUNT(*) FROM devices WHERE user_id = ?) as total_devices,
-      (SELECT COUNT(*) FROM wipe_jobs WHERE user_id = ?) as total_wipes,
-      (SELECT COUNT(*) FROM certificates WHERE device_id IN (SELECT id FROM devices WHERE user_id = ?)) as total_certificates,
-      (SELECT COUNT(*) FROM wipe_jobs WHERE user_id = ? AND status = 'in_progress') as active_wipes
-  `, [userId, userId, userId, userId], (err, rows) => {
+// Signs every device certificate and the batch record and writes the consolidated
+// PDF. The batch row, the device certificates and their ledger entries are stored
+// in one transaction, so a failure part-way leaves none of them. The batch row goes
+// in first, so a concurrent request cannot certify the batch twice; its ledger entry
+// goes in last, after the device certificates it covers. The transaction runs from
+// the ledger queue, which keeps other appends out of it.
+async function issueBatchCertificate(batch, jobs, template, baseUrl) {
+  const certificates = await Promise.all(jobs.map((job) => prepareCertificate(job, template, baseUrl)));
+
+  const batchCertId = uuidv4();
+  const payload = buildBatchCertificatePayload(batch, jobs, certificates, template, batchCertId);
+  const hash = hashCertificatePayload(payload);
+  const verifyUrl = `${baseUrl}/verify.html?batch=${batchCertId}`;
+  const [signature, qrImage, deviceDocuments] = await Promise.all([
+    signCertificatePayload(payload),
+    QRCode.toBuffer(verifyUrl, { margin: 1, width: 240, errorCorrectionLevel: 'M' }),
+    Promise.all(certificates.map((certificate) => buildCertificateDocument(toCertificateRow(certificate), baseUrl)))
+  ]);
+  const batchCertificate = { certId: batchCertId, payload, hash, signature, verifyUrl, qrImage };
+
+  const filePath = await generateBatchCertificatePDF({
+    batch,
+    jobs,
+    certificates,
+    batchCertificate,
+    template,
+    // The signed batch record as issued, with every device certificate it covers
+    document: {
+      batchCertificate: payload,
+      canonicalPayload: canonicalJSON(payload),
+      hash,
+      hashAlgorithm: 'SHA-256',
+      signature: {
+        algorithm: signature.algorithm,
+        keyFingerprint: signature.keyFingerprint,
+        value: signature.value,
+        publicKeyUrl: `${baseUrl}/api/keys/${signature.keyFingerprint}`
+      },
+      certificates: deviceDocuments,
+      verifyUrl
+    }
+  });
+  const pdfPath = `/certificates/${path.basename(filePath)}`;
+  const downloadUrl = `/api/wipe-batches/${batch.id}/certificate`;
+
+  let ledgerEntry;
+  try {
+    ledgerEntry = await enqueueLedgerTask(() => dbTransaction(async (tx) => {
+      await tx.run(
+        `INSERT INTO batch_certificates
+           (id, batch_id, hash, root_hash, pdf_path, payload, signature, signature_algorithm, key_fingerprint, template_id, language)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          batchCertId, batch.id, hash, payload.rootHash, pdfPath, canonicalJSON(payload), signature.value,
+          signature.algorithm, signature.keyFingerprint, template.id, template.language
+        ]
+      );
+      for (const [index, certificate] of certificates.entries()) {
+        const row = await insertCertificateRow(certificate, jobs[index], template, pdfPath, tx);
+        await appendLedgerEntry(row.id, 'certificate', row.hash, tx);
+      }
+      return appendLedgerEntry(batchCertId, 'batch_certificate', hash, tx);
+    }));
+  } catch (error) {
+    // Nothing was stored, for instance because another request certified the batch first
+    fs.remove(filePath).catch(() => {});
+    throw error;
+  }
+  console.log(`Batch certificate generated: ${path.basename(filePath)} covering ${jobs.length} devices, root hash ${payload.rootHash}`);
+
+  return {
+    batchCertificateId: batchCertId,
+    batchId: batch.id,
+    hash,
+    rootHash: payload.rootHash,
+    ledgerSeq: ledgerEntry.seq,
+    ledgerEntryHash: ledgerEntry.entry_hash,
+    signature: signature.value,
+    keyFingerprint: signature.keyFingerprint,
+    certificates: payload.certificates,
+    verifyUrl,
+    downloadUrl,
+    message: 'Batch certificate generated successfully'
+  };
+}
+
+// Public batch certificate verification
+//
+// Checks the batch record's own hash, signature and ledger entry, recomputes the
+// root hash from the device hashes it lists, and verifies each of those device
+// certificates in turn. A batch is only valid while every device certificate is.
+async function verifyBatchCertificate(row) {
+  const payload = JSON.parse(row.payload);
+  const recomputedHash = hashCertificatePayload(payload);
+  const recomputedRootHash = computeMerkleRoot(payload.certificates.map((certificate) => certificate.hash));
+  const [ledgerEntry, signature] = await Promise.all([
+    dbGet(
+      "SELECT seq, hash, entry_hash, created_at FROM blockchain_logs WHERE ref_type = 'batch_certificate' AND ref_id = ?",
+      [row.id]
+    ),
+    row.signature ? verifyCertificateSignature(row) : null
+  ]);
+
+  const devices = [];
+  for (const listed of payload.certificates) {
+    const cert = await dbGet('SELECT * FROM certificates WHERE id = ?', [listed.certificateId]);
+    const result = cert ? await verifyCertificate(cert) : null;
+    devices.push({
+      certificateId: listed.certificateId,
+      deviceName: listed.deviceName,
+      hash: listed.hash,
+      found: Boolean(cert),
+      hashMatches: Boolean(cert) && cert.hash === listed.hash,
+      valid: Boolean(result && result.valid) && cert.hash === listed.hash,
+      revoked: Boolean(result && result.revoked)
+    });
+  }
+
+  const hashMatches = recomputedHash === row.hash;
+  const rootMatches = recomputedRootHash === payload.rootHash && payload.rootHash === row.root_hash;
+  const ledgerMatches = Boolean(ledgerEntry) && ledgerEntry.hash === row.hash;
+  const intact = hashMatches && rootMatches && ledgerMatches && (!signature || signature.valid);
+  const invalidDevices = devices.filter((device) => !device.valid);
+  const revokedDevices = invalidDevices.filter((device) => device.revoked);
+
+  let reason;
+  if (!intact) {
+    reason = 'Batch record does not match its hash, root hash, signature or ledger entry';
+  } else if (revokedDevices.length > 0) {
+    reason = `${revokedDevices.length} of ${devices.length} device certificates have been revoked`;
+  } else if (invalidDevices.length > 0) {
+    reason = `${invalidDevices.length} of ${devices.length} device certificates failed verification`;
+  }
+
+  return {
+    valid: intact && invalidDevices.length === 0,
+    reason,
+    batchCertificateId: row.id,
+    batchId: row.batch_id,
+    hash: row.hash,
+    recomputedHash,
+    hashMatches,
+    rootHash: payload.rootHash,
+    recomputedRootHash,
+    rootMatches,
+    signature: signature ? { ...signature, value: row.signature } : null,
+    ledger: ledgerEntry
+      ? { seq: ledgerEntry.seq, entryHash: ledgerEntry.entry_hash, recordedAt: ledgerEntry.created_at, matches: ledgerMatches }
+      : null,
+    issuedAt: row.created_at,
+    batchCertificate: payload,
+    devices,
+    pdfUrl: `/api/wipe-batches/${row.batch_id}/certificate`
+  };
+}
+
+function sendBatchCertificateVerification(res, row) {
+  if (!row) {
+    res.status(404).json({ valid: false, error: 'Batch certificate not found' });
+    return;
+  }
+  verifyBatchCertificate(row)
+    .then((result) => res.json(result))
+    .catch((error) => res.status(500).json({ valid: false, error: error.message }));
+}
+
+app.get('/api/batch-certificate/verify/hash/:hash', (req, res) => {
+  db.get('SELECT * FROM batch_certificates WHERE hash = ?', [req.params.hash.toLowerCase()], (err, row) => {
     if (err) {
       res.status(500).json({ error: err.message });
       return;
     }
-    res.json(rows[0]);
+    sendBatchCertificateVerification(res, row);
   });
 });
 
-// Get user's devices
-app.get('/api/devices', requireAuth, (req, res) => {
-  const userId = req.session.userId;
-  db.all('SELECT * FROM devices WHERE user_id = ? ORDER BY created_at DESC', [userId], (err, rows) => {
+app.get('/api/batch-certificate/verify/:id', (req, res) => {
+  db.get('SELECT * FROM batch_certificates WHERE id = ?', [req.params.id], (err, row) => {
     if (err) {
       res.status(500).json({ error: err.message });
       return;
     }
-    res.json(rows);
+    sendBatchCertificateVerification(res, row);
   });
 });
 
-// Get user's wipe jobs
-app.get('/api/wipe-jobs', requireAuth, (req, res) => {
-  const userId = req.session.userId;
+// Get the organisation's certificates
+app.get('/api/certificates', requirePermission('certificates:read'), (req, res) => {
   db.all(`
-    SELECT wj.*, d.name as device_name 
-    FROM wipe_jobs wj 
-    LEFT JOIN devices d ON wj.device_id = d.id 
-    WHERE wj.user_id = ?
-    ORDER BY wj.created_at DESC
-  `, [userId], (err, rows) => {
+    SELECT c.*, d.name as device_name, wj.method, wj.created_at as wipe_date,
+           cr.created_at as revoked_at, cr.reason as revocation_reason
+    FROM certificates c
+    LEFT JOIN devices d ON c.device_id = d.id
+    JOIN wipe_jobs wj ON c.job_id = wj.id
+    LEFT JOIN certificate_revocations cr ON cr.certificate_id = c.id
+    WHERE wj.organisation_id = ?
+    ORDER BY c.created_at DESC
+  `, [req.user.organisationId], (err, rows) => {
     if (err) {
       res.status(500).json({ error: err.message });
       return;
@@ -417,304 +5156,686 @@ app.get('/api/wipe-jobs', requireAuth, (req, res) => {
   });
 });
 
-// Start wipe job (user-specific)
-app.post('/api/wipe', requireAuth, upload.single('file'), (req, res) => {
-  const { deviceId, method, passes = 3, wipeType } = req.body;
-  const userId = req.session.userId;
-  const jobId = uuidv4();
-  const filePath = req.file ? req.file.path : null;
+// Verify the integrity of the certificate ledger
+app.get('/api/ledger/verify', requirePermission('ledger:verify'), (req, res) => {
+  enqueueLedgerTask(verifyLedger)
+    .then((result) => hideForeignLedgerRecord(result, req.user.organisationId))
+    .then((result) => res.json(result))
+    .catch((error) => res.status(500).json({ error: error.message }));
+});
 
-  // Verify device belongs to user
-  db.get('SELECT id FROM devices WHERE id = ? AND user_id = ?', [deviceId, userId], (err, device) => {
-    if (err) {
-      return res.status(500).json({ error: 'Database error' });
-    }
-    
-    if (!device && deviceId) {
-      return res.status(403).json({ error: 'Device not found or access denied' });
-    }
+// Every organisation shares the one chain, so anyone verifying it learns whether it
+// is intact, but a broken link only names its record for the organisation that owns it
+async function hideForeignLedgerRecord(result, organisationId) {
+  if (result.valid) {
+    return result;
+  }
+  const { refType, refId } = result.brokenLink;
+  const owners = {
+    certificate: `SELECT wj.organisation_id FROM certificates c
+      JOIN wipe_jobs wj ON wj.id = c.job_id WHERE c.id = ?`,
+    certificate_revocation: `SELECT wj.organisation_id FROM certificate_revocations r
+      JOIN certificates c ON c.id = r.certificate_id JOIN wipe_jobs wj ON wj.id = c.job_id WHERE r.id = ?`,
+    batch_certificate: `SELECT wb.organisation_id FROM batch_certificates bc
+      JOIN wipe_batches wb ON wb.id = bc.batch_id WHERE bc.id = ?`
+  };
+  const owner = owners[refType] ? await dbGet(owners[refType], [refId]) : null;
+  if (owner && owner.organisation_id === organisationId) {
+    return result;
+  }
+  return { ...result, brokenLink: { ...result.brokenLink, entryId: null, refId: null } };
+}
 
-    db.run(
-      'INSERT INTO wipe_jobs (id, user_id, device_id, method, passes, file_path, status) VALUES (?, ?, ?, ?, ?, ?, ?)',
-      [jobId, userId, deviceId, method, passes, filePath, 'pending'],
-      function(err) {
-        if (err) {
-          res.status(500).json({ error: err.message });
-          return;
+// Durable wipe job runner
+//
+// wipe_jobs is the queue: POST /api/wipe inserts a 'pending' row and the runner
+// claims pending rows (up to WIPE_CONCURRENCY at a time) by flipping them to
+// 'in_progress'. current_pass is persisted after every pass, so a job interrupted
+// by a restart resumes from the next pass. Failed passes are retried with backoff
+// up to max_attempts; whatever the outcome, the uploaded file is destroyed.
+const WIPE_CONCURRENCY = Math.max(1, parseInt(process.env.WIPE_CONCURRENCY || '2', 10));
+const WIPE_MAX_ATTEMPTS = Math.max(1, parseInt(process.env.WIPE_MAX_ATTEMPTS || '3', 10));
+const WIPE_RETRY_DELAY_MS = 5000;
+const WIPE_QUEUE_POLL_MS = 2000;
+const runningWipeJobs = new Set();
+const wipeJobInterruptions = new Map(); // jobId -> 'cancel' | 'pause' requested by an operator
+// Jobs past their last pass, deleting their files; these can no longer be paused or cancelled
+const finishingWipeJobs = new Set();
+let wipeQueueBusy = false;
+let wipeQueueDirty = false;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Job updates pushed to /api/wipe/events; each event carries its organisation so streams can filter
+const wipeEvents = new EventEmitter();
+wipeEvents.setMaxListeners(0);
+const WIPE_EVENTS_HEARTBEAT_MS = 15000;
+const WIPE_EVENTS_RETRY_MS = 3000;
+
+function publishWipeEvent(job, type, data = {}) {
+  wipeEvents.emit('wipe', {
+    type,
+    jobId: job.id,
+    organisationId: job.organisation_id,
+    at: new Date().toISOString(),
+    ...data
+  });
+}
+
+function describeWipeJobEvent(type, job) {
+  return {
+    type,
+    jobId: job.id,
+    organisationId: job.organisation_id,
+    at: new Date().toISOString(),
+    status: job.status,
+    progress: job.progress,
+    currentPass: job.current_pass || 0,
+    totalPasses: job.passes,
+    bytesWritten: job.bytes_written,
+    bytesTotal: job.bytes_total,
+    throughputBps: job.throughput_bps,
+    etaSeconds: job.eta_seconds,
+    error: job.last_error
+  };
+}
+
+function scheduleWipeQueue() {
+  pumpWipeQueue().catch((error) => console.error('Wipe queue error:', error));
+}
+
+async function pumpWipeQueue() {
+  if (wipeQueueBusy) {
+    wipeQueueDirty = true;
+    return;
+  }
+  wipeQueueBusy = true;
+
+  try {
+    do {
+      wipeQueueDirty = false;
+      while (runningWipeJobs.size < WIPE_CONCURRENCY) {
+        const job = await claimNextWipeJob();
+        if (!job) {
+          break;
         }
-        
-        // Start wipe simulation
-        simulateWipeProcess(jobId, method, passes, wipeType === 'file', filePath);
-        
-        res.json({ jobId, status: 'started', message: 'Wipe job initiated' });
+        runningWipeJobs.add(job.id);
+        runWipeJob(job)
+          .catch((error) => console.error(`Wipe job ${job.id} crashed:`, error))
+          .finally(() => {
+            runningWipeJobs.delete(job.id);
+            wipeJobInterruptions.delete(job.id);
+            finishingWipeJobs.delete(job.id);
+            scheduleWipeQueue();
+          });
       }
-    );
-  });
-});
+    } while (wipeQueueDirty);
+  } finally {
+    wipeQueueBusy = false;
+  }
+}
 
-// Get wipe job progress (user-specific)
-app.get('/api/wipe/:id', requireAuth, (req, res) => {
-  const jobId = req.params.id;
-  const userId = req.session.userId;
-  
-  db.get('SELECT * FROM wipe_jobs WHERE id = ? AND user_id = ?', [jobId, userId], (err, row) => {
-    if (err) {
-      res.status(500).json({ error: err.message });
-      return;
+async function claimNextWipeJob() {
+  const now = new Date().toISOString();
+  const candidates = await dbAll(
+    `SELECT id FROM wipe_jobs
+     WHERE status = 'pending' AND (next_attempt_at IS NULL OR next_attempt_at <= ?)
+     ORDER BY created_at ASC LIMIT ?`,
+    [now, WIPE_CONCURRENCY + runningWipeJobs.size]
+  );
+
+  for (const candidate of candidates) {
+    if (runningWipeJobs.has(candidate.id)) {
+      continue;
     }
-    if (!row) {
-      res.status(404).json({ error: 'Job not found or access denied' });
-      return;
+    const claim = await dbRun(
+      `UPDATE wipe_jobs SET status = 'in_progress', attempts = attempts + 1, started_at = COALESCE(started_at, ?)
+       WHERE id = ? AND status = 'pending'`,
+      [now, candidate.id]
+    );
+    if (claim.changes === 1) {
+      return dbGet('SELECT * FROM wipe_jobs WHERE id = ?', [candidate.id]);
     }
-    res.json(row);
-  });
-});
+  }
+  return null;
+}
 
-// Simulate backup
-app.post('/api/backup', (req, res) => {
-  const { email, deviceId } = req.body;
-  
-  // Simulate backup process
-  setTimeout(() => {
-    const backupId = uuidv4();
-    res.json({ 
-      backupId, 
-      status: 'completed',
-      message: `Backup completed and sent to ${email}`,
-      size: '15.7 GB'
-    });
-  }, 2000);
-});
+function isFileWipeJob(job) {
+  // Jobs created before wipe_type existed only had a file_path for file wipes
+  return job.wipe_type ? job.wipe_type === 'file' : Boolean(job.file_path);
+}
 
-// Simulate file transfer
-app.post('/api/transfer', (req, res) => {
-  const { sourceDevice, targetDevice, files } = req.body;
-  
-  const transferId = uuidv4();
-  
-  // Simulate transfer process
-  setTimeout(() => {
-    res.json({
-      transferId,
-      status: 'completed',
-      message: `Transferred ${files.length} files from ${sourceDevice} to ${targetDevice}`,
-      filesTransferred: files.length
-    });
-  }, 3000);
-});
+// A file job's files, in upload order. Jobs from before multi-file support kept
+// their single upload in wipe_jobs.file_path and have no item rows.
+async function loadWipeJobItems(job) {
+  const items = await dbAll('SELECT * FROM wipe_job_items WHERE job_id = ? ORDER BY item_index ASC', [job.id]);
+  if (items.length === 0 && job.file_path) {
+    return [{ id: null, relative_path: path.basename(job.file_path), file_path: job.file_path }];
+  }
+  return items;
+}
+
+async function runWipeJob(job) {
+  const plan = getJobWipePlan(job);
+  const totalPasses = plan.length;
+  const items = isFileWipeJob(job) ? await loadWipeJobItems(job) : [];
+  const isFileWipe = items.length > 0;
+  // Each pass covers every item, so its size is the total across them
+  items.forEach((item) => {
+    item.size = fs.existsSync(item.file_path) ? fs.statSync(item.file_path).size : 0;
+  });
+  const bytesPerPass = isFileWipe ? items.reduce((total, item) => total + item.size, 0) : null;
+  const progress = createWipeProgressTracker(job, bytesPerPass, totalPasses);
+  let passRecord = null;
+  publishWipeEvent(job, 'status', { status: 'in_progress', attempt: job.attempts, totalPasses, items: items.length });
 
-// AI residue scan
-app.post('/api/ai/scan', async (req, res) => {
-  const { jobId, deviceId } = req.body;
-  
   try {
-    // Call Python AI microservice
-    const aiResponse = await axios.post('http://localhost:8000/analyze', {
-      job_id: jobId,
-      device_id: deviceId
-    });
-    
-    const aiResult = aiResponse.data;
-    const resultId = uuidv4();
-    
-    // Store AI results
-    db.run(
-      'INSERT INTO ai_results (id, job_id, entropy_score, recoverable_files, residue_status) VALUES (?, ?, ?, ?, ?)',
-      [resultId, jobId, aiResult.entropy_score, aiResult.recoverable_files, aiResult.residue_status],
-      function(err) {
-        if (err) {
-          res.status(500).json({ error: err.message });
-          return;
+    await progress.report(job.current_pass || 0, 0, true);
+
+    for (let pass = (job.current_pass || 0) + 1; pass <= totalPasses; pass++) {
+      checkWipeJobInterruption(job.id);
+      const passPlan = plan[pass - 1];
+      passRecord = await startPassRecord(job.id, passPlan, bytesPerPass);
+      publishWipeEvent(job, 'pass', { pass, totalPasses, pattern: passPlan.description, state: 'started' });
+
+      if (isFileWipe) {
+        let passOffset = 0;
+        for (const item of items) {
+          try {
+            await performSecureFileWipe(item.file_path, passPlan, job.method, {
+              verify: shouldVerifyPass(job, pass, totalPasses),
+              samplePercent: job.verify_sample || 100,
+              jobId: job.id,
+              itemId: item.id,
+              onProgress: (itemBytes) => {
+                passRecord.bytesWritten = passOffset + itemBytes;
+                checkWipeJobInterruption(job.id);
+                return progress.report(pass - 1, passRecord.bytesWritten);
+              }
+            });
+          } catch (error) {
+            error.itemId = item.id;
+            throw error;
+          }
+          passOffset += item.size;
         }
-        res.json(aiResult);
+        await dbRun(
+          "UPDATE wipe_job_items SET status = 'in_progress', passes_completed = ? WHERE job_id = ?",
+          [pass, job.id]
+        );
+      } else {
+        await simulateDevicePass(job, pass, totalPasses);
+      }
+
+      await finishPassRecord(passRecord, 'completed');
+      passRecord = null;
+      publishWipeEvent(job, 'pass', { pass, totalPasses, pattern: passPlan.description, state: 'completed' });
+      await dbRun('UPDATE wipe_jobs SET current_pass = ? WHERE id = ?', [pass, job.id]);
+      await progress.report(pass, 0, true);
+    }
+
+    // From here on the job runs to the end; the pause and cancel routes refuse it
+    checkWipeJobInterruption(job.id);
+    finishingWipeJobs.add(job.id);
+
+    // Final secure deletion for file wipes. Each file is analysed for residue before
+    // the deletion's own random overwrite, which would otherwise hide what the
+    // method left; a job resumed after some files were already deleted cannot
+    // analyse them, so it records no partial result.
+    const residue = createResidueAnalysis();
+    let residueItems = 0;
+    for (const item of items) {
+      await performFinalFileDeletion(item.file_path, {
+        beforeFinalOverwrite: () => analyzeResidueFile(residue, item.file_path, item.relative_path)
+          .then(() => { residueItems++; })
+          .catch((error) => console.error(`Residue analysis of ${item.file_path} failed:`, error))
+      });
+      await dbRun(
+        "UPDATE wipe_job_items SET status = 'completed', error = NULL, destroyed_at = ? WHERE id = ?",
+        [new Date().toISOString(), item.id]
+      );
+      publishWipeEvent(job, 'item', { itemId: item.id, path: item.relative_path, status: 'completed' });
+    }
+    if (isFileWipe) {
+      console.log(`${items.length} file(s) securely wiped with ${totalPasses} passes using ${job.method}`);
+      if (residueItems === items.length && residue.bytes > 0) {
+        const result = await recordResidueAnalysis({
+          userId: job.user_id,
+          organisationId: job.organisation_id,
+          jobId: job.id,
+          deviceId: job.device_id,
+          source: 'wipe'
+        }, residue);
+        publishWipeEvent(job, 'residue', {
+          entropyScore: result.entropy_score,
+          residueStatus: result.residue_status,
+          residueLabel: describeResidueResult(result).residueLabel,
+          recoverableFiles: result.recoverable_files,
+          bytesAnalyzed: result.bytes_analyzed
+        });
       }
+    }
+
+    await dbRun(
+      `UPDATE wipe_jobs SET status = 'completed', progress = 100, eta_seconds = 0, last_error = NULL, finished_at = ?
+       WHERE id = ?`,
+      [new Date().toISOString(), job.id]
     );
+    publishWipeEvent(job, 'completed', { status: 'completed', progress: 100, totalPasses });
   } catch (error) {
-    // Fallback if AI service is not running
-    const fallbackResult = {
-      entropy_score: 99.8,
-      recoverable_files: 0,
-      residue_status: 'CLEAN'
-    };
-    res.json(fallbackResult);
-  }
-});
-
-// Generate certificate
-app.post('/api/certificate/:jobId', (req, res) => {
-  const jobId = req.params.jobId;
-  
-  // Get job details
-  db.get(`
-    SELECT wj.*, d.name as device_name, d.model, d.storage, d.health,
-           ar.entropy_score, ar.residue_status
-    FROM wipe_jobs wj
-    LEFT JOIN devices d ON wj.device_id = d.id
-    LEFT JOIN ai_results ar ON wj.id = ar.job_id
-    WHERE wj.id = ?
-  `, [jobId], (err, job) => {
-    if (err) {
-      res.status(500).json({ error: err.message });
-      return;
+    const passState = error.interruption === 'cancel' ? 'cancelled' : error.interruption === 'pause' ? 'paused' : 'failed';
+    if (passRecord) {
+      await finishPassRecord(passRecord, passState, error.message);
+      publishWipeEvent(job, 'pass', {
+        pass: passRecord.passNumber,
+        totalPasses,
+        state: passState,
+        error: error.message
+      });
     }
-    if (!job) {
-      res.status(404).json({ error: 'Job not found' });
-      return;
+    if (error.itemId && !error.interruption) {
+      await dbRun('UPDATE wipe_job_items SET error = ? WHERE id = ?', [error.message, error.itemId]);
     }
-    
-    generatePDFCertificate(job, (certificatePath, hash, certId) => {
-      // Store certificate in database
-      db.run(
-        'INSERT INTO certificates (id, job_id, device_id, hash, pdf_path) VALUES (?, ?, ?, ?, ?)',
-        [certId, jobId, job.device_id, hash, `/certificates/${path.basename(certificatePath)}`],
-        function(err) {
-          if (err) {
-            res.status(500).json({ error: err.message });
-            return;
-          }
-          
-          // Create blockchain log
-          createBlockchainLog(certId, 'certificate', hash);
-          
-          res.json({
-            certificateId: certId,
-            hash,
-            downloadUrl: `/certificates/${path.basename(certificatePath)}`,
-            message: 'Certificate generated successfully'
-          });
+    if (error.interruption) {
+      await handleWipeJobInterruption(job, error.interruption);
+    } else {
+      await handleWipeJobFailure(job, error);
+    }
+  }
+}
+
+function checkWipeJobInterruption(jobId) {
+  const action = wipeJobInterruptions.get(jobId);
+  if (action) {
+    const error = new Error(action === 'cancel' ? 'Cancelled by operator' : 'Paused by operator');
+    error.interruption = action;
+    throw error;
+  }
+}
+
+async function handleWipeJobInterruption(job, action) {
+  if (action === 'cancel') {
+    await dbRun(
+      "UPDATE wipe_jobs SET status = 'cancelled', eta_seconds = NULL, finished_at = ? WHERE id = ?",
+      [new Date().toISOString(), job.id]
+    );
+    await finishCancelledWipeJob(job);
+    return;
+  }
+
+  // A paused run isn't a failed attempt, so give the attempt back
+  await dbRun(
+    "UPDATE wipe_jobs SET status = 'paused', attempts = MAX(attempts - 1, 0), eta_seconds = NULL, throughput_bps = NULL WHERE id = ?",
+    [job.id]
+  );
+  const { current_pass: currentPass } = await dbGet('SELECT current_pass FROM wipe_jobs WHERE id = ?', [job.id]);
+  console.log(`Wipe job ${job.id} paused after pass ${currentPass}`);
+  publishWipeEvent(job, 'status', { status: 'paused', currentPass });
+}
+
+async function finishCancelledWipeJob(job) {
+  console.log(`Wipe job ${job.id} cancelled`);
+  publishWipeEvent(job, 'cancelled', { status: 'cancelled' });
+  // A cancelled job is never certified, but its uploaded copies must still be destroyed
+  await destroyWipeJobUploads(job, 'cancelled');
+}
+
+async function startPassRecord(jobId, passPlan, bytesPerPass) {
+  const record = {
+    id: uuidv4(),
+    passNumber: passPlan.pass,
+    bytesWritten: 0
+  };
+  await dbRun(
+    `INSERT INTO wipe_passes (id, job_id, pass_number, pattern, bytes_total, bytes_written, status, started_at)
+     VALUES (?, ?, ?, ?, ?, 0, 'running', ?)`,
+    [record.id, jobId, passPlan.pass, passPlan.description, bytesPerPass, new Date().toISOString()]
+  );
+  return record;
+}
+
+function finishPassRecord(record, status, error = null) {
+  return dbRun(
+    'UPDATE wipe_passes SET status = ?, bytes_written = ?, error = ?, finished_at = ? WHERE id = ?',
+    [status, record.bytesWritten, error, new Date().toISOString(), record.id]
+  );
+}
+
+// Progress for file wipes is the share of bytes actually written across all passes;
+// throughput is measured over this run so a resumed job doesn't inherit stale timings.
+// Simulated device wipes have no byte count and report progress themselves.
+const PROGRESS_UPDATE_INTERVAL_MS = 500;
+
+function createWipeProgressTracker(job, bytesPerPass, totalPasses) {
+  const bytesTotal = bytesPerPass === null ? null : bytesPerPass * totalPasses;
+  const runStartedAt = Date.now();
+  const bytesAtStart = bytesPerPass === null ? 0 : (job.current_pass || 0) * bytesPerPass;
+  let lastUpdateAt = 0;
+
+  return {
+    report(completedPasses, passBytes, force = false) {
+      const now = Date.now();
+      if (!force && now - lastUpdateAt < PROGRESS_UPDATE_INTERVAL_MS) {
+        return Promise.resolve();
+      }
+      lastUpdateAt = now;
+
+      if (bytesTotal === null) {
+        if (!force) {
+          return Promise.resolve();
         }
+        const percent = Math.floor((completedPasses / totalPasses) * 100);
+        return dbRun('UPDATE wipe_jobs SET progress = ? WHERE id = ?', [percent, job.id])
+          .then(() => publishWipeEvent(job, 'progress', { progress: percent, currentPass: completedPasses, totalPasses }));
+      }
+
+      const bytesWritten = completedPasses * bytesPerPass + passBytes;
+      const elapsedSeconds = (now - runStartedAt) / 1000;
+      const throughput = elapsedSeconds > 0 ? (bytesWritten - bytesAtStart) / elapsedSeconds : null;
+      const eta = throughput ? Math.ceil((bytesTotal - bytesWritten) / throughput) : null;
+      const percent = bytesTotal > 0
+        ? Math.floor((bytesWritten / bytesTotal) * 100)
+        : Math.floor((completedPasses / totalPasses) * 100);
+
+      return dbRun(
+        'UPDATE wipe_jobs SET progress = ?, bytes_total = ?, bytes_written = ?, throughput_bps = ?, eta_seconds = ? WHERE id = ?',
+        [percent, bytesTotal, bytesWritten, throughput, eta, job.id]
+      ).then(() => publishWipeEvent(job, 'progress', {
+        progress: percent,
+        currentPass: completedPasses,
+        totalPasses,
+        bytesWritten,
+        bytesTotal,
+        throughputBps: throughput,
+        etaSeconds: eta
+      }));
+    }
+  };
+}
+
+async function handleWipeJobFailure(job, error) {
+  const retryable = !error.permanent && job.attempts < job.max_attempts;
+  console.error(`Wipe job ${job.id} attempt ${job.attempts}/${job.max_attempts} failed:`, error.message);
+
+  if (retryable) {
+    const nextAttemptAt = new Date(Date.now() + WIPE_RETRY_DELAY_MS * job.attempts).toISOString();
+    await dbRun(
+      "UPDATE wipe_jobs SET status = 'pending', last_error = ?, next_attempt_at = ? WHERE id = ?",
+      [error.message, nextAttemptAt, job.id]
+    );
+    publishWipeEvent(job, 'status', { status: 'pending', error: error.message, nextAttemptAt });
+    return;
+  }
+
+  await failWipeJob(job, error.message);
+}
+
+async function failWipeJob(job, reason) {
+  await dbRun(
+    "UPDATE wipe_jobs SET status = 'failed', last_error = ?, finished_at = ? WHERE id = ?",
+    [reason, new Date().toISOString(), job.id]
+  );
+  publishWipeEvent(job, 'failed', { status: 'failed', error: reason });
+  // Never leave an uploaded copy behind, even if the job could not finish
+  await destroyWipeJobUploads(job, 'failed');
+}
+
+// Destroys every upload still held for a job that will not complete, marking its items
+async function destroyWipeJobUploads(job, itemStatus) {
+  const items = await loadWipeJobItems(job);
+  for (const item of items) {
+    await performFinalFileDeletion(item.file_path);
+  }
+  await dbRun(
+    "UPDATE wipe_job_items SET status = ?, destroyed_at = ? WHERE job_id = ? AND status != 'completed'",
+    [itemStatus, new Date().toISOString(), job.id]
+  );
+}
+
+// Full-device wipes are simulated; advance progress through the pass in one-second ticks
+async function simulateDevicePass(job, passNumber, totalPasses) {
+  const passStart = ((passNumber - 1) / totalPasses) * 100;
+  const passEnd = (passNumber / totalPasses) * 100;
+  let progress = passStart;
+
+  while (progress < passEnd) {
+    await sleep(1000);
+    checkWipeJobInterruption(job.id);
+    progress = Math.min(passEnd, progress + Math.random() * 5 + 2);
+    await dbRun('UPDATE wipe_jobs SET progress = ? WHERE id = ?', [Math.floor(progress), job.id]);
+    publishWipeEvent(job, 'progress', { progress: Math.floor(progress), currentPass: passNumber - 1, totalPasses });
+  }
+}
+
+// Jobs left 'in_progress' by a crash or restart have no runner. Resume them from
+// their last completed pass, or fail them if they have used up their attempts.
+async function recoverOrphanedWipeJobs() {
+  const orphaned = await dbAll("SELECT * FROM wipe_jobs WHERE status = 'in_progress'");
+
+  for (const job of orphaned) {
+    if (job.attempts < (job.max_attempts || WIPE_MAX_ATTEMPTS)) {
+      await dbRun(
+        "UPDATE wipe_jobs SET status = 'pending', last_error = ?, next_attempt_at = NULL WHERE id = ?",
+        ['Interrupted by server restart', job.id]
       );
-    });
-  });
-});
+      console.log(`Resuming wipe job ${job.id} from pass ${(job.current_pass || 0) + 1}`);
+    } else {
+      await failWipeJob(job, 'Interrupted by server restart after final attempt');
+      console.log(`Wipe job ${job.id} failed: interrupted after final attempt`);
+    }
+  }
 
-// Get certificates
-app.get('/api/certificates', (req, res) => {
-  db.all(`
-    SELECT c.*, d.name as device_name, wj.method, wj.created_at as wipe_date
-    FROM certificates c
-    LEFT JOIN devices d ON c.device_id = d.id
-    LEFT JOIN wipe_jobs wj ON c.job_id = wj.id
-    ORDER BY c.created_at DESC
-  `, (err, rows) => {
-    if (err) {
-      res.status(500).json({ error: err.message });
-      return;
+  // Clean up uploads belonging to jobs that already reached a terminal state
+  const leftovers = await dbAll(
+    `SELECT file_path FROM wipe_jobs WHERE status IN ('completed', 'failed', 'cancelled') AND file_path IS NOT NULL
+     UNION
+     SELECT i.file_path FROM wipe_job_items i JOIN wipe_jobs j ON j.id = i.job_id
+     WHERE j.status IN ('completed', 'failed', 'cancelled') AND i.file_path IS NOT NULL`
+  );
+  for (const leftover of leftovers) {
+    if (fs.existsSync(leftover.file_path)) {
+      await performFinalFileDeletion(leftover.file_path);
     }
-    res.json(rows);
-  });
-});
+  }
+}
 
-// Helper functions
-function simulateWipeProcess(jobId, method, passes, isFileWipe, filePath) {
-  let progress = 0;
-  let currentPass = 1;
-  const totalPasses = parseInt(passes);
-  const progressPerPass = 100 / totalPasses;
+// Secure file wiping with multiple passes; throws so the runner can retry the pass
+async function performSecureFileWipe(filePath, passPlan, method, options = {}) {
+  const passNumber = passPlan.pass;
+  const patternSource = createPatternSource(passPlan);
+
+  // Validate file path is within uploads directory for security
+  const resolvedPath = path.resolve(filePath);
+  const uploadsDir = path.resolve('uploads');
   
-  const interval = setInterval(async () => {
-    progress += Math.random() * 5 + 2; // More realistic progress
-    
-    if (progress >= currentPass * progressPerPass && currentPass <= totalPasses) {
-      if (isFileWipe && filePath) {
-        await performSecureFileWipe(filePath, currentPass, method);
+  if (!resolvedPath.startsWith(uploadsDir)) {
+    throw permanentError('File path outside of allowed directory');
+  }
+  
+  if (!fs.existsSync(filePath)) {
+    throw permanentError(`File ${filePath} no longer exists for pass ${passNumber}`);
+  }
+  
+  const stats = fs.statSync(filePath);
+  const fileSize = stats.size;
+  
+  if (fileSize === 0) {
+    console.log(`File ${filePath} is empty, skipping pass ${passNumber}`);
+    return;
+  }
+  
+  // Open file for writing; async I/O keeps the server responsive during large passes
+  const handle = await fs.promises.open(filePath, 'r+');
+  
+  try {
+    // Overwrite file in chunks
+    for (let offset = 0; offset < fileSize; offset += WIPE_CHUNK_SIZE) {
+      const writeSize = Math.min(WIPE_CHUNK_SIZE, fileSize - offset);
+      const writeBuffer = patternSource(offset, writeSize);
+      await handle.write(writeBuffer, 0, writeSize, offset);
+      if (options.onProgress) {
+        await options.onProgress(offset + writeSize);
       }
-      currentPass++;
     }
     
-    if (progress >= 100) {
-      progress = 100;
-      clearInterval(interval);
-      
-      // Update job status to completed
-      db.run('UPDATE wipe_jobs SET status = ?, progress = ? WHERE id = ?', 
-        ['completed', progress, jobId]);
-      
-      // Final secure deletion for file wipes
-      if (isFileWipe && filePath) {
-        try {
-          await performFinalFileDeletion(filePath);
-          console.log(`File ${filePath} securely wiped with ${totalPasses} passes using ${method}`);
-        } catch (error) {
-          console.error('Error in final file deletion:', error);
-        }
+    // Force write to disk
+    await handle.sync();
+    console.log(`Pass ${passNumber} (${passPlan.description}) completed for ${filePath} using ${method}`);
+
+    if (options.verify) {
+      const result = await verifyPassReadBack(handle, fileSize, patternSource, options.samplePercent);
+      await recordPassVerification(options.jobId, options.itemId, passPlan, options.samplePercent, result);
+      if (result.mismatchedBlocks > 0) {
+        throw new Error(`Read-back verification failed for pass ${passNumber}: ` +
+          `${result.mismatchedBlocks} of ${result.blocksChecked} blocks differ (first at byte ${result.firstMismatchOffset})`);
       }
-    } else {
-      db.run('UPDATE wipe_jobs SET status = ?, progress = ? WHERE id = ?', 
-        ['in_progress', Math.floor(progress), jobId]);
+      console.log(`Pass ${passNumber} verified (${result.blocksChecked} blocks, ${options.samplePercent}% sample)`);
     }
-  }, 1000);
+    
+  } finally {
+    await handle.close();
+  }
 }
 
-// Secure file wiping with multiple passes
-async function performSecureFileWipe(filePath, passNumber, method) {
-  try {
-    // Validate file path is within uploads directory for security
-    const resolvedPath = path.resolve(filePath);
-    const uploadsDir = path.resolve('uploads');
-    
-    if (!resolvedPath.startsWith(uploadsDir)) {
-      throw new Error('File path outside of allowed directory');
-    }
-    
-    if (!fs.existsSync(filePath)) {
-      console.log(`File ${filePath} no longer exists for pass ${passNumber}`);
-      return;
+const WIPE_CHUNK_SIZE = 3 * 64 * 1024;
+const VERIFY_BLOCK_SIZE = 4096;
+
+// Returns (offset, size) => Buffer with the bytes a pass writes at that offset.
+// Random passes use an AES-256-CTR keystream under a fresh per-pass key, which is
+// a CSPRNG and can be regenerated at any offset for read-back verification.
+function createPatternSource(passPlan) {
+  if (passPlan.type === 'random') {
+    const key = crypto.randomBytes(32);
+    const iv = crypto.randomBytes(16);
+    return (offset, size) => {
+      const skip = offset % 16;
+      const cipher = crypto.createCipheriv('aes-256-ctr', key, addToCounter(iv, Math.floor(offset / 16)));
+      return cipher.update(Buffer.alloc(skip + size)).subarray(skip);
+    };
+  }
+
+  const pattern = Buffer.from(passPlan.bytes);
+  return (offset, size) => {
+    const phase = offset % pattern.length;
+    const rotated = Buffer.concat([pattern.subarray(phase), pattern.subarray(0, phase)]);
+    return Buffer.alloc(size).fill(rotated);
+  };
+}
+
+// Adds n to a 128-bit big-endian counter block
+function addToCounter(iv, n) {
+  const counter = Buffer.from(iv);
+  let carry = n;
+  for (let i = 15; i >= 0 && carry > 0; i--) {
+    const sum = counter[i] + (carry % 256);
+    counter[i] = sum % 256;
+    carry = Math.floor(carry / 256) + Math.floor(sum / 256);
+  }
+  return counter;
+}
+
+// The method's rule sets the minimum; a job can opt in to verifying every pass
+function shouldVerifyPass(job, passNumber, totalPasses) {
+  if (job.verify) {
+    return true;
+  }
+  const rule = WIPE_METHODS[job.method] ? WIPE_METHODS[job.method].verification : 'none';
+  return rule === 'all' || (rule === 'final' && passNumber === totalPasses);
+}
+
+// Re-reads the file (or a random sample of its blocks) and compares it with the expected pattern
+async function verifyPassReadBack(handle, fileSize, patternSource, samplePercent) {
+  const totalBlocks = Math.ceil(fileSize / VERIFY_BLOCK_SIZE);
+  const sampleSize = Math.max(1, Math.ceil(totalBlocks * samplePercent / 100));
+  const blocks = sampleSize >= totalBlocks
+    ? Array.from({ length: totalBlocks }, (_, index) => index)
+    : pickRandomBlocks(totalBlocks, sampleSize);
+
+  const readBuffer = Buffer.alloc(VERIFY_BLOCK_SIZE);
+  let bytesChecked = 0;
+  let mismatchedBlocks = 0;
+  let firstMismatchOffset = null;
+
+  for (const block of blocks) {
+    const offset = block * VERIFY_BLOCK_SIZE;
+    const size = Math.min(VERIFY_BLOCK_SIZE, fileSize - offset);
+    const { bytesRead } = await handle.read(readBuffer, 0, size, offset);
+    const expected = patternSource(offset, size);
+    bytesChecked += bytesRead;
+
+    if (bytesRead !== size || !readBuffer.subarray(0, size).equals(expected)) {
+      mismatchedBlocks++;
+      if (firstMismatchOffset === null || offset < firstMismatchOffset) {
+        firstMismatchOffset = offset;
+      }
     }
-    
-    const stats = fs.statSync(filePath);
-    const fileSize = stats.size;
-    
-    if (fileSize === 0) {
-      console.log(`File ${filePath} is empty, skipping pass ${passNumber}`);
+  }
+
+  return { blocksChecked: blocks.length, bytesChecked, mismatchedBlocks, firstMismatchOffset };
+}
+
+function pickRandomBlocks(totalBlocks, count) {
+  const picked = new Set();
+  while (picked.size < count) {
+    picked.add(crypto.randomInt(totalBlocks));
+  }
+  return Array.from(picked).sort((a, b) => a - b);
+}
+
+function recordPassVerification(jobId, itemId, passPlan, samplePercent, result) {
+  return dbRun(
+    `INSERT INTO wipe_verifications (id, job_id, item_id, pass_number, pattern, sample_percent, blocks_checked,
+                                     bytes_checked, mismatched_blocks, first_mismatch_offset, status)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      uuidv4(), jobId, itemId || null, passPlan.pass, passPlan.description, samplePercent, result.blocksChecked,
+      result.bytesChecked, result.mismatchedBlocks, result.firstMismatchOffset,
+      result.mismatchedBlocks === 0 ? 'passed' : 'failed'
+    ]
+  );
+}
+
+// One verification result per pass, combining every item in the job. Only the latest
+// row for each item counts; earlier rows belong to retried attempts.
+function summarizeVerificationsByPass(verifications) {
+  const latest = new Map();
+  verifications.forEach((verification) => {
+    latest.set(`${verification.pass_number}:${verification.item_id || ''}`, verification);
+  });
+
+  const byPass = new Map();
+  latest.forEach((verification) => {
+    const summary = byPass.get(verification.pass_number);
+    if (!summary) {
+      byPass.set(verification.pass_number, { ...verification, items_checked: 1 });
       return;
     }
-    
-    // Determine overwrite pattern based on method and pass
-    let pattern;
-    switch (method) {
-      case 'DoD 5220.22-M':
-        pattern = getDoDPattern(passNumber);
-        break;
-      case 'NIST SP 800-88':
-        pattern = Buffer.alloc(1024, 0x00); // Single pass with zeros
-        break;
-      case 'Gutmann':
-        pattern = getGutmannPattern(passNumber);
-        break;
-      case 'Random':
-      default:
-        pattern = crypto.randomBytes(1024);
-        break;
-    }
-    
-    // Open file for writing
-    const fd = fs.openSync(filePath, 'r+');
-    
-    try {
-      // Overwrite file in chunks
-      const chunkSize = 1024;
-      for (let offset = 0; offset < fileSize; offset += chunkSize) {
-        const writeSize = Math.min(chunkSize, fileSize - offset);
-        const writeBuffer = pattern.slice(0, writeSize);
-        fs.writeSync(fd, writeBuffer, 0, writeSize, offset);
-      }
-      
-      // Force write to disk
-      fs.fsyncSync(fd);
-      console.log(`Pass ${passNumber} completed for ${filePath} using ${method}`);
-      
-    } finally {
-      fs.closeSync(fd);
+    summary.items_checked += 1;
+    summary.blocks_checked += verification.blocks_checked;
+    summary.bytes_checked += verification.bytes_checked;
+    summary.mismatched_blocks += verification.mismatched_blocks;
+    if (verification.status !== 'passed') {
+      summary.status = verification.status;
     }
-    
-  } catch (error) {
-    console.error(`Error in secure wipe pass ${passNumber} for ${filePath}:`, error);
-  }
+  });
+  return Array.from(byPass.values()).sort((a, b) => a.pass_number - b.pass_number);
 }
 
-// Final file deletion after all passes
-async function performFinalFileDeletion(filePath) {
+// Removes uploads that will never become a wipe job
+function discardUploads(uploads) {
+  uploads.forEach((upload) => performFinalFileDeletion(upload.filePath));
+}
+
+// Errors that retrying cannot fix
+function permanentError(message) {
+  const error = new Error(message);
+  error.permanent = true;
+  return error;
+}
+
+// Final file deletion after all passes; options.beforeFinalOverwrite runs on the content
+// the passes left, before this function's own random overwrite
+async function performFinalFileDeletion(filePath, options = {}) {
   try {
     // Validate file path is within uploads directory
     const resolvedPath = path.resolve(filePath);
@@ -726,6 +5847,10 @@ async function performFinalFileDeletion(filePath) {
     }
     
     if (fs.existsSync(filePath)) {
+      if (options.beforeFinalOverwrite) {
+        await options.beforeFinalOverwrite();
+      }
+
       // Final overwrite with random data
       const stats = fs.statSync(filePath);
       const fileSize = stats.size;
@@ -765,144 +5890,939 @@ async function performFinalFileDeletion(filePath) {
   }
 }
 
-// DoD 5220.22-M patterns
-function getDoDPattern(passNumber) {
-  switch (passNumber) {
-    case 1:
-      return Buffer.alloc(1024, 0x00); // All zeros
-    case 2:
-      return Buffer.alloc(1024, 0xFF); // All ones
-    case 3:
-    default:
-      return crypto.randomBytes(1024); // Random data
-  }
-}
-
-// Gutmann method patterns (simplified)
-function getGutmannPattern(passNumber) {
-  const patterns = [
-    Buffer.alloc(1024, 0x00),
-    Buffer.alloc(1024, 0xFF),
-    Buffer.alloc(1024, 0x55), // 01010101
-    Buffer.alloc(1024, 0xAA), // 10101010
-  ];
-  
-  if (passNumber <= patterns.length) {
-    return patterns[passNumber - 1];
-  } else {
-    return crypto.randomBytes(1024);
-  }
-}
-
-function generatePDFCertificate(job, callback) {
-  const certId = uuidv4();
-  const doc = new PDFDocument({ margin: 50 });
-  const fileName = `certificate-${certId}.pdf`;
-  const filePath = path.join('certificates', fileName);
-  
-  // Create certificate data for hashing
-  const certData = {
+// The exact fields a certificate attests to. This object is stored verbatim
+// (as canonical JSON) so its hash can be recomputed later.
+function buildCertificatePayload(job, template, certId) {
+  return {
     certificateId: certId,
     jobId: job.id,
     deviceId: job.device_id,
     deviceName: job.device_name,
     method: job.method,
     passes: job.passes,
-    entropyScore: job.entropy_score || 0,
-    residueStatus: job.residue_status || 'N/A',
-    timestamp: Date.now(),
+    patterns: getJobWipePlan(job).map((pass) => ({ pass: pass.pass, pattern: pass.description })),
+    verification: (job.verifications || []).map((verification) => ({
+      pass: verification.pass_number,
+      status: verification.status,
+      samplePercent: verification.sample_percent,
+      bytesChecked: verification.bytes_checked,
+      mismatchedBlocks: verification.mismatched_blocks
+    })),
+    items: (job.items || []).map((item) => ({
+      path: item.relative_path,
+      sizeBytes: item.size_bytes,
+      passesCompleted: item.passes_completed,
+      status: item.status
+    })),
+    status: job.status,
+    // Full-device wipes are simulated; nothing was written to or read back from the device
+    simulated: isSimulatedWipeJob(job),
+    // null when no residue scan was recorded; a certificate never reports a result nobody measured
+    entropyScore: job.scan_id ? job.entropy_score : null,
+    recoverableFiles: job.scan_id ? job.recoverable_files : null,
+    residueStatus: job.scan_id ? job.residue_status : null,
+    // The organisation's wording for the status, and the residue policy version it was classified under
+    residueLabel: job.scan_id ? job.residue_label || job.residue_status : null,
+    residuePolicyVersion: job.scan_id && job.residue_policy_version !== null ? job.residue_policy_version : null,
+    issuer: describeCertificateIssuer(template),
+    language: template.language,
+    issuedAt: new Date().toISOString(),
     nonce: crypto.randomBytes(16).toString('hex')
   };
-  
+}
+
+// Organisation named on a certificate by its template
+function describeCertificateIssuer(template) {
+  return {
+    name: template.company_name,
+    address: template.address,
+    signatoryName: template.signatory_name,
+    signatoryTitle: template.signatory_title
+  };
+}
+
+function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
+function describeVerificationSummary(verification, strings) {
+  if (verification.length === 0) {
+    return strings.verificationNotPerformed;
+  }
+  const failed = verification.filter((result) => result.status !== 'passed').length;
+  return strings.verificationSummary(verification.length, failed);
+}
+
+// Certificate templates and languages
+//
+// Used when an organisation has no template of its own
+const DEFAULT_CERTIFICATE_TEMPLATE = {
+  id: null,
+  company_name: 'WipeSure Enterprise',
+  address: null,
+  logo_path: null,
+  signatory_name: null,
+  signatory_title: null,
+  footer_text: 'WipeSure — Proof, Not Promises',
+  language: 'en'
+};
+
+// Every label printed on a certificate, per language. Recorded values (status,
+// pattern names, residue classification) stay as stored so they match the JSON.
+const CERTIFICATE_STRINGS = {
+  en: {
+    locale: 'en-US',
+    subtitle: 'Secure Data Destruction Certificate',
+    certificateId: 'Certificate ID',
+    issueDate: 'Issue Date',
+    title: 'CERTIFICATE OF DATA DESTRUCTION',
+    deviceInformation: 'DEVICE INFORMATION',
+    deviceName: 'Device Name',
+    fileWipe: 'File Wipe',
+    model: 'Model',
+    storage: 'Storage',
+    deviceHealth: 'Device Health',
+    filesWiped: (count, size) => `Files Wiped: ${count} (${size}, listed after the pattern log)`,
+    scanToVerify: 'Scan to verify',
+    wipeDetails: 'WIPE OPERATION DETAILS',
+    wipeMethod: 'Wipe Method',
+    passes: (count) => `Number of Passes: ${count} (overwrite patterns listed on the next page)`,
+    status: 'Status',
+    simulated: 'SIMULATED, nothing written to the device',
+    completionDate: 'Completion Date',
+    readBackVerification: 'Read-back Verification',
+    verificationNotPerformed: 'Not performed',
+    verificationSummary: (count, failed) => `${count} ${count === 1 ? 'pass' : 'passes'} read back, ` +
+      (failed === 0 ? 'all matched' : `${failed} FAILED`),
+    residueAnalysis: 'AI RESIDUE ANALYSIS',
+    entropyScore: 'Entropy Score',
+    residueStatus: 'Residue Status',
+    residuePolicy: (version) => `policy version ${version}`,
+    recoverableFiles: 'Recoverable Files',
+    notScanned: 'Not scanned',
+    complianceStandards: 'COMPLIANCE STANDARDS',
+    complianceItems: [
+      'NIST SP 800-88 Media Sanitization Guidelines',
+      'DoD 5220.22-M Data Destruction Standards',
+      'Blockchain-verified tamper-proof documentation'
+    ],
+    complianceResidueScan: 'AI-verified complete data destruction',
+    verificationHash: 'VERIFICATION HASH (SHA-256)',
+    verifyAt: 'Verify at',
+    signedBy: (issuer, algorithm) => `Digitally Signed by ${issuer} (${algorithm})`,
+    keyFingerprint: 'Key Fingerprint',
+    signature: 'Signature',
+    tamperEvident: 'This certificate is cryptographically secured and tamper-evident',
+    authorisedSignatory: 'Authorised Signatory',
+    seal: ['CERTIFIED', 'SECURE'],
+    patternLog: 'OVERWRITE PATTERN LOG',
+    passColumn: 'Pass',
+    patternColumn: 'Pattern Written',
+    verificationColumn: 'Read-back Verification',
+    notVerified: 'Not verified',
+    passVerification: (status, percent, bytes) => `${status} (${percent}% sampled, ${bytes} bytes)`,
+    wipedItems: 'WIPED ITEMS',
+    itemRange: (first, last, total) => `items ${first}-${last} of ${total}`,
+    pathColumn: 'Path',
+    sizeColumn: 'Size',
+    statusColumn: 'Status',
+    batchTitle: 'CONSOLIDATED CERTIFICATE OF DATA DESTRUCTION',
+    batchInformation: 'BATCH INFORMATION',
+    batchName: 'Batch',
+    devicesCertified: (count) => `Devices: ${count} (each certified on its own pages after this summary)`,
+    rootHash: 'ROOT HASH (SHA-256 MERKLE TREE OF THE DEVICE CERTIFICATE HASHES)',
+    batchHash: 'Batch certificate hash',
+    batchDevices: 'DEVICES',
+    deviceRange: (first, last, total) => `devices ${first}-${last} of ${total}`,
+    deviceColumn: 'Device',
+    certificateColumn: 'Certificate ID',
+    hashColumn: 'Certificate Hash'
+  },
+  hi: {
+    locale: 'hi-IN',
+    subtitle: 'सुरक्षित डेटा विनाश प्रमाणपत्र',
+    certificateId: 'प्रमाणपत्र आईडी',
+    issueDate: 'जारी करने की तिथि',
+    title: 'डेटा विनाश प्रमाणपत्र',
+    deviceInformation: 'डिवाइस की जानकारी',
+    deviceName: 'डिवाइस का नाम',
+    fileWipe: 'फ़ाइल वाइप',
+    model: 'मॉडल',
+    storage: 'स्टोरेज',
+    deviceHealth: 'डिवाइस की स्थिति',
+    filesWiped: (count, size) => `मिटाई गई फ़ाइलें: ${count} (${size}, पैटर्न लॉग के बाद सूचीबद्ध)`,
+    scanToVerify: 'सत्यापन हेतु स्कैन करें',
+    wipeDetails: 'वाइप प्रक्रिया का विवरण',
+    wipeMethod: 'वाइप विधि',
+    passes: (count) => `पास की संख्या: ${count} (ओवरराइट पैटर्न अगले पृष्ठ पर सूचीबद्ध)`,
+    status: 'स्थिति',
+    simulated: 'सिम्युलेटेड, डिवाइस पर कुछ नहीं लिखा गया',
+    completionDate: 'पूर्ण होने की तिथि',
+    readBackVerification: 'रीड-बैक सत्यापन',
+    verificationNotPerformed: 'नहीं किया गया',
+    verificationSummary: (count, failed) => `${count} पास वापस पढ़े गए, ` +
+      (failed === 0 ? 'सभी मेल खाते हैं' : `${failed} विफल`),
+    residueAnalysis: 'AI अवशेष विश्लेषण',
+    entropyScore: 'एन्ट्रॉपी स्कोर',
+    residueStatus: 'अवशेष स्थिति',
+    residuePolicy: (version) => `नीति संस्करण ${version}`,
+    recoverableFiles: 'पुनर्प्राप्त करने योग्य फ़ाइलें',
+    notScanned: 'स्कैन नहीं किया गया',
+    complianceStandards: 'अनुपालन मानक',
+    complianceItems: [
+      'NIST SP 800-88 मीडिया सैनिटाइज़ेशन दिशानिर्देश',
+      'DoD 5220.22-M डेटा विनाश मानक',
+      'ब्लॉकचेन द्वारा सत्यापित छेड़छाड़-रोधी दस्तावेज़ीकरण'
+    ],
+    complianceResidueScan: 'AI द्वारा सत्यापित पूर्ण डेटा विनाश',
+    verificationHash: 'सत्यापन हैश (SHA-256)',
+    verifyAt: 'यहाँ सत्यापित करें',
+    signedBy: (issuer, algorithm) => `${issuer} द्वारा डिजिटल रूप से हस्ताक्षरित (${algorithm})`,
+    keyFingerprint: 'कुंजी फ़िंगरप्रिंट',
+    signature: 'हस्ताक्षर',
+    tamperEvident: 'यह प्रमाणपत्र क्रिप्टोग्राफ़िक रूप से सुरक्षित है और इसमें कोई भी छेड़छाड़ पकड़ी जा सकती है',
+    authorisedSignatory: 'अधिकृत हस्ताक्षरकर्ता',
+    seal: ['प्रमाणित', 'सुरक्षित'],
+    patternLog: 'ओवरराइट पैटर्न लॉग',
+    passColumn: 'पास',
+    patternColumn: 'लिखा गया पैटर्न',
+    verificationColumn: 'रीड-बैक सत्यापन',
+    notVerified: 'सत्यापित नहीं',
+    passVerification: (status, percent, bytes) => `${status} (${percent}% नमूना, ${bytes} बाइट)`,
+    wipedItems: 'मिटाए गए आइटम',
+    itemRange: (first, last, total) => `आइटम ${first}-${last}, कुल ${total}`,
+    pathColumn: 'पथ',
+    sizeColumn: 'आकार',
+    statusColumn: 'स्थिति',
+    batchTitle: 'समेकित डेटा विनाश प्रमाणपत्र',
+    batchInformation: 'बैच की जानकारी',
+    batchName: 'बैच',
+    devicesCertified: (count) => `डिवाइस: ${count} (प्रत्येक इस सारांश के बाद अपने पृष्ठों पर प्रमाणित)`,
+    rootHash: 'रूट हैश (डिवाइस प्रमाणपत्र हैश का SHA-256 मर्कल ट्री)',
+    batchHash: 'बैच प्रमाणपत्र हैश',
+    batchDevices: 'डिवाइस',
+    deviceRange: (first, last, total) => `डिवाइस ${first}-${last}, कुल ${total}`,
+    deviceColumn: 'डिवाइस',
+    certificateColumn: 'प्रमाणपत्र आईडी',
+    hashColumn: 'प्रमाणपत्र हैश'
+  },
+  de: {
+    locale: 'de-DE',
+    subtitle: 'Zertifikat über sichere Datenvernichtung',
+    certificateId: 'Zertifikat-ID',
+    issueDate: 'Ausstellungsdatum',
+    title: 'BESCHEINIGUNG ÜBER DIE DATENVERNICHTUNG',
+    deviceInformation: 'GERÄTEINFORMATIONEN',
+    deviceName: 'Gerätename',
+    fileWipe: 'Dateilöschung',
+    model: 'Modell',
+    storage: 'Speicher',
+    deviceHealth: 'Gerätezustand',
+    filesWiped: (count, size) => `Gelöschte Dateien: ${count} (${size}, nach dem Musterprotokoll aufgeführt)`,
+    scanToVerify: 'Zum Prüfen scannen',
+    wipeDetails: 'DETAILS DES LÖSCHVORGANGS',
+    wipeMethod: 'Löschverfahren',
+    passes: (count) => `Anzahl der Durchgänge: ${count} (Überschreibmuster auf der nächsten Seite)`,
+    status: 'Status',
+    simulated: 'SIMULIERT, nichts auf das Gerät geschrieben',
+    completionDate: 'Abschlussdatum',
+    readBackVerification: 'Rücklese-Verifizierung',
+    verificationNotPerformed: 'Nicht durchgeführt',
+    verificationSummary: (count, failed) => `${count} ${count === 1 ? 'Durchgang' : 'Durchgänge'} zurückgelesen, ` +
+      (failed === 0 ? 'alle übereinstimmend' : `${failed} FEHLGESCHLAGEN`),
+    residueAnalysis: 'KI-RESTDATENANALYSE',
+    entropyScore: 'Entropiewert',
+    residueStatus: 'Restdatenstatus',
+    residuePolicy: (version) => `Richtlinienversion ${version}`,
+    recoverableFiles: 'Wiederherstellbare Dateien',
+    notScanned: 'Nicht gescannt',
+    complianceStandards: 'KONFORMITÄTSSTANDARDS',
+    complianceItems: [
+      'NIST SP 800-88 Richtlinien zur Datenträgerbereinigung',
+      'DoD 5220.22-M Standards zur Datenvernichtung',
+      'Blockchain-verifizierte, manipulationssichere Dokumentation'
+    ],
+    complianceResidueScan: 'KI-verifizierte vollständige Datenvernichtung',
+    verificationHash: 'PRÜF-HASH (SHA-256)',
+    verifyAt: 'Prüfen unter',
+    signedBy: (issuer, algorithm) => `Digital signiert von ${issuer} (${algorithm})`,
+    keyFingerprint: 'Schlüssel-Fingerabdruck',
+    signature: 'Signatur',
+    tamperEvident: 'Dieses Zertifikat ist kryptografisch gesichert; Manipulationen sind erkennbar',
+    authorisedSignatory: 'Zeichnungsberechtigte Person',
+    seal: ['ZERTIFIZIERT', 'SICHER'],
+    patternLog: 'PROTOKOLL DER ÜBERSCHREIBMUSTER',
+    passColumn: 'Durchgang',
+    patternColumn: 'Geschriebenes Muster',
+    verificationColumn: 'Rücklese-Verifizierung',
+    notVerified: 'Nicht verifiziert',
+    passVerification: (status, percent, bytes) => `${status} (${percent} % geprüft, ${bytes} Bytes)`,
+    wipedItems: 'GELÖSCHTE ELEMENTE',
+    itemRange: (first, last, total) => `Elemente ${first}-${last} von ${total}`,
+    pathColumn: 'Pfad',
+    sizeColumn: 'Größe',
+    statusColumn: 'Status',
+    batchTitle: 'SAMMELBESCHEINIGUNG ÜBER DIE DATENVERNICHTUNG',
+    batchInformation: 'STAPELINFORMATIONEN',
+    batchName: 'Stapel',
+    devicesCertified: (count) => `Geräte: ${count} (jedes auf eigenen Seiten nach dieser Übersicht bescheinigt)`,
+    rootHash: 'WURZEL-HASH (SHA-256-MERKLE-BAUM DER GERÄTEZERTIFIKAT-HASHES)',
+    batchHash: 'Hash der Sammelbescheinigung',
+    batchDevices: 'GERÄTE',
+    deviceRange: (first, last, total) => `Geräte ${first}-${last} von ${total}`,
+    deviceColumn: 'Gerät',
+    certificateColumn: 'Zertifikats-ID',
+    hashColumn: 'Zertifikats-Hash'
+  },
+  fr: {
+    locale: 'fr-FR',
+    subtitle: 'Certificat de destruction sécurisée des données',
+    certificateId: 'ID du certificat',
+    issueDate: "Date d'émission",
+    title: 'CERTIFICAT DE DESTRUCTION DES DONNÉES',
+    deviceInformation: "INFORMATIONS SUR L'APPAREIL",
+    deviceName: "Nom de l'appareil",
+    fileWipe: 'Effacement de fichiers',
+    model: 'Modèle',
+    storage: 'Stockage',
+    deviceHealth: "État de l'appareil",
+    filesWiped: (count, size) => `Fichiers effacés : ${count} (${size}, listés après le journal des motifs)`,
+    scanToVerify: 'Scanner pour vérifier',
+    wipeDetails: "DÉTAILS DE L'OPÉRATION D'EFFACEMENT",
+    wipeMethod: "Méthode d'effacement",
+    passes: (count) => `Nombre de passes : ${count} (motifs d'écrasement listés à la page suivante)`,
+    status: 'Statut',
+    simulated: "SIMULÉ, rien écrit sur l'appareil",
+    completionDate: "Date d'achèvement",
+    readBackVerification: 'Vérification par relecture',
+    verificationNotPerformed: 'Non effectuée',
+    verificationSummary: (count, failed) => `${count} ${count === 1 ? 'passe relue' : 'passes relues'}, ` +
+      (failed === 0 ? 'toutes conformes' : `${failed} EN ÉCHEC`),
+    residueAnalysis: 'ANALYSE IA DES DONNÉES RÉSIDUELLES',
+    entropyScore: "Score d'entropie",
+    residueStatus: 'Statut des résidus',
+    residuePolicy: (version) => `version de la politique ${version}`,
+    recoverableFiles: 'Fichiers récupérables',
+    notScanned: 'Non analysé',
+    complianceStandards: 'NORMES DE CONFORMITÉ',
+    complianceItems: [
+      'NIST SP 800-88 : directives de nettoyage des supports',
+      'DoD 5220.22-M : normes de destruction des données',
+      'Documentation infalsifiable vérifiée par blockchain'
+    ],
+    complianceResidueScan: 'Destruction complète des données vérifiée par IA',
+    verificationHash: 'EMPREINTE DE VÉRIFICATION (SHA-256)',
+    verifyAt: 'Vérifier sur',
+    signedBy: (issuer, algorithm) => `Signé numériquement par ${issuer} (${algorithm})`,
+    keyFingerprint: 'Empreinte de la clé',
+    signature: 'Signature',
+    tamperEvident: 'Ce certificat est sécurisé par cryptographie et toute falsification est détectable',
+    authorisedSignatory: 'Signataire autorisé',
+    seal: ['CERTIFIÉ', 'SÉCURISÉ'],
+    patternLog: "JOURNAL DES MOTIFS D'ÉCRASEMENT",
+    passColumn: 'Passe',
+    patternColumn: 'Motif écrit',
+    verificationColumn: 'Vérification par relecture',
+    notVerified: 'Non vérifiée',
+    passVerification: (status, percent, bytes) => `${status} (${percent} % échantillonné, ${bytes} octets)`,
+    wipedItems: 'ÉLÉMENTS EFFACÉS',
+    itemRange: (first, last, total) => `éléments ${first} à ${last} sur ${total}`,
+    pathColumn: 'Chemin',
+    sizeColumn: 'Taille',
+    statusColumn: 'Statut',
+    batchTitle: 'CERTIFICAT CONSOLIDÉ DE DESTRUCTION DES DONNÉES',
+    batchInformation: 'INFORMATIONS SUR LE LOT',
+    batchName: 'Lot',
+    devicesCertified: (count) => `Appareils : ${count} (chacun certifié sur ses propres pages après ce récapitulatif)`,
+    rootHash: 'HACHAGE RACINE (ARBRE DE MERKLE SHA-256 DES HACHAGES DES CERTIFICATS)',
+    batchHash: 'Hachage du certificat de lot',
+    batchDevices: 'APPAREILS',
+    deviceRange: (first, last, total) => `appareils ${first} à ${last} sur ${total}`,
+    deviceColumn: 'Appareil',
+    certificateColumn: 'ID du certificat',
+    hashColumn: 'Hachage du certificat'
+  }
+};
+
+// PDF/A forbids fonts that are not embedded, so certificates carry their own
+// Latin face instead of PDFKit's built-in Helvetica. Neither face covers the
+// other's script, so mixed text is written run by run in the matching font.
+const LATIN_FONT_PATH = require.resolve('@fontsource/noto-sans/files/noto-sans-latin-400-normal.woff');
+const DEVANAGARI_FONT_PATH = require.resolve(
+  '@fontsource/noto-sans-devanagari/files/noto-sans-devanagari-devanagari-400-normal.woff'
+);
+// Noto Sans Latin's ascender is 1069 of the 1362 units from its ascender to its descender
+const LATIN_ASCENT_SHARE = 1069 / 1362;
+const DEVANAGARI_RUN = /([\u0900-\u097F\u1CD0-\u1CFF\uA8E0-\uA8FF\u200C\u200D]+(?:\s+[\u0900-\u097F\u1CD0-\u1CFF\uA8E0-\uA8FF\u200C\u200D]+)*)/;
+
+function writeCertificateText(doc, text, x, y, options = {}) {
+  text = String(text);
+  if (!DEVANAGARI_RUN.test(text)) {
+    return doc.font('Latin').text(text, x, y, options);
+  }
+
+  // The fonts' ascenders differ, so pin every run to the baseline a Latin line at y would have
+  const runOptions = { ...options, baseline: 'alphabetic' };
+  const baselineY = y + doc.font('Latin').currentLineHeight() * LATIN_ASCENT_SHARE;
+  const runs = text.split(DEVANAGARI_RUN).filter(Boolean);
+  runs.forEach((run, index) => {
+    const continued = index < runs.length - 1;
+    doc.font(DEVANAGARI_RUN.test(run) ? 'Devanagari' : 'Latin');
+    if (index === 0) {
+      doc.text(run, x, baselineY, { ...runOptions, continued });
+    } else {
+      doc.text(run, { continued });
+    }
+  });
+  return doc.font('Latin');
+}
+
+// Shrinks the font size until a single line of text fits the width, down to minSize
+function fitCertificateFontSize(doc, text, width, maxSize, minSize) {
+  doc.font(DEVANAGARI_RUN.test(text) ? 'Devanagari' : 'Latin');
+  let size = maxSize;
+  doc.fontSize(size);
+  while (size > minSize && doc.widthOfString(String(text)) > width) {
+    doc.fontSize(--size);
+  }
+  doc.font('Latin');
+  return size;
+}
+
+// Draws a tick mark in a 9pt line of text at (x, y); the embedded fonts have no check glyph
+function drawCertificateTick(doc, x, y) {
+  doc.save()
+    .lineWidth(1.2)
+    .moveTo(x, y + 6).lineTo(x + 3, y + 9).lineTo(x + 8, y + 2)
+    .stroke()
+    .restore();
+}
+
+// Custom XMP properties identifying the certificate. PDF/A only accepts
+// properties outside the standard schemas when the file also describes them
+// in an extension schema, which certificateXMP() writes alongside the values.
+const CERTIFICATE_XMP_NAMESPACE = 'urn:wipesure:certificate:v1#';
+const CERTIFICATE_XMP_PROPERTIES = [
+  { name: 'CertificateID', key: 'certificateId', description: 'Identifier of the data destruction certificate' },
+  { name: 'JobID', key: 'jobId', description: 'Wipe job the certificate attests to' },
+  { name: 'CertificateHash', key: 'hash', description: 'SHA-256 of the canonical certificate payload' },
+  { name: 'WipeMethod', key: 'method', description: 'Overwrite method the job used' },
+  { name: 'BatchID', key: 'batchId', description: 'Multi-device wipe batch a consolidated certificate covers' },
+  { name: 'RootHash', key: 'rootHash', description: 'Merkle root over the device certificate hashes of a batch' }
+];
+
+function certificateXMP(values) {
+  const schemaProperties = CERTIFICATE_XMP_PROPERTIES.map((property) => `
+                        <rdf:li rdf:parseType="Resource">
+                            <pdfaProperty:name>${property.name}</pdfaProperty:name>
+                            <pdfaProperty:valueType>Text</pdfaProperty:valueType>
+                            <pdfaProperty:category>external</pdfaProperty:category>
+                            <pdfaProperty:description>${property.description}</pdfaProperty:description>
+                        </rdf:li>`).join('');
+  const propertyValues = CERTIFICATE_XMP_PROPERTIES
+    .filter((property) => values[property.key] != null)
+    .map((property) => `
+            <wipesure:${property.name}>${escapeXML(values[property.key])}</wipesure:${property.name}>`)
+    .join('');
+
+  return `
+        <rdf:Description rdf:about=""
+            xmlns:pdfaExtension="http://www.aiim.org/pdfa/ns/extension/"
+            xmlns:pdfaSchema="http://www.aiim.org/pdfa/ns/schema#"
+            xmlns:pdfaProperty="http://www.aiim.org/pdfa/ns/property#">
+            <pdfaExtension:schemas>
+                <rdf:Bag>
+                    <rdf:li rdf:parseType="Resource">
+                        <pdfaSchema:schema>WipeSure data destruction certificate</pdfaSchema:schema>
+                        <pdfaSchema:namespaceURI>${CERTIFICATE_XMP_NAMESPACE}</pdfaSchema:namespaceURI>
+                        <pdfaSchema:prefix>wipesure</pdfaSchema:prefix>
+                        <pdfaSchema:property>
+                            <rdf:Seq>${schemaProperties}
+                            </rdf:Seq>
+                        </pdfaSchema:property>
+                    </rdf:li>
+                </rdf:Bag>
+            </pdfaExtension:schemas>
+        </rdf:Description>
+        <rdf:Description rdf:about="" xmlns:wipesure="${CERTIFICATE_XMP_NAMESPACE}">${propertyValues}
+        </rdf:Description>
+        `;
+}
+
+// Opens a PDF/A-3b certificate: embedded fonts, XMP metadata naming the
+// certificate, and its machine-readable JSON document attached as an
+// alternative representation, so the file stays self-describing in an archive
+function createCertificatePDF({ title, language, metadata, attachment }) {
+  const doc = new PDFDocument({
+    margin: 50,
+    pdfVersion: '1.7',
+    subset: 'PDF/A-3b',
+    font: LATIN_FONT_PATH,
+    lang: language,
+    // PDFKit writes Creator into the XMP producer, and PDF/A needs it to match the Info dictionary
+    info: { Title: title, Creator: 'WipeSure', Producer: 'WipeSure' }
+  });
+  doc.registerFont('Latin', LATIN_FONT_PATH);
+  doc.registerFont('Devanagari', DEVANAGARI_FONT_PATH);
+  doc.appendXML(certificateXMP(metadata));
+
+  const attachedAt = new Date();
+  doc.file(Buffer.from(JSON.stringify(attachment.document, null, 2)), {
+    name: attachment.name,
+    type: 'application/json',
+    description: attachment.description,
+    relationship: 'Alternative',
+    creationDate: attachedAt,
+    modifiedDate: attachedAt
+  });
+  return doc;
+}
+
+// Builds, hashes and signs a job's certificate and renders its QR code; nothing is stored yet
+async function prepareCertificate(job, template, baseUrl) {
+  const certId = uuidv4();
+  const verifyUrl = `${baseUrl}/verify.html?id=${certId}`;
+
+  // Create certificate data for hashing
+  const payload = buildCertificatePayload(job, template, certId);
+
   // Generate tamper-proof hash
-  const hash = crypto.createHash('sha256')
-    .update(JSON.stringify(certData))
-    .digest('hex');
-  
-  const stream = fs.createWriteStream(filePath);
-  doc.pipe(stream);
-  
+  const hash = hashCertificatePayload(payload);
+
+  const [signature, qrImage] = await Promise.all([
+    signCertificatePayload(payload),
+    QRCode.toBuffer(verifyUrl, { margin: 1, width: 240, errorCorrectionLevel: 'M' })
+  ]);
+  return { certId, payload, hash, signature, verifyUrl, qrImage };
+}
+
+// A prepared certificate in the shape of its certificates row
+function toCertificateRow(certificate) {
+  return {
+    id: certificate.certId,
+    payload: canonicalJSON(certificate.payload),
+    hash: certificate.hash,
+    signature: certificate.signature.value,
+    signature_algorithm: certificate.signature.algorithm,
+    key_fingerprint: certificate.signature.keyFingerprint
+  };
+}
+
+// Stores an issued certificate, including the exact payload that was hashed and
+// signed, and anchors it in the ledger. Resolves with the ledger entry.
+async function recordCertificate(certificate, job, template, pdfPath) {
+  const row = await insertCertificateRow(certificate, job, template, pdfPath);
+  return createBlockchainLog(row.id, 'certificate', row.hash);
+}
+
+// The certificates row alone; batch issuance adds the ledger entries inside its
+// transaction, passing its tx as query
+async function insertCertificateRow(certificate, job, template, pdfPath, query = { run: dbRun }) {
+  const row = toCertificateRow(certificate);
+  await query.run(
+    `INSERT INTO certificates
+       (id, job_id, device_id, hash, pdf_path, payload, signature, signature_algorithm, key_fingerprint, template_id, language)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      row.id, job.id, job.device_id, row.hash, pdfPath, row.payload, row.signature, row.signature_algorithm,
+      row.key_fingerprint, template.id, template.language
+    ]
+  );
+  return row;
+}
+
+function generatePDFCertificate(job, template, baseUrl, callback) {
+  prepareCertificate(job, template, baseUrl).then((certificate) => Promise.all([
+    certificate,
+    // The signed document as issued; its ledger entry and any revocation come later, from verifyUrl
+    buildCertificateDocument(toCertificateRow(certificate), baseUrl)
+  ])).then(([certificate, document]) => {
+    const { certId, hash, payload, signature, verifyUrl } = certificate;
+    const strings = CERTIFICATE_STRINGS[template.language] || CERTIFICATE_STRINGS.en;
+    const fileName = `certificate-${certId}.pdf`;
+    const filePath = path.join('certificates', fileName);
+
+    const doc = createCertificatePDF({
+      title: `${strings.title} ${certId}`,
+      language: template.language,
+      metadata: { certificateId: certId, jobId: job.id, hash, method: job.method },
+      attachment: {
+        name: `certificate-${certId}.json`,
+        description: 'Signed machine-readable certificate (schema urn:wipesure:certificate:v1)',
+        document
+      }
+    });
+    const stream = fs.createWriteStream(filePath);
+    doc.pipe(stream);
+
+    drawCertificatePage(doc, job, template, certificate);
+    drawCertificateDetailPages(doc, template, certificate);
+    doc.end();
+
+    stream.on('finish', () => {
+      console.log(`Certificate generated: ${fileName} with hash: ${hash}`);
+      callback(null, { filePath, hash, certId, payload, signature, verifyUrl });
+    });
+    stream.on('error', (err) => callback(err));
+  }).catch((err) => callback(err));
+}
+
+// Page border and the branded header band shared by every certificate's first page
+function drawCertificateHeader(doc, template, strings) {
+  const write = (text, x, y, options) => writeCertificateText(doc, text, x, y, options);
+
   // Professional Header with border
   doc.rect(50, 50, 495, 700).stroke('#000000');
   doc.rect(55, 55, 485, 40).fillAndStroke('#000000', '#000000');
-  
-  // Company Logo and Title
-  doc.fontSize(24).fillColor('#FFFFFF').text('WipeSure Enterprise', 60, 65);
-  doc.fontSize(14).fillColor('#FFFFFF').text('Secure Data Destruction Certificate', 60, 85);
-  
+
+  // Company logo, name and address
+  let titleX = 60;
+  if (template.logo_path && fs.existsSync(template.logo_path)) {
+    doc.image(template.logo_path, 60, 58, { fit: [80, 34], valign: 'center' });
+    titleX = 150;
+  } else if (template.logo_path) {
+    console.warn(`Logo ${template.logo_path} for certificate template ${template.id} is missing; issuing without it`);
+  }
+  const titleWidth = (template.address ? 380 : 535) - titleX;
+  doc.fillColor('#FFFFFF');
+  fitCertificateFontSize(doc, template.company_name, titleWidth, 24, 12);
+  write(template.company_name, titleX, 65, { width: titleWidth, height: 22, ellipsis: true });
+  fitCertificateFontSize(doc, strings.subtitle, titleWidth, 14, 8);
+  write(strings.subtitle, titleX, 85, { width: titleWidth, lineBreak: false });
+  if (template.address) {
+    doc.fontSize(7);
+    write(template.address, 385, 60, { width: 150, height: 32, align: 'right', ellipsis: true });
+  }
+  doc.fillColor('#000000');
+}
+
+// The certificate's main page: device, wipe, residue scan, hash and signature
+function drawCertificatePage(doc, job, template, certificate) {
+  const { certId, payload: certData, hash, signature, verifyUrl, qrImage } = certificate;
+  const strings = CERTIFICATE_STRINGS[template.language] || CERTIFICATE_STRINGS.en;
+  const write = (text, x, y, options) => writeCertificateText(doc, text, x, y, options);
+
+  drawCertificateHeader(doc, template, strings);
+
   // Certificate ID and Date
-  doc.fontSize(10).fillColor('#000000')
-    .text(`Certificate ID: ${certId}`, 60, 115)
-    .text(`Issue Date: ${new Date().toLocaleDateString()}`, 350, 115);
-  
+  doc.fontSize(10).fillColor('#000000');
+  write(`${strings.certificateId}: ${certId}`, 60, 115);
+  write(`${strings.issueDate}: ${new Date().toLocaleDateString(strings.locale)}`, 350, 115);
+
   // Main Title
-  doc.fontSize(18).fillColor('#000000')
-    .text('CERTIFICATE OF DATA DESTRUCTION', 60, 140, { align: 'center', width: 485 });
-  
+  doc.fontSize(18);
+  write(strings.title, 60, 140, { align: 'center', width: 485 });
+
   // Device Information Section
-  doc.fontSize(12).fillColor('#000000').text('DEVICE INFORMATION', 60, 180);
+  doc.fontSize(12);
+  write(strings.deviceInformation, 60, 180);
   doc.moveTo(60, 195).lineTo(545, 195).stroke();
-  
-  doc.fontSize(10)
-    .text(`Device Name: ${job.device_name || 'File Wipe'}`, 60, 205)
-    .text(`Model: ${job.model || 'N/A'}`, 60, 220)
-    .text(`Storage: ${job.storage || 'N/A'}`, 60, 235)
-    .text(`Device Health: ${job.health || 'N/A'}%`, 60, 250);
-  
+
+  doc.fontSize(10);
+  write(`${strings.deviceName}: ${job.device_name || strings.fileWipe}`, 60, 205);
+  write(`${strings.model}: ${job.model || 'N/A'}`, 60, 220);
+  write(`${strings.storage}: ${job.storage || 'N/A'}`, 60, 235);
+  write(`${strings.deviceHealth}: ${job.health || 'N/A'}%`, 60, 250);
+  if (certData.items.length > 0) {
+    const totalBytes = certData.items.reduce((total, item) => total + (item.sizeBytes || 0), 0);
+    write(strings.filesWiped(certData.items.length, formatBytes(totalBytes)), 60, 265);
+  }
+
+  // Verification QR code linking to the public check
+  doc.image(qrImage, 465, 200, { width: 70, height: 70 });
+  doc.fontSize(7);
+  write(strings.scanToVerify, 465, 272, { width: 70, align: 'center' });
+
   // Wipe Details Section
-  doc.fontSize(12).fillColor('#000000').text('WIPE OPERATION DETAILS', 60, 280);
+  doc.fontSize(12);
+  write(strings.wipeDetails, 60, 280);
   doc.moveTo(60, 295).lineTo(545, 295).stroke();
-  
-  doc.fontSize(10)
-    .text(`Wipe Method: ${job.method}`, 60, 305)
-    .text(`Number of Passes: ${job.passes}`, 60, 320)
-    .text(`Status: ${job.status.toUpperCase()}`, 60, 335)
-    .text(`Completion Date: ${new Date().toISOString().split('T')[0]}`, 60, 350);
-  
+
+  const methodLabel = WIPE_METHODS[job.method] ? WIPE_METHODS[job.method].label : job.method;
+  doc.fontSize(10);
+  write(`${strings.wipeMethod}: ${methodLabel}`, 60, 305);
+  write(strings.passes(job.passes), 60, 320);
+  write(`${strings.status}: ${job.status.toUpperCase()}${certData.simulated ? ` (${strings.simulated})` : ''}`, 60, 335);
+  write(`${strings.completionDate}: ${new Date().toISOString().split('T')[0]}`, 60, 350);
+  write(`${strings.readBackVerification}: ${describeVerificationSummary(certData.verification, strings)}`, 60, 365);
+
   // AI Analysis Section
-  doc.fontSize(12).fillColor('#000000').text('AI RESIDUE ANALYSIS', 60, 380);
+  doc.fontSize(12);
+  write(strings.residueAnalysis, 60, 380);
   doc.moveTo(60, 395).lineTo(545, 395).stroke();
-  
-  doc.fontSize(10)
-    .text(`Entropy Score: ${job.entropy_score || 99.8}%`, 60, 405)
-    .text(`Residue Status: ${job.residue_status || 'CLEAN'}`, 60, 420)
-    .text(`Recoverable Files: 0`, 60, 435);
-  
+
+  doc.fontSize(10);
+  const scanned = certData.entropyScore !== null;
+  write(`${strings.entropyScore}: ${scanned ? `${certData.entropyScore}%` : strings.notScanned}`, 60, 405);
+  const residuePolicy = certData.residuePolicyVersion !== null && certData.residuePolicyVersion !== undefined
+    ? ` (${strings.residuePolicy(certData.residuePolicyVersion)})`
+    : '';
+  write(`${strings.residueStatus}: ${scanned ? `${certData.residueLabel || certData.residueStatus}${residuePolicy}` : strings.notScanned}`,
+    60, 420);
+  // Scans recorded before file carving have no count
+  const filesCounted = scanned && certData.recoverableFiles !== null;
+  write(`${strings.recoverableFiles}: ${filesCounted ? certData.recoverableFiles : strings.notScanned}`, 60, 435);
+
   // Compliance Section
-  doc.fontSize(12).fillColor('#000000').text('COMPLIANCE STANDARDS', 60, 465);
+  doc.fontSize(12);
+  write(strings.complianceStandards, 60, 465);
   doc.moveTo(60, 480).lineTo(545, 480).stroke();
-  
-  doc.fontSize(9)
-    .text('✓ NIST SP 800-88 Media Sanitization Guidelines', 60, 490)
-    .text('✓ DoD 5220.22-M Data Destruction Standards', 60, 505)
-    .text('✓ AI-verified complete data destruction', 60, 520)
-    .text('✓ Blockchain-verified tamper-proof documentation', 60, 535);
-  
+
+  // Residue-scan claim only when a scan was actually recorded
+  const complianceItems = scanned
+    ? [...strings.complianceItems.slice(0, 2), strings.complianceResidueScan, ...strings.complianceItems.slice(2)]
+    : strings.complianceItems;
+  doc.fontSize(9);
+  complianceItems.forEach((item, index) => {
+    drawCertificateTick(doc, 60, 490 + index * 15);
+    write(item, 72, 490 + index * 15);
+  });
+
   // Verification Hash
-  doc.fontSize(12).fillColor('#000000').text('VERIFICATION HASH (SHA-256)', 60, 565);
+  doc.fontSize(12);
+  write(strings.verificationHash, 60, 565);
   doc.moveTo(60, 580).lineTo(545, 580).stroke();
   doc.fontSize(8).text(hash, 60, 590, { width: 485, lineGap: 1 });
-  
+  doc.fontSize(7);
+  write(`${strings.verifyAt}: ${verifyUrl}`, 60, 603, { width: 485 });
+
   // Digital Signature
-  doc.fontSize(10)
-    .text('Digitally Signed by WipeSure Enterprise System', 60, 620)
-    .text('This certificate is cryptographically secured and tamper-evident', 60, 635);
-  
+  doc.fontSize(10);
+  write(strings.signedBy(template.company_name, signature.algorithm), 60, 618, { width: 350 });
+  doc.fontSize(7);
+  write(`${strings.keyFingerprint}: ${signature.keyFingerprint}`, 60, 632, { width: 350 });
+  write(`${strings.signature}: ${signature.value}`, 60, 642, { width: 350 });
+  doc.fontSize(10);
+  write(strings.tamperEvident, 60, 665, { width: 350 });
+
+  // Signatory named by the template
+  if (template.signatory_name) {
+    const signatory = [template.signatory_name, template.signatory_title].filter(Boolean).join(', ');
+    doc.fontSize(9);
+    write(`${strings.authorisedSignatory}: ${signatory}`, 60, 685, { width: 350 });
+  }
+
   // Footer
-  doc.fontSize(14).fillColor('#000000')
-    .text('WipeSure — Proof, Not Promises', 60, 690, { align: 'center', width: 485 });
-  
+  if (template.footer_text) {
+    doc.fontSize(14);
+    write(template.footer_text, 60, 708, { align: 'center', width: 485, height: 36, ellipsis: true });
+  }
+
   // Professional stamp/seal simulation
   doc.circle(450, 650, 30).stroke('#000000');
-  doc.fontSize(8).text('CERTIFIED', 430, 645)
-    .text('SECURE', 430, 655);
-  
-  doc.end();
-  
-  stream.on('finish', () => {
-    console.log(`Certificate generated: ${fileName} with hash: ${hash}`);
-    callback(filePath, hash, certId);
+  doc.fontSize(8);
+  write(strings.seal[0], 420, 645, { width: 60, align: 'center' });
+  write(strings.seal[1], 420, 655, { width: 60, align: 'center' });
+}
+
+// The pages after a certificate's main page: the exact overwrite pattern written
+// by every pass, then every file the job destroyed
+function drawCertificateDetailPages(doc, template, certificate) {
+  const { certId, payload: certData } = certificate;
+  const strings = CERTIFICATE_STRINGS[template.language] || CERTIFICATE_STRINGS.en;
+  const write = (text, x, y, options) => writeCertificateText(doc, text, x, y, options);
+
+  doc.addPage();
+  doc.rect(50, 50, 495, 700).stroke('#000000');
+  doc.fontSize(12).fillColor('#000000');
+  write(strings.patternLog, 60, 65);
+  doc.fontSize(8);
+  write(`${strings.certificateId}: ${certId}`, 60, 80);
+  doc.moveTo(60, 95).lineTo(545, 95).stroke();
+
+  const verificationByPass = new Map(certData.verification.map((verification) => [verification.pass, verification]));
+  doc.fontSize(9);
+  write(strings.passColumn, 60, 105);
+  write(strings.patternColumn, 120, 105);
+  write(strings.verificationColumn, 320, 105);
+  certData.patterns.forEach((pass, index) => {
+    const y = 122 + index * 17;
+    const verification = verificationByPass.get(pass.pass);
+    const verificationText = verification
+      ? strings.passVerification(verification.status.toUpperCase(), verification.samplePercent, verification.bytesChecked)
+      : strings.notVerified;
+    doc.text(`${pass.pass}`, 60, y).text(pass.pattern, 120, y);
+    write(verificationText, 320, y);
+  });
+
+  const ITEM_ROWS_PER_PAGE = 38;
+  for (let start = 0; start < certData.items.length; start += ITEM_ROWS_PER_PAGE) {
+    doc.addPage();
+    doc.rect(50, 50, 495, 700).stroke('#000000');
+    doc.fontSize(12).fillColor('#000000');
+    write(strings.wipedItems, 60, 65);
+    doc.fontSize(8);
+    write(`${strings.certificateId}: ${certId} — ${strings.itemRange(start + 1,
+      Math.min(start + ITEM_ROWS_PER_PAGE, certData.items.length), certData.items.length)}`, 60, 80);
+    doc.moveTo(60, 95).lineTo(545, 95).stroke();
+
+    doc.fontSize(9).text('#', 60, 105);
+    write(strings.pathColumn, 90, 105);
+    write(strings.sizeColumn, 400, 105);
+    write(strings.statusColumn, 475, 105);
+    certData.items.slice(start, start + ITEM_ROWS_PER_PAGE).forEach((item, index) => {
+      const y = 122 + index * 16;
+      doc.text(`${start + index + 1}`, 60, y);
+      write(item.path, 90, y, { width: 300, height: 12, ellipsis: true });
+      doc.text(formatBytes(item.sizeBytes || 0), 400, y)
+        .text(item.status.toUpperCase(), 475, y);
+    });
+  }
+}
+
+// Writes a batch's consolidated certificate: summary pages with the root hash
+// and every device, then each device's own certificate pages. Resolves with the file path.
+function generateBatchCertificatePDF({ batch, jobs, certificates, batchCertificate, template, document }) {
+  const { certId, payload, hash, signature, verifyUrl, qrImage } = batchCertificate;
+  const strings = CERTIFICATE_STRINGS[template.language] || CERTIFICATE_STRINGS.en;
+  const fileName = `batch-certificate-${certId}.pdf`;
+  const filePath = path.join('certificates', fileName);
+
+  const doc = createCertificatePDF({
+    title: `${strings.batchTitle} ${certId}`,
+    language: template.language,
+    metadata: { certificateId: certId, batchId: batch.id, hash, method: batch.method, rootHash: payload.rootHash },
+    attachment: {
+      name: `batch-certificate-${certId}.json`,
+      description: 'Signed consolidated certificate with the certificate of every device it covers',
+      document
+    }
   });
+  const write = (text, x, y, options) => writeCertificateText(doc, text, x, y, options);
+
+  return new Promise((resolve, reject) => {
+    const stream = fs.createWriteStream(filePath);
+    stream.on('finish', () => resolve(filePath));
+    stream.on('error', reject);
+    doc.pipe(stream);
+
+    drawCertificateHeader(doc, template, strings);
+
+    // Certificate ID and Date
+    doc.fontSize(10);
+    write(`${strings.certificateId}: ${certId}`, 60, 115);
+    write(`${strings.issueDate}: ${new Date().toLocaleDateString(strings.locale)}`, 350, 115);
+
+    // Main Title
+    fitCertificateFontSize(doc, strings.batchTitle, 485, 18, 12);
+    write(strings.batchTitle, 60, 140, { align: 'center', width: 485 });
+
+    // Batch Information Section
+    doc.fontSize(12);
+    write(strings.batchInformation, 60, 180);
+    doc.moveTo(60, 195).lineTo(545, 195).stroke();
+
+    const methodLabel = WIPE_METHODS[batch.method] ? WIPE_METHODS[batch.method].label : batch.method;
+    doc.fontSize(10);
+    write(`${strings.batchName}: ${batch.name || batch.id}`, 60, 205, { width: 390, height: 14, ellipsis: true });
+    write(strings.devicesCertified(jobs.length), 60, 220, { width: 390 });
+    write(`${strings.wipeMethod}: ${methodLabel}`, 60, 235);
+    if (template.signatory_name) {
+      const signatory = [template.signatory_name, template.signatory_title].filter(Boolean).join(', ');
+      write(`${strings.authorisedSignatory}: ${signatory}`, 60, 250, { width: 390 });
+    }
+
+    // Verification QR code linking to the public batch check
+    doc.image(qrImage, 465, 200, { width: 70, height: 70 });
+    doc.fontSize(7);
+    write(strings.scanToVerify, 465, 272, { width: 70, align: 'center' });
+
+    // Root hash, batch hash and signature
+    doc.fontSize(11);
+    write(strings.rootHash, 60, 285, { width: 485 });
+    doc.moveTo(60, 300).lineTo(545, 300).stroke();
+    doc.fontSize(8).text(payload.rootHash, 60, 308, { width: 485 });
+    doc.fontSize(7);
+    write(`${strings.batchHash}: ${hash}`, 60, 322, { width: 485 });
+    write(`${strings.verifyAt}: ${verifyUrl}`, 60, 332, { width: 485 });
+    doc.fontSize(9);
+    write(strings.signedBy(template.company_name, signature.algorithm), 60, 345, { width: 485 });
+    doc.fontSize(7);
+    write(`${strings.keyFingerprint}: ${signature.keyFingerprint}`, 60, 358, { width: 485 });
+    write(`${strings.signature}: ${signature.value}`, 60, 368, { width: 485 });
+
+    // Device summary table, continued on further pages as needed
+    const drawDeviceTableHeader = (y) => {
+      doc.fontSize(8);
+      doc.text('#', 60, y);
+      write(strings.deviceColumn, 80, y);
+      write(strings.certificateColumn, 215, y);
+      write(strings.statusColumn, 375, y);
+      write(strings.hashColumn, 440, y);
+    };
+    const drawDeviceRow = (index, y) => {
+      const job = jobs[index];
+      const certificate = certificates[index];
+      doc.fontSize(8).text(`${index + 1}`, 60, y);
+      write(job.device_name || job.device_id || strings.fileWipe, 80, y, { width: 130, height: 11, ellipsis: true });
+      doc.fontSize(7).text(certificate.certId, 215, y + 1, { lineBreak: false });
+      doc.text(job.status.toUpperCase(), 375, y + 1, { lineBreak: false })
+        .text(`${certificate.hash.slice(0, 20)}…`, 440, y + 1, { lineBreak: false });
+    };
+
+    const FIRST_PAGE_ROWS = 20;
+    const DEVICE_ROWS_PER_PAGE = 40;
+    doc.fontSize(12);
+    write(strings.batchDevices, 60, 388);
+    doc.moveTo(60, 403).lineTo(545, 403).stroke();
+    drawDeviceTableHeader(410);
+    for (let index = 0; index < Math.min(FIRST_PAGE_ROWS, jobs.length); index++) {
+      drawDeviceRow(index, 426 + index * 15);
+    }
+    for (let start = FIRST_PAGE_ROWS; start < jobs.length; start += DEVICE_ROWS_PER_PAGE) {
+      const end = Math.min(start + DEVICE_ROWS_PER_PAGE, jobs.length);
+      doc.addPage();
+      doc.rect(50, 50, 495, 700).stroke('#000000');
+      doc.fontSize(12).fillColor('#000000');
+      write(strings.batchDevices, 60, 65);
+      doc.fontSize(8);
+      write(`${strings.certificateId}: ${certId} — ${strings.deviceRange(start + 1, end, jobs.length)}`, 60, 80);
+      doc.moveTo(60, 95).lineTo(545, 95).stroke();
+      drawDeviceTableHeader(105);
+      for (let index = start; index < end; index++) {
+        drawDeviceRow(index, 122 + (index - start) * 15);
+      }
+    }
+
+    // Each device's own certificate
+    jobs.forEach((job, index) => {
+      doc.addPage();
+      drawCertificatePage(doc, job, template, certificates[index]);
+      drawCertificateDetailPages(doc, template, certificates[index]);
+    });
+
+    doc.end();
+  });
+}
+
+// Boot-time maintenance, run once the database schema is ready
+function onDatabaseReady() {
+  enqueueLedgerTask(sealLegacyLedgerEntries);
+  getActiveSigningKey().catch((error) => console.error('Failed to load certificate signing key:', error));
+
+  // Queued work publishes events by organisation, so every row needs one first
+  migrateAccountsToOrganisations()
+    .catch((error) => console.error('Failed to move accounts into organisations:', error))
+    .finally(() => {
+      requeueInterruptedResidueScans()
+        .catch((error) => console.error('Failed to requeue interrupted residue scans:', error))
+        .finally(scheduleResidueScanQueue);
+
+      recoverOrphanedWipeJobs()
+        .catch((error) => console.error('Failed to recover interrupted wipe jobs:', error))
+        .finally(() => {
+          scheduleWipeQueue();
+          // Picks up retries whose backoff has elapsed
+          setInterval(scheduleWipeQueue, WIPE_QUEUE_POLL_MS);
+        });
+    });
 }
 
 // Serve frontend
@@ -910,9 +6830,33 @@ app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'frontend', 'index.html'));
 });
 
-const port = 5000;
-app.listen(port, '0.0.0.0', () => {
-  console.log(`Server running at http://localhost:${port}`);
-}).on('error', (err) => {
-  console.error("Failed to start server:", err);
-});
+// Loaded with require() (as the tests do) the server neither listens nor runs its queues
+if (require.main === module) {
+  const port = 5000;
+  app.listen(port, '0.0.0.0', () => {
+    console.log(`Server running at http://localhost:${port}`);
+    if (!getPublicBaseUrl()) {
+      console.warn(`${PUBLIC_BASE_URL_MISSING}, e.g. PUBLIC_BASE_URL=https://wipesure.example.com`);
+    }
+    if (SIGNING_KEY_ADMINS.length === 0) {
+      console.warn('SIGNING_KEY_ADMINS is not set; only admins of the installing organisation can rotate the signing key');
+    }
+  }).on('error', (err) => {
+    console.error("Failed to start server:", err);
+  });
+}
+
+module.exports = {
+  app,
+  dbGet,
+  dbRun,
+  dbTransaction,
+  signCertificatePayload,
+  verifyCertificateSignature,
+  DEFAULT_ISSUANCE_POLICY,
+  evaluateIssuancePolicy,
+  DEFAULT_RESIDUE_POLICY,
+  createResidueAnalysis,
+  analyzeResidueFile,
+  summarizeResidueAnalysis
+};
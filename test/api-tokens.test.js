@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, createClient, signUp } = require('./helpers/server');
+
+let server;
+let owner;
+let bearer;
+
+test.before(async () => {
+  server = await startServer();
+  owner = await signUp(server, 'owner@example.com');
+  bearer = createClient(server.baseUrl);
+});
+
+test.after(() => server.close());
+
+async function createToken(scopes, fields = {}) {
+  const response = await owner.client.post('/api/tokens', { name: 'Desktop', scopes, ...fields });
+  assert.strictEqual(response.status, 201, JSON.stringify(response.body));
+  return response.body;
+}
+
+const withToken = (token) => ({ headers: { authorization: `Bearer ${token}` } });
+
+test('a token reaches the routes it is scoped for and no others', async () => {
+  const { token, scopes } = await createToken(['devices:read']);
+  assert.deepStrictEqual(scopes, ['devices:read']);
+
+  assert.strictEqual((await bearer.get('/api/devices', withToken(token))).status, 200);
+  const refused = await bearer.post('/api/device/detect', { deviceInfo: { name: 'X' } }, withToken(token));
+  assert.strictEqual(refused.status, 403);
+  assert.match(refused.body.error, /not scoped for the devices:manage permission/);
+});
+
+test('a token cannot be granted more than its owner\'s role allows', async () => {
+  const viewer = await signUp(server, 'viewer@example.com');
+  await server.dbRun("UPDATE users SET role = 'viewer' WHERE id = ?", [viewer.user.id]);
+  const response = await viewer.client.post('/api/tokens', { name: 'Script', scopes: ['devices:read', 'wipes:run'] });
+  assert.strictEqual(response.status, 400);
+});
+
+test('a token loses what its owner\'s role loses', async () => {
+  const member = await signUp(server, 'demoted@example.com');
+  const created = await member.client.post('/api/tokens', { name: 'Script', scopes: ['devices:read', 'devices:manage'] });
+  const token = created.body.token;
+  await server.dbRun("UPDATE users SET role = 'viewer' WHERE id = ?", [member.user.id]);
+
+  assert.strictEqual((await bearer.get('/api/devices', withToken(token))).status, 200);
+  assert.strictEqual((await bearer.post('/api/device/detect', { deviceInfo: { name: 'X' } }, withToken(token))).status, 403);
+});
+
+test('account routes refuse tokens even when the owner could use them', async () => {
+  const { token } = await createToken(['devices:read', 'settings:manage', 'organisation:manage']);
+  for (const [method, url] of [
+    ['GET', '/api/auth/profile'],
+    ['GET', '/api/tokens'],
+    ['POST', '/api/tokens'],
+    ['POST', '/api/auth/two-factor/setup'],
+    ['GET', '/api/organisation']
+  ]) {
+    const body = method === 'POST' ? { name: 'Another', scopes: ['devices:read'] } : undefined;
+    const response = await bearer.request(method, url, { ...withToken(token), body });
+    assert.strictEqual(response.status, 403, `${method} ${url}`);
+  }
+});
+
+test('revoked, expired, unknown and orphaned tokens are refused', async () => {
+  const revoked = await createToken(['devices:read']);
+  assert.strictEqual((await owner.client.del(`/api/tokens/${revoked.id}`)).status, 200);
+  assert.strictEqual((await bearer.get('/api/devices', withToken(revoked.token))).status, 401);
+
+  const expired = await createToken(['devices:read'], { expiresInDays: 1 });
+  assert.strictEqual((await bearer.get('/api/devices', withToken(expired.token))).status, 200);
+  await server.dbRun('UPDATE api_tokens SET expires_at = ? WHERE id = ?', [new Date(Date.now() - 1000).toISOString(), expired.id]);
+  assert.strictEqual((await bearer.get('/api/devices', withToken(expired.token))).status, 401);
+
+  assert.strictEqual((await bearer.get('/api/devices', withToken('wst_not-a-real-token'))).status, 401);
+
+  // The owner moved to another organisation after creating it
+  const leaver = await signUp(server, 'leaver@example.com');
+  const created = await leaver.client.post('/api/tokens', { name: 'Script', scopes: ['devices:read'] });
+  await server.dbRun('UPDATE users SET organisation_id = ? WHERE id = ?', [owner.user.organisation_id, leaver.user.id]);
+  assert.strictEqual((await bearer.get('/api/devices', withToken(created.body.token))).status, 401);
+});
+
+test('only a hash and a short prefix of a token are stored', async () => {
+  const { id, token } = await createToken(['devices:read']);
+  const row = await server.dbGet('SELECT token_hash, token_prefix FROM api_tokens WHERE id = ?', [id]);
+  assert.notStrictEqual(row.token_hash, token);
+  assert.ok(token.startsWith(row.token_prefix) && row.token_prefix.length < token.length);
+  assert.strictEqual(JSON.stringify((await owner.client.get('/api/tokens')).body).includes(token), false);
+});
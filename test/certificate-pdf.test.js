@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { startServer, signUp, insertCompletedDeviceJob } = require('./helpers/server');
+
+let server;
+let owner;
+
+test.before(async () => {
+  server = await startServer();
+  owner = await signUp(server, 'owner@example.com');
+});
+
+test.after(() => server.close());
+
+async function issueCertificate() {
+  const jobId = await insertCompletedDeviceJob(server, owner.user);
+  const issued = await owner.client.post(`/api/certificate/${jobId}`, {});
+  assert.strictEqual(issued.status, 200, JSON.stringify(issued.body));
+  return issued.body.certificateId;
+}
+
+const downloadPDF = (certificateId) => owner.client.get(`/api/certificate/${certificateId}?format=pdf`);
+
+test('an issued certificate downloads as a PDF', async () => {
+  const response = await downloadPDF(await issueCertificate());
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.headers.get('content-type'), 'application/pdf');
+  assert.strictEqual(response.body.subarray(0, 5).toString(), '%PDF-');
+});
+
+test('a certificate without a stored PDF answers 409 instead of failing', async () => {
+  const certificateId = await issueCertificate();
+  await server.dbRun('UPDATE certificates SET pdf_path = NULL WHERE id = ?', [certificateId]);
+  const response = await downloadPDF(certificateId);
+  assert.strictEqual(response.status, 409);
+  assert.match(response.body.error, /No PDF/);
+});
+
+test('a certificate whose PDF file has gone answers 404', async () => {
+  const certificateId = await issueCertificate();
+  const { pdf_path: pdfPath } = await server.dbGet('SELECT pdf_path FROM certificates WHERE id = ?', [certificateId]);
+  fs.rmSync(path.join(server.workDir, pdfPath));
+  const response = await downloadPDF(certificateId);
+  assert.strictEqual(response.status, 404);
+  assert.match(response.body.error, /PDF not found/);
+});
@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Loads server.js in a fresh working directory (its database and folders live
+// there) and serves it on a free port. node --test runs each file in its own
+// process, so every test file gets its own database.
+async function startServer(env = {}) {
+  Object.assign(process.env, { PUBLIC_BASE_URL: 'http://localhost', ...env });
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wipesure-test-'));
+  process.chdir(workDir);
+  const server = require('../../server');
+  // Removed on exit, once the server has finished with its database there
+  process.on('exit', () => fs.rmSync(workDir, { recursive: true, force: true }));
+
+  // The schema is created on the single connection ahead of this query
+  await server.dbGet('SELECT 1');
+  const listener = await new Promise((resolve) => {
+    const instance = server.app.listen(0, '127.0.0.1', () => resolve(instance));
+  });
+
+  return {
+    ...server,
+    workDir,
+    baseUrl: `http://127.0.0.1:${listener.address().port}`,
+    close: () => new Promise((resolve) => {
+      listener.closeAllConnections();
+      listener.close(resolve);
+    })
+  };
+}
+
+// A browser-like client: keeps the session cookie and sends JSON bodies.
+// Responses resolve to { status, body, headers }.
+function createClient(baseUrl) {
+  let cookie = null;
+
+  async function request(method, url, { body, headers = {} } = {}) {
+    const requestHeaders = { ...headers };
+    if (cookie) {
+      requestHeaders.cookie = cookie;
+    }
+    let payload = body;
+    if (body !== undefined && !(body instanceof FormData)) {
+      requestHeaders['content-type'] = 'application/json';
+      payload = JSON.stringify(body);
+    }
+
+    const response = await fetch(baseUrl + url, { method, headers: requestHeaders, body: payload });
+    const setCookie = response.headers.get('set-cookie');
+    if (setCookie) {
+      cookie = setCookie.split(';')[0];
+    }
+    const type = response.headers.get('content-type') || '';
+    const responseBody = type.includes('json') ? await response.json() : Buffer.from(await response.arrayBuffer());
+    return { status: response.status, body: responseBody, headers: response.headers };
+  }
+
+  return {
+    request,
+    get: (url, options) => request('GET', url, options),
+    post: (url, body, options) => request('POST', url, { ...options, body }),
+    put: (url, body, options) => request('PUT', url, { ...options, body }),
+    del: (url, options) => request('DELETE', url, options)
+  };
+}
+
+// Signs up a new account (and its own organisation, unless invitationToken is given)
+// and returns a signed-in client with the user's row
+async function signUp(server, email, fields = {}) {
+  const client = createClient(server.baseUrl);
+  const response = await client.post('/api/auth/signup', {
+    email, password: 'password123', firstName: 'Test', lastName: 'User', ...fields
+  });
+  if (response.status !== 200) {
+    throw new Error(`Sign-up of ${email} failed: ${JSON.stringify(response.body)}`);
+  }
+  const user = await server.dbGet('SELECT * FROM users WHERE email = ?', [email]);
+  return { client, user };
+}
+
+// Full-device wipes are simulated one-second tick by tick, so tests store finished
+// ones directly. Resolves with the job id.
+async function insertCompletedDeviceJob(server, user, { deviceId = null, batchId = null } = {}) {
+  const jobId = crypto.randomUUID();
+  await server.dbRun(
+    `INSERT INTO wipe_jobs (id, user_id, organisation_id, device_id, batch_id, method, passes, wipe_type, status, progress)
+     VALUES (?, ?, ?, ?, ?, 'NIST SP 800-88', 1, 'device', 'completed', 100)`,
+    [jobId, user.id, user.organisation_id, deviceId, batchId]
+  );
+  return jobId;
+}
+
+module.exports = { startServer, createClient, signUp, insertCompletedDeviceJob };
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { startServer, signUp, insertCompletedDeviceJob } = require('./helpers/server');
+
+let server;
+let client;
+let user;
+
+test.before(async () => {
+  server = await startServer();
+  ({ client, user } = await signUp(server, 'issuer@example.com'));
+});
+
+test.after(() => server.close());
+
+async function detectDevice(name) {
+  const response = await client.post('/api/device/detect', { deviceInfo: { name, model: 'T480' } });
+  return response.body.device.id;
+}
+
+async function waitForJob(jobId) {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const response = await client.get(`/api/wipe/${jobId}`);
+    if (['completed', 'failed', 'cancelled'].includes(response.body.status)) {
+      return response.body;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  throw new Error(`Wipe job ${jobId} did not finish`);
+}
+
+test('a simulated device job is certified under the default policy and says it was simulated', async () => {
+  const jobId = await insertCompletedDeviceJob(server, user, { deviceId: await detectDevice('Laptop 1') });
+
+  const issued = await client.post(`/api/certificate/${jobId}`, {});
+  assert.strictEqual(issued.status, 200, JSON.stringify(issued.body));
+
+  const document = await client.get(`/api/certificate/${issued.body.certificateId}?format=json`);
+  assert.strictEqual(document.body.certificate.simulated, true);
+  assert.strictEqual(document.body.certificate.entropyScore, null);
+  assert.deepStrictEqual(document.body.certificate.verification, []);
+});
+
+test('a batch of simulated device jobs is certified under the default policy', async () => {
+  const batchId = crypto.randomUUID();
+  await server.dbRun(
+    "INSERT INTO wipe_batches (id, user_id, organisation_id, name, method) VALUES (?, ?, ?, 'Rack 7', 'NIST SP 800-88')",
+    [batchId, user.id, user.organisation_id]
+  );
+  for (const name of ['Laptop 2', 'Laptop 3']) {
+    await insertCompletedDeviceJob(server, user, { deviceId: await detectDevice(name), batchId });
+  }
+
+  const issued = await client.post(`/api/wipe-batches/${batchId}/certificate`, {});
+  assert.strictEqual(issued.status, 200, JSON.stringify(issued.body));
+  assert.strictEqual(issued.body.certificates.length, 2);
+});
+
+test('a zero-fill file wipe is certified under the default policy', async () => {
+  const form = new FormData();
+  form.append('files', new Blob([Buffer.from('Quarterly payroll: Jane Doe, salary 54,000\n'.repeat(500))]), 'payroll.txt');
+  form.append('method', 'NIST SP 800-88');
+  form.append('wipeType', 'file');
+  const started = await client.post('/api/wipe', form);
+  assert.strictEqual(started.status, 200, JSON.stringify(started.body));
+  assert.strictEqual((await waitForJob(started.body.jobId)).status, 'completed');
+
+  const issued = await client.post(`/api/certificate/${started.body.jobId}`, {});
+  assert.strictEqual(issued.status, 200, JSON.stringify(issued.body));
+
+  const document = await client.get(`/api/certificate/${issued.body.certificateId}?format=json`);
+  assert.strictEqual(document.body.certificate.simulated, false);
+  assert.strictEqual(document.body.certificate.entropyScore, 0);
+});
+
+// The rest exercise the policy on its own, with jobs shaped as loadCertifiableJob loads them
+function fileJob(method, entropyScore) {
+  return {
+    status: 'completed',
+    wipe_type: 'file',
+    method,
+    passes: 1,
+    verify: 1,
+    verifications: [{ pass_number: 1, status: 'passed', items_checked: 1 }],
+    items: [{ id: 'item' }],
+    scan_id: 'scan',
+    entropy_score: entropyScore
+  };
+}
+
+test('a zero-fill wipe that left unwiped data is refused', () => {
+  const violations = server.evaluateIssuancePolicy(fileJob('NIST SP 800-88', 55.2), server.DEFAULT_ISSUANCE_POLICY);
+  assert.deepStrictEqual(violations.map((violation) => violation.rule), ['residue_scan']);
+});
+
+test('a random overwrite is still held to the entropy floor', () => {
+  const policy = server.DEFAULT_ISSUANCE_POLICY;
+  assert.deepStrictEqual(server.evaluateIssuancePolicy(fileJob('Random', 99.9), policy), []);
+  assert.deepStrictEqual(
+    server.evaluateIssuancePolicy(fileJob('Random', 0), policy).map((violation) => violation.rule),
+    ['residue_scan']
+  );
+});
@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, signUp, insertCompletedDeviceJob } = require('./helpers/server');
+
+let server;
+let owner;
+let outsider;
+const certificateIds = [];
+
+test.before(async () => {
+  server = await startServer();
+  owner = await signUp(server, 'owner@example.com');
+  outsider = await signUp(server, 'outsider@example.com');
+  for (let index = 0; index < 3; index++) {
+    const jobId = await insertCompletedDeviceJob(server, owner.user);
+    certificateIds.push((await owner.client.post(`/api/certificate/${jobId}`, {})).body.certificateId);
+  }
+});
+
+test.after(() => server.close());
+
+const verify = async (member) => (await member.client.get('/api/ledger/verify')).body;
+const ledgerEntry = (certificateId) =>
+  server.dbGet("SELECT * FROM blockchain_logs WHERE ref_type = 'certificate' AND ref_id = ?", [certificateId]);
+
+// Applies a change to the stored ledger, checks it is caught, then puts the ledger back
+async function tampered(change, undo, check) {
+  await change();
+  try {
+    await check();
+  } finally {
+    await undo();
+  }
+  assert.strictEqual((await verify(owner)).valid, true);
+}
+
+test('an untouched ledger verifies', async () => {
+  const result = await verify(owner);
+  assert.strictEqual(result.valid, true, JSON.stringify(result));
+  assert.strictEqual(result.entriesChecked, 3);
+});
+
+test('an edited certificate no longer matches its ledger entry', async () => {
+  const certificate = await server.dbGet('SELECT hash FROM certificates WHERE id = ?', [certificateIds[1]]);
+  await tampered(
+    () => server.dbRun('UPDATE certificates SET hash = ? WHERE id = ?', ['f'.repeat(64), certificateIds[1]]),
+    () => server.dbRun('UPDATE certificates SET hash = ? WHERE id = ?', [certificate.hash, certificateIds[1]]),
+    async () => {
+      const result = await verify(owner);
+      assert.strictEqual(result.valid, false);
+      assert.strictEqual(result.brokenLink.reason, 'record_hash_mismatch');
+      assert.strictEqual(result.brokenLink.refId, certificateIds[1]);
+    }
+  );
+});
+
+test('edited, relinked and deleted entries break the chain', async () => {
+  const entry = await ledgerEntry(certificateIds[1]);
+  const restore = () => server.dbRun(
+    `INSERT OR REPLACE INTO blockchain_logs (id, ref_id, ref_type, hash, seq, prev_hash, entry_hash, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [entry.id, entry.ref_id, entry.ref_type, entry.hash, entry.seq, entry.prev_hash, entry.entry_hash, entry.created_at]
+  );
+  const expectBreak = (reason, seq) => async () => {
+    const result = await verify(owner);
+    assert.strictEqual(result.valid, false);
+    assert.strictEqual(result.brokenLink.reason, reason);
+    assert.strictEqual(result.brokenLink.seq, seq);
+  };
+
+  await tampered(
+    () => server.dbRun('UPDATE blockchain_logs SET created_at = ? WHERE id = ?', ['2020-01-01T00:00:00.000Z', entry.id]),
+    restore,
+    expectBreak('entry_hash_mismatch', entry.seq)
+  );
+  await tampered(
+    () => server.dbRun('UPDATE blockchain_logs SET prev_hash = ? WHERE id = ?', ['0'.repeat(64), entry.id]),
+    restore,
+    expectBreak('prev_hash_mismatch', entry.seq)
+  );
+  await tampered(
+    () => server.dbRun('DELETE FROM blockchain_logs WHERE id = ?', [entry.id]),
+    restore,
+    expectBreak('sequence_gap', entry.seq + 1)
+  );
+});
+
+test('removing the newest entry leaves its certificate unanchored', async () => {
+  const entry = await ledgerEntry(certificateIds[2]);
+  await tampered(
+    () => server.dbRun('DELETE FROM blockchain_logs WHERE id = ?', [entry.id]),
+    () => server.dbRun(
+      `INSERT INTO blockchain_logs (id, ref_id, ref_type, hash, seq, prev_hash, entry_hash, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [entry.id, entry.ref_id, entry.ref_type, entry.hash, entry.seq, entry.prev_hash, entry.entry_hash, entry.created_at]
+    ),
+    async () => {
+      const result = await verify(owner);
+      assert.strictEqual(result.valid, false);
+      assert.strictEqual(result.brokenLink.reason, 'record_unanchored');
+      assert.strictEqual(result.brokenLink.refId, certificateIds[2]);
+    }
+  );
+});
+
+test('another organisation learns the chain is broken but not whose record broke it', async () => {
+  const entry = await ledgerEntry(certificateIds[0]);
+  await tampered(
+    () => server.dbRun('UPDATE blockchain_logs SET hash = ? WHERE id = ?', ['e'.repeat(64), entry.id]),
+    () => server.dbRun('UPDATE blockchain_logs SET hash = ? WHERE id = ?', [entry.hash, entry.id]),
+    async () => {
+      const own = await verify(owner);
+      assert.strictEqual(own.brokenLink.reason, 'entry_hash_mismatch');
+      assert.strictEqual(own.brokenLink.refId, certificateIds[0]);
+      assert.strictEqual(own.brokenLink.entryId, entry.id);
+
+      const foreign = await verify(outsider);
+      assert.strictEqual(foreign.valid, false);
+      assert.strictEqual(foreign.brokenLink.reason, 'entry_hash_mismatch');
+      assert.strictEqual(foreign.brokenLink.seq, entry.seq);
+      assert.strictEqual(foreign.brokenLink.refId, null);
+      assert.strictEqual(foreign.brokenLink.entryId, null);
+    }
+  );
+});
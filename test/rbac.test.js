@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, createClient, signUp, insertCompletedDeviceJob } = require('./helpers/server');
+
+let server;
+let admin;
+let members;
+let deviceId;
+let jobId;
+let certificateId;
+
+// Invites email with role and signs up through the invitation link
+async function inviteMember(email, role) {
+  const invitation = await admin.client.post('/api/organisation/invitations', { email, role });
+  assert.strictEqual(invitation.status, 201, JSON.stringify(invitation.body));
+  return signUp(server, email, { invitationToken: invitation.body.token });
+}
+
+test.before(async () => {
+  server = await startServer();
+  admin = await signUp(server, 'admin@example.com');
+  members = {
+    operator: await inviteMember('operator@example.com', 'operator'),
+    auditor: await inviteMember('auditor@example.com', 'auditor'),
+    viewer: await inviteMember('viewer@example.com', 'viewer')
+  };
+  deviceId = (await admin.client.post('/api/device/detect', { deviceInfo: { name: 'Laptop', model: 'T480' } })).body.device.id;
+  jobId = await insertCompletedDeviceJob(server, admin.user, { deviceId });
+  certificateId = (await admin.client.post(`/api/certificate/${jobId}`, {})).body.certificateId;
+});
+
+test.after(() => server.close());
+
+test('invited members join with the role they were invited with', () => {
+  for (const [role, member] of Object.entries(members)) {
+    assert.strictEqual(member.user.role, role);
+    assert.strictEqual(member.user.organisation_id, admin.user.organisation_id);
+  }
+});
+
+test('routes need a sign-in', async () => {
+  const anonymous = createClient(server.baseUrl);
+  assert.strictEqual((await anonymous.get('/api/devices')).status, 401);
+  assert.strictEqual((await anonymous.get(`/api/certificate/${certificateId}?format=pdf`)).status, 401);
+  assert.strictEqual((await anonymous.post('/api/device/detect', { deviceInfo: { name: 'X' } })).status, 401);
+});
+
+test('each role is allowed and refused as ROLE_PERMISSIONS says', async () => {
+  const checks = [
+    // [role, request, expected status]
+    ['viewer', (client) => client.get('/api/devices'), 200],
+    ['viewer', (client) => client.get(`/api/certificate/${certificateId}?format=json`), 200],
+    ['viewer', (client) => client.post('/api/device/detect', { deviceInfo: { name: 'X' } }), 403],
+    ['viewer', (client) => client.get('/api/ledger/verify'), 403],
+    ['operator', (client) => client.post('/api/device/detect', { deviceInfo: { name: 'Operator laptop' } }), 200],
+    ['operator', (client) => client.post(`/api/certificate/${certificateId}/revoke`, { reason: 'test' }), 403],
+    ['operator', (client) => client.put('/api/organisation', { name: 'Renamed' }), 403],
+    ['auditor', (client) => client.get('/api/ledger/verify'), 200],
+    ['auditor', (client) => client.post('/api/device/detect', { deviceInfo: { name: 'X' } }), 403],
+    ['auditor', (client) => client.put('/api/certificate-policy', {
+      requireVerification: false, requireResidueScan: false, minEntropyScore: 0
+    }), 403]
+  ];
+  for (const [role, send, expected] of checks) {
+    const response = await send(members[role].client);
+    assert.strictEqual(response.status, expected, `${role}: ${JSON.stringify(response.body)}`);
+  }
+});
+
+test('a role change applies to the member\'s next request', async () => {
+  const viewer = members.viewer;
+  assert.strictEqual((await viewer.client.post('/api/device/detect', { deviceInfo: { name: 'X' } })).status, 403);
+
+  const changed = await admin.client.put(`/api/organisation/members/${viewer.user.id}`, { role: 'operator' });
+  assert.strictEqual(changed.status, 200);
+  assert.strictEqual((await viewer.client.post('/api/device/detect', { deviceInfo: { name: 'Promoted' } })).status, 200);
+
+  await admin.client.put(`/api/organisation/members/${viewer.user.id}`, { role: 'viewer' });
+});
+
+test('another organisation\'s admin sees none of this organisation\'s records', async () => {
+  const outsider = await signUp(server, 'outsider@example.com');
+  const client = outsider.client;
+
+  assert.deepStrictEqual((await client.get('/api/devices')).body, []);
+  assert.strictEqual((await client.get(`/api/wipe/${jobId}`)).status, 404);
+  assert.strictEqual((await client.get(`/api/certificate/${certificateId}?format=pdf`)).status, 404);
+  assert.strictEqual((await client.post(`/api/certificate/${jobId}`, {})).status, 404);
+  assert.strictEqual((await client.post(`/api/certificate/${certificateId}/revoke`, { reason: 'test' })).status, 404);
+  assert.strictEqual((await client.put(`/api/organisation/members/${members.viewer.user.id}`, { role: 'admin' })).status, 404);
+  assert.strictEqual((await server.dbGet('SELECT role FROM users WHERE id = ?', [members.viewer.user.id])).role, 'viewer');
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// server.js opens its database and folders in the working directory
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wipesure-residue-'));
+process.chdir(workDir);
+const {
+  DEFAULT_RESIDUE_POLICY,
+  createResidueAnalysis,
+  analyzeResidueFile,
+  summarizeResidueAnalysis
+} = require('../server');
+
+// Removed on exit, once the server has finished setting up its database there
+process.on('exit', () => fs.rmSync(workDir, { recursive: true, force: true }));
+
+async function classify(name, content) {
+  const filePath = path.join(workDir, name);
+  fs.writeFileSync(filePath, content);
+  const analysis = createResidueAnalysis();
+  await analyzeResidueFile(analysis, filePath, name);
+  return summarizeResidueAnalysis(analysis, DEFAULT_RESIDUE_POLICY);
+}
+
+test('an unwiped file is not classified clean', async () => {
+  const text = 'Quarterly payroll: Jane Doe, account 12345678, salary 54,000\n'.repeat(2000);
+  const summary = await classify('unwiped.txt', text);
+  assert.notStrictEqual(summary.residueStatus, 'CLEAN');
+});
+
+test('a zero-filled file is not classified clean', async () => {
+  const summary = await classify('zeros.bin', Buffer.alloc(64 * 1024));
+  assert.notStrictEqual(summary.residueStatus, 'CLEAN');
+  assert.strictEqual(summary.entropyScore, 0);
+});
+
+test('a file overwritten with random data is classified clean', async () => {
+  const summary = await classify('random.bin', crypto.randomBytes(64 * 1024));
+  assert.strictEqual(summary.residueStatus, 'CLEAN');
+});
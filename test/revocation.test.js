@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, createClient, signUp, insertCompletedDeviceJob } = require('./helpers/server');
+
+let server;
+let owner;
+let certificateId;
+
+test.before(async () => {
+  server = await startServer();
+  owner = await signUp(server, 'owner@example.com');
+  const jobId = await insertCompletedDeviceJob(server, owner.user);
+  certificateId = (await owner.client.post(`/api/certificate/${jobId}`, {})).body.certificateId;
+  await owner.client.post(`/api/certificate/${certificateId}/revoke`, { reason: 'Sold to Acme before the wipe was checked' });
+});
+
+test.after(() => server.close());
+
+test('the revocation list needs a sign-in', async () => {
+  const response = await createClient(server.baseUrl).get('/api/certificates/revoked');
+  assert.strictEqual(response.status, 401);
+});
+
+test('the revocation list holds only the organisation\'s own certificates, without reasons', async () => {
+  const own = await owner.client.get('/api/certificates/revoked');
+  assert.strictEqual(own.status, 200);
+  assert.deepStrictEqual(own.body.revocations.map((revocation) => revocation.certificateId), [certificateId]);
+  assert.strictEqual(JSON.stringify(own.body).includes('Acme'), false);
+
+  const other = await signUp(server, 'other@example.com');
+  const foreign = await other.client.get('/api/certificates/revoked');
+  assert.strictEqual(foreign.status, 200);
+  assert.strictEqual(foreign.body.count, 0);
+});
+
+test('anyone can still check a single certificate\'s revocation', async () => {
+  const response = await createClient(server.baseUrl).get(`/api/certificate/verify/${certificateId}`);
+  assert.strictEqual(response.body.valid, false);
+  assert.strictEqual(response.body.revoked, true);
+});
@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, createClient, signUp } = require('./helpers/server');
+
+let server;
+
+test.before(async () => {
+  server = await startServer({ SIGNING_KEY_ADMINS: 'listed-admin' });
+});
+
+test.after(() => server.close());
+
+test('with SIGNING_KEY_ADMINS set only the listed accounts may rotate', async () => {
+  const installer = await signUp(server, 'installer@example.com');
+  assert.strictEqual((await installer.client.post('/api/keys/rotate', {})).status, 403);
+
+  // Give a later organisation's admin the listed id, then sign in as it
+  const listed = await signUp(server, 'listed@example.com');
+  await server.dbRun("UPDATE users SET id = 'listed-admin' WHERE id = ?", [listed.user.id]);
+  const client = createClient(server.baseUrl);
+  await client.post('/api/auth/login', { email: 'listed@example.com', password: 'password123' });
+  const rotated = await client.post('/api/keys/rotate', {});
+  assert.strictEqual(rotated.status, 200, JSON.stringify(rotated.body));
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, createClient, signUp } = require('./helpers/server');
+
+let server;
+let installer;
+
+test.before(async () => {
+  server = await startServer();
+  // The first organisation created is the installing one
+  installer = await signUp(server, 'installer@example.com');
+});
+
+test.after(() => server.close());
+
+// A stored certificate row, as verifyCertificateSignature reads it
+async function signedRow(payload) {
+  const signature = await server.signCertificatePayload(payload);
+  return {
+    payload: JSON.stringify(payload),
+    signature: signature.value,
+    signature_algorithm: signature.algorithm,
+    key_fingerprint: signature.keyFingerprint
+  };
+}
+
+test('a signed payload verifies and a tampered one does not', async () => {
+  const row = await signedRow({ certificateId: 'one', method: 'NIST SP 800-88' });
+  const verified = await server.verifyCertificateSignature(row);
+  assert.strictEqual(verified.valid, true);
+  assert.strictEqual(verified.algorithm, 'Ed25519');
+
+  const tampered = await server.verifyCertificateSignature({ ...row, payload: row.payload.replace('one', 'two') });
+  assert.strictEqual(tampered.valid, false);
+});
+
+test('a signature by a retired key still verifies after rotation', async () => {
+  const row = await signedRow({ certificateId: 'before-rotation' });
+
+  const rotated = await installer.client.post('/api/keys/rotate', {});
+  assert.strictEqual(rotated.status, 200, JSON.stringify(rotated.body));
+  assert.notStrictEqual(rotated.body.fingerprint, row.key_fingerprint);
+
+  const verified = await server.verifyCertificateSignature(row);
+  assert.strictEqual(verified.valid, true);
+  assert.strictEqual(verified.keyStatus, 'retired');
+  assert.strictEqual((await signedRow({ certificateId: 'after-rotation' })).key_fingerprint, rotated.body.fingerprint);
+});
+
+test('only admins of the installing organisation may rotate while SIGNING_KEY_ADMINS is unset', async () => {
+  assert.strictEqual((await createClient(server.baseUrl).post('/api/keys/rotate', {})).status, 401);
+
+  const otherAdmin = await signUp(server, 'other-admin@example.com');
+  assert.strictEqual((await otherAdmin.client.post('/api/keys/rotate', {})).status, 403);
+
+  const operator = await signUp(server, 'operator@example.com');
+  await server.dbRun("UPDATE users SET organisation_id = ?, role = 'operator' WHERE id = ?",
+    [installer.user.organisation_id, operator.user.id]);
+  assert.strictEqual((await operator.client.post('/api/keys/rotate', {})).status, 403);
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers/server');
+
+let server;
+
+test.before(async () => {
+  server = await startServer();
+});
+
+test.after(() => server.close());
+
+const organisationNamed = (name) => server.dbGet('SELECT id FROM organisations WHERE name = ?', [name]);
+
+test('a rollback keeps what other code wrote while the transaction was open', async () => {
+  let outsideWrite;
+  await assert.rejects(server.dbTransaction(async (tx) => {
+    await tx.run("INSERT INTO organisations (id, name) VALUES ('inside', 'Inside')");
+    // Written on the shared connection, as the wipe runner does; it waits for the transaction to end
+    outsideWrite = server.dbRun("INSERT INTO organisations (id, name) VALUES ('outside', 'Outside')");
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    throw new Error('abandon the transaction');
+  }), /abandon the transaction/);
+  await outsideWrite;
+
+  assert.strictEqual(await organisationNamed('Inside'), undefined);
+  assert.deepStrictEqual(await organisationNamed('Outside'), { id: 'outside' });
+});
+
+test('a committed transaction is visible on the shared connection', async () => {
+  const result = await server.dbTransaction(async (tx) => {
+    await tx.run("INSERT INTO organisations (id, name) VALUES ('committed', 'Committed')");
+    return tx.get("SELECT COUNT(*) AS count FROM organisations WHERE id = 'committed'");
+  });
+
+  assert.strictEqual(result.count, 1);
+  assert.deepStrictEqual(await organisationNamed('Committed'), { id: 'committed' });
+});
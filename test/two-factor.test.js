@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { startServer, createClient, signUp } = require('./helpers/server');
+
+let server;
+
+test.before(async () => {
+  server = await startServer();
+});
+
+test.after(() => server.close());
+
+// RFC 6238 code for the 30-second step `offset` steps from now, as an authenticator app computes it
+function totp(secret, offset = 0) {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+  let bits = '';
+  for (const char of secret) {
+    bits += alphabet.indexOf(char).toString(2).padStart(5, '0');
+  }
+  const key = Buffer.from(bits.match(/.{8}/g).map((byte) => parseInt(byte, 2)));
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(Math.floor(Date.now() / 30000) + offset));
+  const hmac = crypto.createHmac('sha1', key).update(counter).digest();
+  const binary = hmac.readUInt32BE(hmac[hmac.length - 1] & 15) & 0x7fffffff;
+  return String(binary % 1000000).padStart(6, '0');
+}
+
+// Signs up and enrols; enrolment uses up the current step, so logins use the next one
+async function enrolledUser(email) {
+  const { client, user } = await signUp(server, email);
+  const { secret } = (await client.post('/api/auth/two-factor/setup', {})).body;
+  const enabled = await client.post('/api/auth/two-factor/enable', { code: totp(secret) });
+  assert.strictEqual(enabled.status, 200, JSON.stringify(enabled.body));
+  return { user, secret, recoveryCodes: enabled.body.recoveryCodes };
+}
+
+// A new client past the password step, waiting for its second factor
+async function passwordStep(email) {
+  const client = createClient(server.baseUrl);
+  const login = await client.post('/api/auth/login', { email, password: 'password123' });
+  assert.strictEqual(login.body.twoFactorRequired, true);
+  return client;
+}
+
+const secondFactor = (client, body) => client.post('/api/auth/login/two-factor', body);
+
+test('a code completes the login once and cannot be replayed', async () => {
+  const { secret } = await enrolledUser('replay@example.com');
+  const code = totp(secret, 1);
+
+  const first = await passwordStep('replay@example.com');
+  assert.strictEqual((await secondFactor(first, { code })).status, 200);
+  assert.strictEqual((await first.get('/api/devices')).status, 200);
+
+  const second = await passwordStep('replay@example.com');
+  assert.strictEqual((await secondFactor(second, { code })).status, 401);
+});
+
+test('a recovery code works exactly once', async () => {
+  const { recoveryCodes } = await enrolledUser('recovery@example.com');
+  assert.strictEqual(recoveryCodes.length, 10);
+
+  const first = await passwordStep('recovery@example.com');
+  assert.strictEqual((await secondFactor(first, { recoveryCode: recoveryCodes[0] })).status, 200);
+  const status = await first.get('/api/auth/two-factor');
+  assert.strictEqual(status.body.recoveryCodesRemaining, 9);
+
+  const second = await passwordStep('recovery@example.com');
+  assert.strictEqual((await secondFactor(second, { recoveryCode: recoveryCodes[0] })).status, 401);
+  assert.strictEqual((await secondFactor(second, { recoveryCode: recoveryCodes[1] })).status, 200);
+});
+
+test('five wrong codes lock the second factor for 15 minutes, even across new logins', async () => {
+  const { user, secret } = await enrolledUser('lockout@example.com');
+  const client = await passwordStep('lockout@example.com');
+  for (let attempt = 1; attempt <= 5; attempt++) {
+    assert.strictEqual((await secondFactor(client, { code: '000000' })).status, 401, `attempt ${attempt}`);
+  }
+
+  const locked = await secondFactor(client, { code: totp(secret, 1) });
+  assert.strictEqual(locked.status, 429);
+  const lockedFor = new Date(locked.body.lockedUntil).getTime() - Date.now();
+  assert.ok(lockedFor > 14 * 60 * 1000 && lockedFor <= 15 * 60 * 1000, `locked for ${lockedFor} ms`);
+
+  // Entering the password again does not reset the count
+  const again = await passwordStep('lockout@example.com');
+  assert.strictEqual((await secondFactor(again, { code: totp(secret, 1) })).status, 429);
+  assert.strictEqual((await secondFactor(again, { recoveryCode: 'aaaaa-bbbbb' })).status, 429);
+
+  // Once the lockout has run out a correct code signs in and clears the count
+  await server.dbRun('UPDATE users SET totp_locked_until = ? WHERE id = ?', [new Date(Date.now() - 1000).toISOString(), user.id]);
+  assert.strictEqual((await secondFactor(again, { code: totp(secret, 1) })).status, 200);
+  const row = await server.dbGet('SELECT totp_failed_attempts, totp_locked_until FROM users WHERE id = ?', [user.id]);
+  assert.deepStrictEqual(row, { totp_failed_attempts: 0, totp_locked_until: null });
+});
+
+test('a correct code resets the count of wrong ones', async () => {
+  const { secret } = await enrolledUser('reset@example.com');
+  const client = await passwordStep('reset@example.com');
+  for (let attempt = 1; attempt <= 4; attempt++) {
+    await secondFactor(client, { code: '000000' });
+  }
+  assert.strictEqual((await secondFactor(client, { code: totp(secret, 1) })).status, 200);
+
+  const next = await passwordStep('reset@example.com');
+  for (let attempt = 1; attempt <= 4; attempt++) {
+    assert.strictEqual((await secondFactor(next, { code: '000000' })).status, 401, `attempt ${attempt}`);
+  }
+});
+
+test('parallel guesses cannot get past the limit', async () => {
+  await enrolledUser('parallel@example.com');
+  const client = await passwordStep('parallel@example.com');
+  const responses = await Promise.all(Array.from({ length: 12 }, () => secondFactor(client, { code: '000000' })));
+  const statuses = responses.map((response) => response.status);
+  assert.strictEqual(statuses.filter((status) => status === 401).length, 5);
+  assert.strictEqual(statuses.filter((status) => status === 429).length, 7);
+});